@@ -0,0 +1,380 @@
+// index.d.ts - Types for the library API (see index.js)
+
+export type Strategy = 'auto' | 'static' | 'browser';
+export type Format = 'rss' | 'atom' | 'json';
+export type Status = 'ok' | 'empty' | 'refused' | 'invalid' | 'failed';
+
+export type LogFormat = 'text' | 'json';
+
+export interface Logger {
+  info(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+  event(name: string, data?: Record<string, unknown>): void;
+  warnings: string[];
+  errors: string[];
+}
+
+// Anything console-like can receive forwarded messages
+export type LogTarget = Logger | Pick<Console, 'info' | 'warn' | 'error'>;
+
+export interface LoggerOptions {
+  print?: boolean;
+  format?: LogFormat;
+  fields?: Record<string, unknown>;
+  collect?: boolean;
+  forward?: LogTarget;
+}
+
+// One entry of feeds.config.json; everything but author and profileUrl is optional
+export interface FeedConfig {
+  author: string;
+  profileUrl: string;
+  profiles?: string[];
+  output?: string;
+  archive?: string;
+  title?: string;
+  description?: string;
+  feedUrl?: string;
+  formats?: Format[];
+  enrich?: boolean;
+  fetch?: { strategy?: Strategy; minArticles?: number; minTitledRatio?: number; minDatedRatio?: number };
+  safeguard?: { maxDropRatio?: number };
+  pagination?: { maxPages?: number; maxArticles?: number; stopAtKnown?: boolean };
+  rules?: string;
+  topics?: Array<{
+    name: string;
+    output?: string;
+    title?: string;
+    description?: string;
+    formats?: Format[];
+    categories?: string[];
+    keywords?: string[];
+    patterns?: string[];
+  }>;
+  fullContent?: { enabled?: boolean; maxParagraphs?: number; maxBytes?: number; maxFetchPerRun?: number };
+  images?: { enabled?: boolean; enclosure?: boolean; verify?: boolean; maxChecksPerRun?: number };
+  quality?: { enabled?: boolean; threshold?: number; overrides?: string };
+  site?: { output?: string; title?: string };
+  notify?: Record<string, unknown> | null;
+  websub?: { hubs?: string[]; retries?: number; retryDelay?: number };
+  backfill?: { sitemaps?: string[]; since?: string; maxChecks?: number; delay?: number; retries?: number; retryDelay?: number };
+  diagnostics?: { artifactsDir?: string; retries?: number; retryDelay?: number; dropRatio?: number; minHits?: number };
+}
+
+// A feed entry with every default filled in (see normalizeFeed)
+export interface Feed extends Required<Omit<FeedConfig, 'profiles' | 'notify'>> {
+  profileUrls: string[];
+  publication: string;
+  notify: Record<string, unknown> | null;
+}
+
+export interface ArticleUpdate {
+  at: string;
+  field: 'url' | 'title';
+  from: string;
+  to: string;
+}
+
+export interface Article {
+  url: string;
+  title: string;
+  description?: string;
+  pubDate?: string;
+  author?: string;
+  authors?: string[];
+  categories?: string[];
+  image?: string | { url: string; type?: string; length?: number } | null;
+  content?: string;
+  guid?: string;
+  aliases?: string[];
+  firstSeen?: string;
+  updates?: ArticleUpdate[];
+}
+
+export interface FeedItem {
+  id: string;
+  url: string;
+  title: string;
+  summary: string;
+  content: string;
+  authors: string[];
+  categories: string[];
+  published: Date;
+  modified: Date | null;
+  image: { url: string; type?: string; length?: number } | null;
+}
+
+export interface FeedModel {
+  title: string;
+  description: string;
+  homePageUrl: string;
+  language: string;
+  author: string;
+  updated: Date;
+  enclosures: boolean;
+  links: { rss: string; atom: string; json: string };
+  hubs: string[];
+  items: FeedItem[];
+}
+
+export interface QualityProblem {
+  check: string;
+  penalty: number;
+  detail: string;
+}
+
+export interface QuarantinedItem {
+  url: string;
+  title: string;
+  score: number;
+  problems: QualityProblem[];
+  override: 'allow' | 'deny' | '';
+}
+
+// A compiled rules file (see loadRules)
+export interface Rules {
+  default: 'include' | 'exclude';
+  ignoreSections: string[];
+  rules: Array<{ name: string; action: 'include' | 'exclude'; conditions: unknown[] }>;
+}
+
+export interface RuleDecision {
+  url: string;
+  title: string;
+  action: 'include' | 'exclude';
+  rule: string;
+  reason: string;
+}
+
+export interface Overrides {
+  allow: string[];
+  deny: string[];
+}
+
+export interface ScrapeOptions {
+  maxArticles?: number;
+  maxPages?: number;
+  strategy?: Strategy;
+  fromHtml?: string;
+  debug?: boolean;
+  knownUrls?: Iterable<string>;
+  logger?: LogTarget;
+  scrapeBrowser?: (url: string, feed: Feed, options: ScrapeOptions & { maxArticles: number }, knownUrls?: Set<string>) => Promise<Article[]>;
+}
+
+export interface ScrapeResult {
+  articles: Article[];
+  strategy: 'static' | 'browser' | 'saved-html';
+  warnings: string[];
+  errors: string[];
+  stats: { pages: number; articles: number; durationMs: number };
+}
+
+export interface EnrichOptions {
+  delay?: number;
+  fetchHtml?: (url: string) => Promise<string>;
+  debug?: boolean;
+  logger?: LogTarget;
+}
+
+export interface EnrichResult {
+  articles: Article[];
+  warnings: string[];
+  errors: string[];
+  stats: { requested: number; enriched: number; failed: number; durationMs: number };
+}
+
+export interface BuildFeedOptions {
+  rules?: Rules;
+  overrides?: Overrides;
+  now?: Date;
+}
+
+export interface BuildFeedResult {
+  model: FeedModel;
+  filtered: RuleDecision[];
+  quarantined: QuarantinedItem[];
+  warnings: string[];
+  stats: { articles: number; filtered: number; published: number; quarantined: number };
+}
+
+export interface GenerateOptions extends ScrapeOptions {
+  dryRun?: boolean;
+  force?: boolean;
+  noNotify?: boolean;
+  noPing?: boolean;
+}
+
+export interface BackfillOptions {
+  maxChecks?: number;
+  dryRun?: boolean;
+  debug?: boolean;
+  timeout?: number;
+  fetch?: typeof fetch;
+  fetchHtml?: (url: string) => Promise<string>;
+  extractMetadata?: (html: string, url: string) => Record<string, unknown>;
+  logger?: Logger;
+}
+
+export interface BackfillResult {
+  sitemaps: number;
+  candidates: number;
+  checked: number;
+  confirmed: number;
+  otherAuthor: number;
+  undated: number;
+  failed: number;
+  added: number;
+  complete: boolean;
+  warnings: string[];
+  errors: string[];
+}
+
+export interface PingOptions {
+  dryRun?: boolean;
+  timeout?: number;
+  fetch?: typeof fetch;
+  logger?: Logger;
+}
+
+export interface PingResult {
+  topics: string[];
+  sent: number;
+  failed: number;
+  warnings: string[];
+  errors: string[];
+}
+
+export interface FeedOutput {
+  format: Format;
+  path: string;
+  content: string;
+  written: boolean;
+}
+
+export interface RunMetrics {
+  at: string;
+  author: string;
+  status: Status;
+  strategy: string;
+  durationMs: number;
+  pages: Array<{ url: string; strategy: string; loadMs: number; candidates: number; articles: number }>;
+  selectors: Record<string, number>;
+  exclusions: Record<string, number>;
+  titles: Record<string, number>;
+  items: {
+    found: number;
+    kept: number;
+    truncated: number;
+    archived: number;
+    filtered: number;
+    published: number;
+    quarantined: number;
+    added: number;
+    updated: number;
+  };
+}
+
+export interface RunDigest {
+  at: string;
+  status: Status;
+  strategy: string;
+  durationMs: number;
+  pages: number;
+  pageLoadMs: number;
+  kept: number;
+  truncated: number;
+  published: number;
+  quarantined: number;
+  fallbackTitles: number;
+  fallbackShare: number;
+  titles: Record<string, number>;
+  exclusions: Record<string, number>;
+  selectors: Record<string, number>;
+}
+
+export interface HistorySummary {
+  runs: number;
+  since: string;
+  latest: RunDigest | null;
+  baseline: {
+    runs: number;
+    durationMs: number;
+    pageLoadMs: number;
+    kept: number;
+    truncated: number;
+    fallbackShare: number;
+    exclusions: Record<string, number>;
+    selectors: Record<string, number>;
+  } | null;
+  trend: Array<{ at: string; status: Status; kept: number; durationMs: number; pageLoadMs: number }>;
+  regressions: Array<{ metric: string; message: string }>;
+}
+
+export interface RegressionLimits {
+  baselineRuns?: number;
+  minRuns?: number;
+  slowdown?: number;
+  dropRatio?: number;
+  fallbackIncrease?: number;
+  rise?: number;
+  minRise?: number;
+}
+
+export interface GenerateResult {
+  author: string;
+  status: Status;
+  strategy: string;
+  articles: Article[];
+  added: string[];
+  updated: string[];
+  quarantined: QuarantinedItem[];
+  outputs: FeedOutput[];
+  report: {
+    safe: boolean;
+    reason: string;
+    written: boolean;
+    added: Array<{ id: string; title: string }>;
+    removed: Array<{ id: string; title: string }>;
+    changed: Array<{ id: string; changes: Record<string, { from: string; to: string }> }>;
+  } | null;
+  artifacts: string;
+  error: string;
+  warnings: string[];
+  errors: string[];
+  stats: {
+    pages: number;
+    scraped: number;
+    archived: number;
+    filtered: number;
+    published: number;
+    added: number;
+    updated: number;
+    quarantined: number;
+    durationMs: number;
+  };
+  metrics: RunMetrics | null;
+}
+
+export function scrape(feed: FeedConfig, options?: ScrapeOptions): Promise<ScrapeResult>;
+export function enrich(articles: Article[], options?: EnrichOptions): Promise<EnrichResult>;
+export function buildFeed(articles: Article[], feed: FeedConfig, options?: BuildFeedOptions): BuildFeedResult;
+export function serialize(model: FeedModel, format?: Format): string;
+export function generate(feed: FeedConfig, options?: GenerateOptions): Promise<GenerateResult>;
+export function backfill(feed: FeedConfig, options?: BackfillOptions): Promise<BackfillResult>;
+export function ping(feed: FeedConfig, options?: PingOptions): Promise<PingResult>;
+export function loadHistory(feed: FeedConfig): Promise<RunMetrics[]>;
+export function summarizeHistory(records: RunMetrics[], limits?: RegressionLimits): HistorySummary;
+export function validate(xml: string): { valid: boolean; errors: string[]; warnings: string[] };
+
+export function loadConfig(configPath?: string): Promise<Feed[]>;
+export function loadRules(rulesPath?: string): Promise<Rules>;
+export function normalizeFeed(feed: FeedConfig): Feed;
+export function createLogger(options?: LoggerOptions): Logger;
+export function scrapeInfoWorldProfile(url: string, feed: Feed, options: ScrapeOptions & { maxArticles: number }, knownUrls?: Set<string>): Promise<Article[]>;
+export function generateRSS(model: FeedModel): string;
+export function generateAtom(model: FeedModel): string;
+export function generateJSONFeed(model: FeedModel): string;
+
+export const FORMATS: Format[];
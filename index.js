@@ -0,0 +1,176 @@
+// index.js - Library API
+//
+// require('infoworld-rss-generator') gives the same pipeline the command line
+// runs (scraper.js), one step at a time or all at once. Nothing here prints,
+// exits or reads command-line arguments: every function returns its data along
+// with the warnings it ran into. Pass options.logger (see lib/logger.js) to see
+// progress as it happens. Types are in index.d.ts.
+//
+// STEPS:
+// - scrape(feed, options): Articles from the feed's profile pages
+// - enrich(articles, options): Fill in metadata from each article's own page
+// - buildFeed(articles, feed, options): Rules, quality checks and the format-neutral feed model
+// - serialize(model, format): RSS, Atom or JSON Feed text
+// - generate(feed, options): All of the above plus the archive, safeguard and
+//   notifications, exactly as one command-line run does for that feed
+// - backfill(feed, options): Add the author's older articles from the site's
+//   sitemaps to the feed's archive (see lib/backfill.js)
+// - ping(feed, options): Tell the feed's WebSub hubs about the feeds its last
+//   run changed (see lib/websub.js)
+// - loadHistory(feed) / summarizeHistory(records): The feed's run metrics and
+//   their trends (see lib/metrics.js)
+//
+// `feed` is a feeds.config.json entry; only author and profileUrl are required.
+
+const { buildFeedModel, FORMATS } = require('./lib/feed');
+const { enrichArticles } = require('./lib/enrich');
+const { normalizeArticleUrl, dedupeByCanonical } = require('./lib/publishers');
+const { assessArticles } = require('./lib/quality');
+const { loadRules, applyRules } = require('./lib/rules');
+const { createRunDiagnostics } = require('./lib/diagnostics');
+const { validateRSS } = require('./lib/validate');
+const { generateRSS } = require('./lib/rss');
+const { generateAtom } = require('./lib/atom');
+const { generateJSONFeed } = require('./lib/jsonfeed');
+const { loadConfig, normalizeFeed, adapterFor } = require('./lib/config');
+const { DEFAULT_MAX_ARTICLES, loadAllProfiles, scrapeInfoWorldProfile } = require('./lib/scrape');
+const { generateFeedForAuthor } = require('./lib/generate');
+const { createLogger } = require('./lib/logger');
+const { changedTopicUrls, pingHubs } = require('./lib/websub');
+const { backfillFeed } = require('./lib/backfill');
+const { historyPathFor, loadHistory: readHistory, summarizeHistory } = require('./lib/metrics');
+
+// Config entry -> normalized feed, with a strategy override when given
+function feedFor(feed, options = {}) {
+  const normalized = normalizeFeed(feed);
+  return options.strategy
+    ? { ...normalized, fetch: { ...normalized.fetch, strategy: options.strategy } }
+    : normalized;
+}
+
+// Load the articles from every profile of a feed.
+// Returns { articles, strategy, warnings, errors, stats: { pages, articles, durationMs } }
+async function scrape(feed, options = {}) {
+  const startedAt = Date.now();
+  const log = createLogger({ forward: options.logger });
+  const diagnostics = createRunDiagnostics();
+  const normalizedFeed = feedFor(feed, options);
+  const { ignoreSections } = await loadRules(normalizedFeed.rules);
+  const { articles, strategy } = await loadAllProfiles(
+    normalizedFeed,
+    { maxArticles: DEFAULT_MAX_ARTICLES, ...options, ignoreSections, logger: log, runDiagnostics: diagnostics },
+    new Set(options.knownUrls || [])
+  );
+  const normalized = dedupeByCanonical(articles.map(article => ({ ...article, url: normalizeArticleUrl(article.url) })));
+  return {
+    articles: normalized,
+    strategy,
+    warnings: log.warnings,
+    errors: log.errors,
+    stats: { pages: diagnostics.pages.length, articles: normalized.length, durationMs: Date.now() - startedAt }
+  };
+}
+
+// Open each article's own page and take its JSON-LD/OpenGraph metadata.
+// Articles that can't be fetched come back unchanged.
+// Returns { articles, warnings, errors, stats: { requested, enriched, failed, durationMs } }
+async function enrich(articles, options = {}) {
+  const startedAt = Date.now();
+  const log = createLogger({ forward: options.logger });
+  const enriched = await enrichArticles(articles, {
+    delay: options.delay,
+    fetchHtml: options.fetchHtml,
+    debugMode: options.debug,
+    logger: log,
+    extractMetadata: (html, url) => adapterFor(url).extractMetadata(html, url)
+  });
+  const count = enriched.filter((article, index) => article !== articles[index]).length;
+  return {
+    articles: enriched,
+    warnings: log.warnings,
+    errors: log.errors,
+    stats: { requested: articles.length, enriched: count, failed: articles.length - count, durationMs: Date.now() - startedAt }
+  };
+}
+
+// Apply the rules, score what's left and build the feed model from the ones that pass.
+// options.rules: from loadRules() (see lib/rules.js)
+// options.overrides: { allow: [], deny: [] } (see lib/quality.js); options.now: build time
+// Returns { model, filtered, quarantined, warnings, stats: { articles, filtered, published, quarantined } }
+function buildFeed(articles, feed, options = {}) {
+  const normalized = feedFor(feed);
+  const { kept, decisions } = applyRules(articles, options.rules);
+  const filtered = decisions.filter(decision => decision.action === 'exclude');
+  const { published, quarantined } = assessArticles(kept, normalized, options.overrides);
+  const model = buildFeedModel(published, normalized, options.now);
+  return {
+    model,
+    filtered,
+    quarantined,
+    warnings: quarantined.map(item => `Held back "${item.title}" (score ${item.score}): ${item.problems.map(problem => problem.check).join(', ')}`),
+    stats: { articles: articles.length, filtered: filtered.length, published: published.length, quarantined: quarantined.length }
+  };
+}
+
+// Feed model -> text in one format ('rss', 'atom' or 'json')
+function serialize(model, format = 'rss') {
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown feed format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return FORMATS[format].serialize(model);
+}
+
+// One complete run for one feed: scrape, enrich, archive, write and notify.
+// Returns the run result described in lib/generate.js; never throws.
+async function generate(feed, options = {}) {
+  return generateFeedForAuthor(feedFor(feed, options), { maxArticles: DEFAULT_MAX_ARTICLES, ...options });
+}
+
+// Walk the feed's sitemaps and archive the pages that confirm the author's
+// byline, picking up where the last call stopped. options.fetch (sitemaps) and
+// options.fetchHtml (article pages) replace the network.
+// Returns { sitemaps, candidates, checked, confirmed, otherAuthor, undated, failed,
+// added, complete, warnings, errors }
+async function backfill(feed, options = {}) {
+  const log = createLogger({ forward: options.logger });
+  const result = await backfillFeed(normalizeFeed(feed), { ...options, debugMode: options.debug, logger: log });
+  return { ...result, warnings: log.warnings, errors: log.errors };
+}
+
+// Ping the feed's WebSub hubs for every feed file its last run changed, e.g.
+// once the files are live. options.fetch replaces the global fetch.
+// Returns { topics, sent, failed, warnings, errors }
+async function ping(feed, options = {}) {
+  const log = createLogger({ forward: options.logger });
+  const normalized = normalizeFeed(feed);
+  const topics = await changedTopicUrls(normalized);
+  const { sent, failed } = await pingHubs(topics, normalized, { ...options, logger: log });
+  return { topics, sent, failed, warnings: log.warnings, errors: log.errors };
+}
+
+// Every metrics record stored for a feed, oldest first
+async function loadHistory(feed) {
+  return readHistory(historyPathFor(normalizeFeed(feed).archive));
+}
+
+module.exports = {
+  scrape,
+  enrich,
+  buildFeed,
+  serialize,
+  generate,
+  backfill,
+  ping,
+  loadHistory,
+  summarizeHistory,
+  validate: validateRSS,
+  loadConfig,
+  loadRules,
+  normalizeFeed,
+  createLogger,
+  scrapeInfoWorldProfile,
+  generateRSS,
+  generateAtom,
+  generateJSONFeed,
+  FORMATS: Object.keys(FORMATS)
+};
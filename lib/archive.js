@@ -0,0 +1,234 @@
+// lib/archive.js - Persistent JSON store of every article ever seen
+//
+// Each run merges what the scraper found into the store instead of replacing
+// the feed outright, so articles that scroll off the profile page stay in the
+// feed and their pubDates never change between runs.
+//
+// STORE FORMAT:
+// {
+//   "version": 1,
+//   "updatedAt": "2026-01-01T12:00:00.000Z",
+//   "articles": [
+//     { "url", "title", "description", "pubDate", "author", "categories", "firstSeen",
+//       "lastSeen", "dateModified", "authors", "section", "enrichedAt",
+//       "content", "contentFetchedAt", "image", "canonicalUrl", "aliases", "guid", "updates",
+//       "undated" }
+//   ]
+// }
+//
+// pubDate and the timestamps are ISO 8601 strings. When a page never shows a
+// publish date, pubDate is pinned to firstSeen so it stays stable from then on,
+// and "undated" is true until a real date turns up.
+// Articles enriched from their own page (see lib/enrich.js) carry enrichedAt,
+// and their values win over anything scraped from the listing page. In
+// full-content mode (see lib/content.js) the cleaned body is kept in "content".
+// "image" is the lead image { url, width, height, type, length, checkedAt, broken }
+// (see lib/images.js). "aliases" lists other URLs the same article was found
+// under, e.g. a syndicated copy on another Foundry site (see lib/publishers.js).
+//
+// Articles are matched on their article ID rather than the exact URL, so a
+// retitled article whose slug changed updates its entry instead of adding a new
+// one. "guid" is fixed when the article is first seen (entries from before
+// GUIDs were stored keep their URL, which is what readers already have). An
+// article that is new to the archive but already in the published feed, as on
+// the first run with an archive, keeps that item's GUID (see publishedGuids()).
+// "updates" records what changed: [{ "at", "field": "url" | "title", "from", "to" }].
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArticleDate } = require('./dates');
+const { mergeCategories } = require('./topics');
+const { articleKey, articleGuid, canonicalKey } = require('./publishers');
+
+const ARCHIVE_VERSION = 1;
+
+// Titles the scraper falls back to when it couldn't find a real one
+const isPlaceholderTitle = (title) => !title || title === 'Article' || title.includes('Untitled');
+
+async function loadArchive(archivePath) {
+  try {
+    const raw = await fs.readFile(archivePath, 'utf8');
+    const archive = JSON.parse(raw);
+    if (!Array.isArray(archive.articles)) {
+      throw new Error(`Archive ${archivePath} has no "articles" array`);
+    }
+    return archive;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      // First run for this feed - start with an empty store
+      return { version: ARCHIVE_VERSION, updatedAt: null, articles: [] };
+    }
+    throw error;
+  }
+}
+
+async function saveArchive(archivePath, archive) {
+  await fs.mkdir(path.dirname(archivePath), { recursive: true });
+  await fs.writeFile(archivePath, JSON.stringify(archive, null, 2) + '\n', 'utf8');
+}
+
+// GUIDs of the items in the feed already on disk (see readFeedItems() in
+// lib/safeguard.js), by article key
+function publishedGuids(feedItems) {
+  return new Map((feedItems || [])
+    .filter(item => item.url && item.id)
+    .map(item => [articleKey(item.url), item.id]));
+}
+
+// Merge freshly scraped articles into the archive. Returns a new archive object
+// plus the URLs that were seen for the first time and the URLs of entries whose
+// slug or title changed. `guids` (from publishedGuids()) gives articles new to
+// the archive the GUID their feed item already has.
+function mergeArticles(archive, scraped, now = new Date(), guids = new Map()) {
+  const nowIso = now.toISOString();
+  // Pin the GUID of entries stored before GUIDs were. Entries from before the
+  // undated flag only have a pubDate equal to firstSeen to go on.
+  const byUrl = new Map(archive.articles.map(item => [item.url, { guid: item.url, undated: item.pubDate === item.firstSeen, ...item }]));
+  // Any URL an article has been seen under leads to its archive entry by article key
+  const byKey = new Map();
+  const register = item => [item.url, ...(item.aliases || [])].forEach(url => byKey.set(articleKey(url), item.url));
+  byUrl.forEach(register);
+  const added = [];
+  const updated = [];
+  
+  scraped.forEach(article => {
+    const parsedDate = parseArticleDate(article.pubDate);
+    const entryUrl = [article.url, ...(article.aliases || [])]
+      .map(url => byKey.get(articleKey(url)))
+      .find(Boolean);
+    const existing = entryUrl && byUrl.get(entryUrl);
+    
+    if (!existing) {
+      byUrl.set(article.url, {
+        url: article.url,
+        title: article.title || '',
+        description: article.description || '',
+        pubDate: parsedDate ? parsedDate.toISOString() : nowIso,
+        undated: !parsedDate,
+        author: article.author || '',
+        categories: article.categories || [],
+        image: article.image || null,
+        aliases: article.aliases || [],
+        guid: guids.get(articleKey(article.url)) || articleGuid(article.url),
+        firstSeen: nowIso,
+        lastSeen: nowIso,
+        ...enrichedFields(article)
+      });
+      register(byUrl.get(article.url));
+      added.push(article.url);
+      return;
+    }
+    
+    const before = { url: existing.url, title: existing.title };
+    
+    // Enriched values come from the article page itself, so they replace
+    // whatever the listing heuristics stored earlier
+    if (article.enrichedAt) {
+      existing.title = article.title || existing.title;
+      existing.description = article.description || existing.description;
+      if (parsedDate) {
+        existing.pubDate = parsedDate.toISOString();
+        existing.undated = false;
+      }
+      Object.assign(existing, enrichedFields(article));
+    } else if (!existing.enrichedAt) {
+      // Prefer a real title over a placeholder, and never blank out a good one
+      if (article.title && (!isPlaceholderTitle(article.title) || isPlaceholderTitle(existing.title))) {
+        existing.title = article.title;
+      }
+      if (article.description && article.description.length > (existing.description || '').length) {
+        existing.description = article.description;
+      }
+    }
+    // The article page's own image beats the listing thumbnail; a listing
+    // thumbnail only fills a gap
+    if (article.image && (!existing.image || (article.enrichedAt && existing.image.url !== article.image.url))) {
+      existing.image = article.image;
+    }
+    // Categories only ever accumulate
+    existing.categories = mergeCategories(existing.categories, article.categories);
+    if (article.author && (article.enrichedAt || !existing.enrichedAt)) {
+      existing.author = article.author;
+    }
+    // Only replace the stored date when the page now shows a real one and the
+    // stored date was just the first-seen placeholder
+    if (parsedDate && existing.undated) {
+      existing.pubDate = parsedDate.toISOString();
+      existing.undated = false;
+    }
+    // A canonical URL found by enrichment, or a new slug for the same article
+    // ID, replaces the URL the article was stored under
+    const aliases = new Set([...(existing.aliases || []), ...(article.aliases || []), existing.url]);
+    const sameArticle = articleKey(article.url) === articleKey(existing.url);
+    if (article.url !== existing.url && (article.enrichedAt || sameArticle)) {
+      byUrl.delete(existing.url);
+      existing.url = article.url;
+    }
+    aliases.delete(existing.url);
+    existing.aliases = Array.from(aliases);
+    register(existing);
+    
+    const changes = [];
+    if (sameArticle && canonicalKey(before.url) !== canonicalKey(existing.url)) {
+      changes.push({ at: nowIso, field: 'url', from: before.url, to: existing.url });
+    }
+    if (before.title !== existing.title && !isPlaceholderTitle(before.title) && !isPlaceholderTitle(existing.title)) {
+      changes.push({ at: nowIso, field: 'title', from: before.title, to: existing.title });
+    }
+    if (changes.length > 0) {
+      existing.updates = [...(existing.updates || []), ...changes];
+      updated.push(existing.url);
+    }
+    existing.lastSeen = nowIso;
+    byUrl.set(existing.url, existing);
+  });
+  
+  return {
+    archive: {
+      version: ARCHIVE_VERSION,
+      updatedAt: nowIso,
+      articles: sortByDate(Array.from(byUrl.values()))
+    },
+    added,
+    updated
+  };
+}
+
+// When the article last changed: its own dateModified or the latest recorded
+// slug or title change, whichever is later. Returns a Date or null.
+function lastUpdated(article) {
+  const dates = [article.dateModified, ...(article.updates || []).map(update => update.at)]
+    .map(parseArticleDate)
+    .filter(Boolean);
+  return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+}
+
+// Fields that only exist once an article has been enriched
+function enrichedFields(article) {
+  if (!article.enrichedAt) return {};
+  const dateModified = parseArticleDate(article.dateModified);
+  return {
+    dateModified: dateModified ? dateModified.toISOString() : '',
+    authors: article.authors || [],
+    section: article.section || '',
+    canonicalUrl: article.canonicalUrl || '',
+    enrichedAt: article.enrichedAt
+  };
+}
+
+// Newest first, falling back to first-seen order for identical dates
+function sortByDate(articles) {
+  return articles.slice().sort((a, b) => {
+    const diff = new Date(b.pubDate) - new Date(a.pubDate);
+    return diff !== 0 ? diff : new Date(b.firstSeen) - new Date(a.firstSeen);
+  });
+}
+
+module.exports = {
+  loadArchive,
+  saveArchive,
+  mergeArticles,
+  publishedGuids,
+  lastUpdated,
+  isPlaceholderTitle
+};
@@ -0,0 +1,78 @@
+// lib/atom.js - Atom 1.0 (RFC 4287) serializer for the feed model (see lib/feed.js)
+//
+// Dates are RFC 3339. Atom requires a feed id, so the public Atom URL is used
+// when configured and the profile URL otherwise. Lead images become
+// rel="enclosure" links when the feed asks for enclosures.
+
+const { escapeXml } = require('./xml');
+
+function generateAtom(model) {
+  const feedId = model.links.atom || model.homePageUrl;
+  const latest = model.items.reduce((max, item) => {
+    const updated = item.modified || item.published;
+    return updated > max ? updated : max;
+  }, new Date(0));
+  const feedUpdated = model.items.length > 0 ? latest : model.updated;
+
+  let atomContent = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(model.language)}">
+  <title>${escapeXml(model.title)}</title>
+  <subtitle>${escapeXml(model.description)}</subtitle>
+  <id>${escapeXml(feedId)}</id>
+  <updated>${feedUpdated.toISOString()}</updated>
+  <link rel="alternate" type="text/html" href="${escapeXml(model.homePageUrl)}" />
+`;
+
+  // WebSub hubs only make sense next to a self link
+  if (model.links.atom) {
+    atomContent += `  <link rel="self" type="application/atom+xml" href="${escapeXml(model.links.atom)}" />
+`;
+    (model.hubs || []).forEach(hub => {
+      atomContent += `  <link rel="hub" href="${escapeXml(hub)}" />
+`;
+    });
+  }
+
+  atomContent += `  <author>
+    <name>${escapeXml(model.author)}</name>
+  </author>
+  <generator>GitHub Actions RSS Generator</generator>
+`;
+
+  model.items.forEach(item => {
+    const authors = item.authors
+      .map(name => `
+    <author>
+      <name>${escapeXml(name)}</name>
+    </author>`)
+      .join('');
+    const enclosure = model.enclosures && item.image && item.image.type
+      ? `
+    <link rel="enclosure" type="${escapeXml(item.image.type)}" href="${escapeXml(item.image.url)}"${item.image.length ? ` length="${item.image.length}"` : ''} />`
+      : '';
+    const categories = item.categories
+      .map(category => `
+    <category term="${escapeXml(category)}" />`)
+      .join('');
+    
+    atomContent += `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <id>${escapeXml(item.id)}</id>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />${enclosure}
+    <published>${item.published.toISOString()}</published>
+    <updated>${(item.modified || item.published).toISOString()}</updated>${authors}${categories}
+    <summary type="text">${escapeXml(item.summary)}</summary>${item.content ? `
+    <content type="html">${escapeXml(item.content)}</content>` : ''}
+  </entry>`;
+  });
+
+  atomContent += `
+</feed>`;
+
+  return atomContent;
+}
+
+module.exports = {
+  generateAtom
+};
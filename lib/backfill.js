@@ -0,0 +1,337 @@
+// lib/backfill.js - Historical backfill from publisher sitemaps
+//
+// The profile pages only go back so far, so an author's older articles never
+// reach the archive by scraping. `node scraper.js --backfill` walks the site's
+// sitemaps instead: sitemap indexes, article sitemaps and gzipped copies of
+// either. It opens each candidate article page and keeps the ones whose
+// JSON-LD/meta authors (or, failing those, visible byline) name the feed's
+// author. Confirmed articles go into the archive with the publish date from the
+// page, exactly as if enrichment (see lib/enrich.js) had found them; the next
+// normal run publishes them. Pages without a publish date are skipped rather
+// than dated today.
+//
+// A big site lists far more articles than one run should open, so each run
+// checks at most "maxChecks" pages, one request at a time and "delay" ms apart,
+// and remembers where it got to. Run it again to carry on.
+//
+// OPTIONS (feeds.config.json "backfill" block):
+// - sitemaps: Sitemap or sitemap index URLs (default: /sitemap.xml on the site
+//   of each of the feed's profiles)
+// - since: Skip sitemaps and articles last modified before this date, e.g. "2018-01-01"
+// - maxChecks: Article pages opened per run (default 200)
+// - delay: Minimum pause between requests in ms (default 1000)
+// - retries: Extra attempts after a network error, 429 or 5xx (default 2)
+// - retryDelay: First wait between attempts in ms, doubled each time (default 2000)
+//
+// CANDIDATES: URLs the site's publisher adapter calls article URLs (see
+// lib/publishers.js), or anything under /article/<id> on a site without one
+// (e.g. a local copy for testing), that aren't in the archive yet.
+//
+// STATE (next to the archive: data/sharon-machlis.json -> data/sharon-machlis.backfill.json):
+// {
+//   "updatedAt": "...",
+//   "sitemaps": { "<url>": { "lastmod", "doneAt" } },   // article sitemaps fully checked
+//   "checked": { "<url>": "confirmed" | "other-author" | "undated" | "gone" }
+// }
+// Sitemap indexes are read every run; an article sitemap is skipped once all of
+// its candidates were checked, until its lastmod changes. Sitemaps without a
+// lastmod (the configured ones, and index entries that leave it out) can't tell
+// us they changed, so they're read every run. Pages that failed with
+// a network error, 429 or 5xx aren't recorded, so they're tried again next run.
+// The archive and the state are saved as the run goes, so an interrupted run
+// loses little. With --dry-run (or options.dryRun) neither is written.
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { JSDOM } = require('jsdom');
+const { USER_AGENT, fetchHtml, isRetryable, withRetry } = require('./http');
+const { applyMetadata } = require('./enrich');
+const { loadArchive, saveArchive, mergeArticles } = require('./archive');
+const { PUBLISHERS, publisherFor, normalizeArticleUrl, articleKey, dedupeByCanonical } = require('./publishers');
+const { parseArticleDate } = require('./dates');
+const { isFeedAuthor } = require('./quality');
+const { CONSOLE_LOGGER } = require('./logger');
+
+const DEFAULT_BACKFILL = {
+  sitemaps: [],
+  since: '',
+  maxChecks: 200,
+  delay: 1000,
+  retries: 2,
+  retryDelay: 2000
+};
+
+// Sitemap indexes may point at further indexes, but not forever
+const MAX_SITEMAP_DEPTH = 3;
+// Save the archive and the state after this many article pages
+const SAVE_EVERY = 25;
+// Visible bylines, for pages whose metadata names no author
+const BYLINE_SELECTORS = ['[rel="author"]', '[itemprop="author"]', '.byline', '.author-name'];
+
+// data/sharon-machlis.json -> data/sharon-machlis.backfill.json
+function backfillStatePathFor(archivePath) {
+  const parsed = path.parse(archivePath);
+  return path.join(parsed.dir, `${parsed.name}.backfill.json`);
+}
+
+async function loadBackfillState(statePath) {
+  try {
+    return JSON.parse(await fs.readFile(statePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { updatedAt: null, sitemaps: {}, checked: {} };
+    }
+    throw new Error(`Could not read backfill state ${statePath}: ${error.message}`);
+  }
+}
+
+async function saveBackfillState(statePath, state) {
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  await fs.writeFile(statePath, JSON.stringify(state, null, 2) + '\n', 'utf8');
+}
+
+// The feed's sitemaps, or /sitemap.xml on each of its profiles' sites
+function sitemapsFor(feed) {
+  const config = { ...DEFAULT_BACKFILL, ...(feed.backfill || {}) };
+  if (config.sitemaps.length > 0) return config.sitemaps;
+  return Array.from(new Set(feed.profileUrls.map(url => new URL('/sitemap.xml', url).href)));
+}
+
+// A sitemap's XML. Gzipped sitemaps are usually served as application/gzip
+// rather than with Content-Encoding, so fetch() hands them over still compressed.
+async function fetchSitemap(url, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+  const response = await fetchImpl(url, {
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/xml, text/xml, */*' },
+    signal: AbortSignal.timeout(options.timeout || 30000)
+  });
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status} fetching ${url}`);
+    error.status = response.status;
+    throw error;
+  }
+  const body = Buffer.from(await response.arrayBuffer());
+  // The gzip magic number, whatever the file is called
+  const xml = body[0] === 0x1f && body[1] === 0x8b ? zlib.gunzipSync(body) : body;
+  return xml.toString('utf8');
+}
+
+// Sitemap or sitemap index XML -> { sitemaps: [{ loc, lastmod }], urls: [{ loc, lastmod }] }
+function parseSitemap(xml) {
+  const dom = new JSDOM(xml, { contentType: 'text/xml' });
+  const document = dom.window.document;
+  // <image:loc> and friends have other qualified names, so only <loc> matches
+  const entries = tag => Array.from(document.getElementsByTagName(tag)).map(element => {
+    const text = name => {
+      const child = element.getElementsByTagName(name)[0];
+      return child ? child.textContent.trim() : '';
+    };
+    return { loc: text('loc'), lastmod: text('lastmod') };
+  }).filter(entry => entry.loc);
+  const result = { sitemaps: entries('sitemap'), urls: entries('url') };
+  dom.window.close();
+  return result;
+}
+
+// Does a sitemap URL look like an article page?
+function isCandidate(url) {
+  const publisher = publisherFor(url);
+  if (publisher) {
+    return publisher.isArticleUrl(url) && publisher.articleId(url) !== '';
+  }
+  try {
+    return /\/article\/\d+(?:\/|\.html|$)/.test(new URL(url).pathname);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Names in the page's visible byline, without a leading "By"
+function bylineNames(html, url) {
+  const dom = new JSDOM(html, { url });
+  const names = Array.from(dom.window.document.querySelectorAll(BYLINE_SELECTORS.join(', ')))
+    .flatMap(element => element.textContent.replace(/^\s*by\s+/i, '').split(/,|\band\b/))
+    .map(name => name.trim())
+    .filter(Boolean);
+  dom.window.close();
+  return names;
+}
+
+// Decide one article page. Returns { status, authors, article } where status is
+// 'confirmed', 'other-author' or 'undated' and article is set when confirmed.
+function checkArticlePage(html, url, feed, extractMetadata) {
+  const metadata = extractMetadata(html, url);
+  const authors = metadata.authors.length > 0 ? metadata.authors : bylineNames(html, url);
+  if (!authors.some(name => isFeedAuthor(name, feed.author))) {
+    return { status: 'other-author', authors, article: null };
+  }
+  if (!parseArticleDate(metadata.datePublished)) {
+    return { status: 'undated', authors, article: null };
+  }
+  const article = applyMetadata({ url, title: '', description: '', author: feed.author, categories: [] }, { ...metadata, authors });
+  return { status: 'confirmed', authors, article };
+}
+
+// Walk the feed's sitemaps and add the author's articles to its archive.
+// options: fetch (sitemaps), fetchHtml (article pages), extractMetadata, maxChecks,
+// dryRun, logger. Returns { sitemaps, candidates, checked, confirmed, otherAuthor,
+// undated, failed, added, complete }; complete means every sitemap was finished.
+async function backfillFeed(feed, options = {}) {
+  const log = options.logger || CONSOLE_LOGGER;
+  const config = { ...DEFAULT_BACKFILL, ...(feed.backfill || {}) };
+  const maxChecks = options.maxChecks || config.maxChecks;
+  const fetchPage = options.fetchHtml || fetchHtml;
+  const extractMetadata = options.extractMetadata ||
+    ((html, url) => (publisherFor(url) || PUBLISHERS[0]).extractMetadata(html, url));
+  const since = config.since ? parseArticleDate(config.since) : null;
+  if (config.since && !since) {
+    throw new Error(`"backfill.since" needs a date (got "${config.since}")`);
+  }
+  const tooOld = lastmod => Boolean(since && parseArticleDate(lastmod) && parseArticleDate(lastmod) < since);
+  const retry = { retries: config.retries, retryDelay: config.retryDelay, isRetryable, logger: log };
+
+  const statePath = backfillStatePathFor(feed.archive);
+  const state = await loadBackfillState(statePath);
+  let archive = await loadArchive(feed.archive);
+  const known = new Set(archive.articles.flatMap(a => [a.url, ...(a.aliases || [])]).map(articleKey));
+  const result = {
+    sitemaps: 0, candidates: 0, checked: 0, confirmed: 0, otherAuthor: 0, undated: 0, failed: 0, added: 0, complete: false
+  };
+  let budget = maxChecks;
+  let unreadable = 0;
+  let confirmed = [];
+
+  // One request at a time, at least config.delay ms after the previous one
+  let lastRequest = 0;
+  const paced = async (action) => {
+    const wait = lastRequest + config.delay - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    try {
+      return await withRetry(action, retry);
+    } finally {
+      lastRequest = Date.now();
+    }
+  };
+
+  const save = async () => {
+    if (options.dryRun) return;
+    if (confirmed.length > 0) {
+      const merged = mergeArticles(archive, dedupeByCanonical(confirmed));
+      archive = merged.archive;
+      result.added += merged.added.length;
+      confirmed = [];
+      await saveArchive(feed.archive, archive);
+    }
+    state.updatedAt = new Date().toISOString();
+    await saveBackfillState(statePath, state);
+  };
+
+  // Check one candidate. Returns false when it should be tried again next run.
+  const checkCandidate = async (entry) => {
+    try {
+      const html = await paced(() => fetchPage(entry.loc));
+      const check = checkArticlePage(html, entry.url, feed, extractMetadata);
+      state.checked[entry.url] = check.status;
+      if (check.status === 'confirmed') {
+        result.confirmed++;
+        confirmed.push(check.article);
+        known.add(articleKey(entry.url));
+        log.info(`✅ ${check.article.title} (${check.article.pubDate.slice(0, 10)})`);
+      } else if (check.status === 'other-author') {
+        result.otherAuthor++;
+        if (options.debugMode) {
+          log.info(`   Not by ${feed.author}: ${entry.url} (${check.authors.join(', ') || 'no byline'})`);
+        }
+      } else {
+        result.undated++;
+        log.warn(`⚠️  No publish date on ${entry.url}, skipping it`);
+      }
+      return true;
+    } catch (error) {
+      result.failed++;
+      log.warn(`⚠️  Could not check ${entry.loc}: ${error.message}`);
+      // A missing page won't come back; anything else is worth another try
+      if (!isRetryable(error)) {
+        state.checked[entry.url] = 'gone';
+        return true;
+      }
+      return false;
+    } finally {
+      result.checked++;
+      if (result.checked % SAVE_EVERY === 0) {
+        await save();
+      }
+    }
+  };
+
+  // Read one sitemap (recursing into indexes) and check its new candidates.
+  // Returns true when nothing in it is left for a later run.
+  const visit = async (sitemapUrl, lastmod, depth) => {
+    const previous = state.sitemaps[sitemapUrl];
+    if ((lastmod && previous && previous.lastmod === lastmod) || tooOld(lastmod)) return true;
+    if (budget === 0) return false;
+
+    let sitemap;
+    try {
+      sitemap = parseSitemap(await paced(() => fetchSitemap(sitemapUrl, options)));
+    } catch (error) {
+      log.warn(`⚠️  Could not read sitemap ${sitemapUrl}: ${error.message}`);
+      unreadable++;
+      return false;
+    }
+    result.sitemaps++;
+
+    let done = true;
+    for (const child of sitemap.sitemaps) {
+      if (depth >= MAX_SITEMAP_DEPTH) {
+        log.warn(`⚠️  Not following sitemaps nested more than ${MAX_SITEMAP_DEPTH} deep in ${sitemapUrl}`);
+        break;
+      }
+      done = await visit(child.loc, child.lastmod, depth + 1) && done;
+    }
+    if (sitemap.sitemaps.length > 0) return done;
+
+    const pending = sitemap.urls
+      .filter(entry => isCandidate(entry.loc) && !tooOld(entry.lastmod))
+      .map(entry => ({ loc: entry.loc, url: normalizeArticleUrl(entry.loc) }))
+      .filter(entry => !state.checked[entry.url] && !known.has(articleKey(entry.url)));
+    result.candidates += pending.length;
+    if (options.debugMode) {
+      log.info(`🗺️  ${sitemapUrl}: ${sitemap.urls.length} URL(s), ${pending.length} to check`);
+    }
+    for (const entry of pending) {
+      if (budget === 0) return false;
+      budget--;
+      done = await checkCandidate(entry) && done;
+    }
+    // Index entries carry the lastmod we compare with next time
+    if (done) {
+      state.sitemaps[sitemapUrl] = { lastmod, doneAt: new Date().toISOString() };
+    }
+    return done;
+  };
+
+  let complete = true;
+  for (const sitemapUrl of sitemapsFor(feed)) {
+    complete = await visit(sitemapUrl, '', 0) && complete;
+  }
+  if (result.sitemaps === 0 && unreadable > 0) {
+    throw new Error('Could not read any of the feed\'s sitemaps');
+  }
+  await save();
+  result.complete = complete;
+  return result;
+}
+
+module.exports = {
+  DEFAULT_BACKFILL,
+  backfillStatePathFor,
+  sitemapsFor,
+  fetchSitemap,
+  parseSitemap,
+  checkArticlePage,
+  backfillFeed
+};
@@ -0,0 +1,206 @@
+// lib/cli.js - Command-line option parsing for scraper.js
+//
+// Everything that used to be a constant edited in source (MAX_ARTICLES,
+// DEBUG_MODE, the profile URL, the output path) can be set from the command
+// line. Anything not given falls back to feeds.config.json and the defaults below.
+
+const { parseArgs } = require('util');
+const { FORMATS } = require('./feed');
+const { STRATEGIES } = require('./static');
+const { DEFAULT_SERVER } = require('./server');
+const { DEFAULT_MAX_ARTICLES } = require('./scrape');
+const { LOG_FORMATS } = require('./logger');
+
+// Exit codes let the workflow tell "nothing found" apart from a crash
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_NO_ARTICLES = 2;
+const EXIT_REFUSED = 3;
+const EXIT_INVALID = 4;
+
+const USAGE = `Usage: node scraper.js [options]
+
+Options:
+  -u, --url <url>         Profile URL to scrape (repeatable). Overrides the config file.
+  -a, --author <name>     Author name for --url feeds (default: from config or URL slug)
+  -o, --output <path>     Output path for the RSS feed (single feed only)
+  -n, --max-items <n>     Maximum articles taken from each profile page (default: ${DEFAULT_MAX_ARTICLES})
+  -p, --max-pages <n>     Maximum profile pages to follow (default: feed's "pagination" or 5)
+  -f, --format <list>     Comma-separated output formats: ${Object.keys(FORMATS).join(', ')}
+  -s, --strategy <name>   How to load profile pages: ${STRATEGIES.join(', ')} (default: auto,
+                          plain HTTP first and a headless browser only if that falls short)
+  -c, --config <path>     Feed config file (default: feeds.config.json or $FEED_CONFIG)
+      --full-content      Fetch and include full article bodies (content:encoded)
+      --artifacts <dir>   Where failure diagnostics go (default: artifacts)
+      --from-html <file>  Extract from a saved profile page instead of loading it live
+      --serve             Serve the feeds over HTTP with /health and POST /refresh
+      --port <n>          Port for --serve (default: ${DEFAULT_SERVER.port})
+      --host <address>    Address for --serve (default: ${DEFAULT_SERVER.host})
+      --no-notify         Don't send new-article notifications
+      --no-ping           Don't ping the feeds' WebSub hubs after a change
+      --ping              Ping the WebSub hubs for every feed the last run changed (no scraping)
+      --site-only         Rebuild the HTML archive page from the archive (no network)
+      --allow <url>       Always publish this article, whatever its quality score (repeatable)
+      --deny <url>        Never publish this article (repeatable)
+      --rules <file>      Include/exclude rules file for every feed (default: feed's "rules")
+      --explain           Show which rule keeps or drops each archived article (no network)
+      --backfill          Add the author's older articles from the site's sitemaps to the archive
+                          (resumable; see the feed's "backfill" block)
+      --max-checks <n>    Article pages --backfill opens this run (default: feed's "backfill" or 200)
+      --report            Summarize each feed's run history and flag regressions (no network)
+      --log-format <name> Progress output: ${LOG_FORMATS.join(', ')} (default: text; json prints one event per line)
+      --dry-run           Print the feed to stdout; don't write feeds or the archive
+      --force             Replace the previous feed even if the safeguard objects
+  -d, --debug             Detailed extraction logging
+  -h, --help              Show this help
+
+Exit codes:
+  ${EXIT_OK}  Feeds generated
+  ${EXIT_FAILURE}  Hard failure (bad options, config, network or browser errors)
+  ${EXIT_NO_ARTICLES}  Ran cleanly but no articles were found
+  ${EXIT_REFUSED}  Kept the previous feed: the new one was empty, an error or lost too many items
+  ${EXIT_INVALID}  The generated RSS failed validation and was not written
+`;
+
+// Numeric option values. Unlike parseInt(), "5abc" is NaN instead of 5 and
+// "2.5" stays 2.5 for the integer checks to reject; a blank value is NaN too,
+// rather than Number()'s 0.
+function parseInteger(value) {
+  return value.trim() === '' ? NaN : Number(value);
+}
+
+function parseCliArgs(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      url: { type: 'string', short: 'u', multiple: true },
+      author: { type: 'string', short: 'a' },
+      output: { type: 'string', short: 'o' },
+      'max-items': { type: 'string', short: 'n' },
+      'max-pages': { type: 'string', short: 'p' },
+      format: { type: 'string', short: 'f' },
+      strategy: { type: 'string', short: 's' },
+      config: { type: 'string', short: 'c' },
+      'full-content': { type: 'boolean', default: false },
+      artifacts: { type: 'string' },
+      'from-html': { type: 'string' },
+      serve: { type: 'boolean', default: false },
+      port: { type: 'string' },
+      host: { type: 'string' },
+      'no-notify': { type: 'boolean', default: false },
+      'no-ping': { type: 'boolean', default: false },
+      ping: { type: 'boolean', default: false },
+      'site-only': { type: 'boolean', default: false },
+      allow: { type: 'string', multiple: true },
+      deny: { type: 'string', multiple: true },
+      rules: { type: 'string' },
+      explain: { type: 'boolean', default: false },
+      backfill: { type: 'boolean', default: false },
+      'max-checks': { type: 'string' },
+      report: { type: 'boolean', default: false },
+      'log-format': { type: 'string', default: 'text' },
+      'dry-run': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      debug: { type: 'boolean', short: 'd', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    },
+    strict: true
+  });
+
+  const options = {
+    urls: values.url || [],
+    author: values.author || '',
+    output: values.output || '',
+    maxArticles: DEFAULT_MAX_ARTICLES,
+    maxPages: 0,
+    formats: null,
+    strategy: values.strategy || '',
+    configPath: values.config || '',
+    fullContent: values['full-content'],
+    artifactsDir: values.artifacts || '',
+    fromHtml: values['from-html'] || '',
+    serve: values.serve,
+    port: DEFAULT_SERVER.port,
+    host: values.host || DEFAULT_SERVER.host,
+    noNotify: values['no-notify'],
+    noPing: values['no-ping'],
+    ping: values.ping,
+    siteOnly: values['site-only'],
+    allow: values.allow || [],
+    deny: values.deny || [],
+    rulesPath: values.rules || '',
+    explain: values.explain,
+    backfill: values.backfill,
+    maxChecks: 0,
+    report: values.report,
+    logFormat: values['log-format'],
+    dryRun: values['dry-run'],
+    force: values.force,
+    debug: values.debug,
+    help: values.help
+  };
+
+  if (values['max-items'] !== undefined) {
+    const maxArticles = parseInteger(values['max-items']);
+    if (!Number.isInteger(maxArticles) || maxArticles < 1) {
+      throw new Error(`--max-items must be a positive integer (got "${values['max-items']}")`);
+    }
+    options.maxArticles = maxArticles;
+  }
+
+  if (values['max-pages'] !== undefined) {
+    const maxPages = parseInteger(values['max-pages']);
+    if (!Number.isInteger(maxPages) || maxPages < 1) {
+      throw new Error(`--max-pages must be a positive integer (got "${values['max-pages']}")`);
+    }
+    options.maxPages = maxPages;
+  }
+
+  if (values['max-checks'] !== undefined) {
+    const maxChecks = parseInteger(values['max-checks']);
+    if (!Number.isInteger(maxChecks) || maxChecks < 1) {
+      throw new Error(`--max-checks must be a positive integer (got "${values['max-checks']}")`);
+    }
+    options.maxChecks = maxChecks;
+  }
+
+  if (values.port !== undefined) {
+    const port = parseInteger(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`--port must be a port number (got "${values.port}")`);
+    }
+    options.port = port;
+  }
+
+  if (values.format) {
+    options.formats = values.format.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = options.formats.filter(format => !FORMATS[format]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown format(s): ${unknown.join(', ')} (expected: ${Object.keys(FORMATS).join(', ')})`);
+    }
+  }
+
+  if (options.strategy && !STRATEGIES.includes(options.strategy)) {
+    throw new Error(`Unknown strategy "${options.strategy}" (expected: ${STRATEGIES.join(', ')})`);
+  }
+
+  if (!LOG_FORMATS.includes(options.logFormat)) {
+    throw new Error(`Unknown log format "${options.logFormat}" (expected: ${LOG_FORMATS.join(', ')})`);
+  }
+
+  if (options.fromHtml && options.urls.length > 1) {
+    throw new Error('--from-html works with a single profile URL');
+  }
+
+  return options;
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_FAILURE,
+  EXIT_NO_ARTICLES,
+  EXIT_REFUSED,
+  EXIT_INVALID,
+  USAGE,
+  parseCliArgs
+};
@@ -0,0 +1,158 @@
+// lib/config.js - Feed configuration: loading, defaults and command-line overrides
+//
+// A feed entry in feeds.config.json only needs "author" and "profileUrl";
+// normalizeFeed() fills in everything else so the rest of the code can rely on
+// every block being there. resolveFeeds() applies command-line options on top.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_FULL_CONTENT } = require('./content');
+const { DEFAULT_IMAGES } = require('./images');
+const { DEFAULT_SITE } = require('./site');
+const { DEFAULT_QUALITY } = require('./quality');
+const { DEFAULT_DIAGNOSTICS } = require('./diagnostics');
+const { normalizeWebsub } = require('./websub');
+const { DEFAULT_BACKFILL } = require('./backfill');
+const { PUBLISHERS, publisherFor } = require('./publishers');
+
+const CONFIG_PATH = process.env.FEED_CONFIG || path.join(__dirname, '..', 'feeds.config.json');
+
+// Load and normalize the feed configuration
+async function loadConfig(configPath = CONFIG_PATH) {
+  const raw = await fs.readFile(configPath, 'utf8');
+  const config = JSON.parse(raw);
+
+  if (!Array.isArray(config.feeds) || config.feeds.length === 0) {
+    throw new Error(`No feeds defined in ${configPath}`);
+  }
+
+  return config.feeds.map((feed, index) => {
+    if (!feed.author || !feed.profileUrl) {
+      throw new Error(`Feed #${index + 1} in ${configPath} needs both "author" and "profileUrl"`);
+    }
+    return normalizeFeed(feed);
+  });
+}
+
+// Adapter for a profile or article URL. Unknown hosts (a mirror, a local copy
+// for testing) get the InfoWorld rules, as before adapters existed.
+function adapterFor(url) {
+  return publisherFor(url) || PUBLISHERS[0];
+}
+
+// Publication names for a feed's profiles, e.g. "InfoWorld and Computerworld"
+function publicationName(profileUrls) {
+  const names = Array.from(new Set(profileUrls.map(url => adapterFor(url).name)));
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+// Fill in defaults for a feed entry from the config file or the command line
+function normalizeFeed(feed) {
+  const slug = feed.author.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  // "profiles" adds the author's pages on other supported sites to the same feed.
+  // An already normalized feed keeps its list.
+  const profileUrls = feed.profileUrls || [feed.profileUrl, ...(feed.profiles || [])];
+  const publication = publicationName(profileUrls);
+  return {
+    author: feed.author,
+    profileUrl: feed.profileUrl,
+    profileUrls,
+    publication,
+    output: feed.output || `feed-${slug}.xml`,
+    archive: feed.archive || path.join('data', `${slug}.json`),
+    title: feed.title || `${feed.author} - ${publication} Articles`,
+    description: feed.description || `Latest articles by ${feed.author} on ${publication} - Automatically generated RSS feed`,
+    feedUrl: feed.feedUrl || '',
+    formats: feed.formats || ['rss'],
+    enrich: feed.enrich !== false,
+    fetch: { strategy: 'auto', ...(feed.fetch || {}) },
+    safeguard: { ...(feed.safeguard || {}) },
+    pagination: { ...(feed.pagination || {}) },
+    topics: feed.topics || [],
+    rules: feed.rules || '',
+    fullContent: { ...DEFAULT_FULL_CONTENT, ...(feed.fullContent || {}) },
+    images: { ...DEFAULT_IMAGES, ...(feed.images || {}) },
+    quality: { ...DEFAULT_QUALITY, ...(feed.quality || {}) },
+    site: { ...DEFAULT_SITE, ...(feed.site || {}) },
+    notify: feed.notify || null,
+    websub: normalizeWebsub(feed.websub),
+    backfill: { ...DEFAULT_BACKFILL, ...(feed.backfill || {}) },
+    diagnostics: { ...DEFAULT_DIAGNOSTICS, ...(feed.diagnostics || {}) }
+  };
+}
+
+// Guess an author name from a profile URL slug,
+// e.g. https://www.infoworld.com/profile/sharon-machlis/ -> "Sharon Machlis"
+function authorFromProfileUrl(profileUrl) {
+  const slug = new URL(profileUrl).pathname.split('/').filter(Boolean).pop() || '';
+  return slug
+    .split('-')
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Work out which feeds to build: config entries, or ad-hoc --url feeds that
+// reuse a matching config entry when there is one
+async function resolveFeeds(options) {
+  let configured = [];
+  try {
+    configured = await loadConfig(options.configPath || CONFIG_PATH);
+  } catch (error) {
+    // The default config file is optional when URLs come from the command line
+    if (options.urls.length === 0 || options.configPath || error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  let feeds = configured;
+  if (options.urls.length > 0) {
+    feeds = options.urls.map(url => {
+      const match = configured.find(feed => feed.profileUrl === url);
+      if (match && !options.author) return match;
+      const author = options.author || authorFromProfileUrl(url);
+      if (!author) {
+        throw new Error(`Could not work out an author name for ${url} - pass --author`);
+      }
+      return normalizeFeed({ author, profileUrl: url });
+    });
+  }
+
+  if (options.output) {
+    if (feeds.length !== 1) {
+      throw new Error('--output only works when generating a single feed');
+    }
+    feeds = [{ ...feeds[0], output: options.output }];
+  }
+
+  if (options.formats) {
+    feeds = feeds.map(feed => ({ ...feed, formats: options.formats }));
+  }
+
+  if (options.strategy) {
+    feeds = feeds.map(feed => ({ ...feed, fetch: { ...feed.fetch, strategy: options.strategy } }));
+  }
+
+  if (options.rulesPath) {
+    feeds = feeds.map(feed => ({ ...feed, rules: options.rulesPath }));
+  }
+
+  if (options.artifactsDir) {
+    feeds = feeds.map(feed => ({ ...feed, diagnostics: { ...feed.diagnostics, artifactsDir: options.artifactsDir } }));
+  }
+
+  if (options.fullContent) {
+    feeds = feeds.map(feed => ({ ...feed, fullContent: { ...feed.fullContent, enabled: true } }));
+  }
+
+  return feeds;
+}
+
+module.exports = {
+  CONFIG_PATH,
+  loadConfig,
+  normalizeFeed,
+  adapterFor,
+  authorFromProfileUrl,
+  resolveFeeds
+};
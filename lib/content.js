@@ -0,0 +1,249 @@
+// lib/content.js - Full-text article bodies for content:encoded
+//
+// In full-content mode each article page is fetched once, its main body is
+// pulled out, cleaned and stored in the archive, and the feed carries it in
+// content:encoded (RSS), <content type="html"> (Atom) and content_html (JSON Feed).
+//
+// CLEANUP:
+// - Ads, newsletter prompts, share bars, author bios and related-link blocks are dropped
+// - Only a small whitelist of tags and attributes survives; everything else is
+//   unwrapped (kept text) or removed outright (scripts, forms, embeds)
+// - Relative links and image URLs are made absolute; lazy-loaded images get a real src
+//
+// LIMITS (feeds.config.json "fullContent" block):
+// - maxParagraphs: Keep only the first N paragraphs (0 = no limit)
+// - maxBytes: Size cap for the cleaned HTML (default 20000)
+// When either limit cuts the body short, a "continue reading" link is appended.
+
+const { JSDOM } = require('jsdom');
+const { fetchHtml } = require('./http');
+const { CONSOLE_LOGGER } = require('./logger');
+
+const DEFAULT_FULL_CONTENT = {
+  enabled: false,
+  maxParagraphs: 0,
+  maxBytes: 20000,
+  maxFetchPerRun: 20
+};
+
+// Where the article body usually lives, most specific first
+const BODY_SELECTORS = [
+  '[itemprop="articleBody"]',
+  '.article-body',
+  '[class*="article-body"]',
+  '[class*="articleBody"]',
+  '[class*="article__body"]',
+  '[class*="content-body"]',
+  '[class*="post-content"]',
+  'article .content',
+  'article',
+  'main'
+];
+
+// Blocks that are never part of the story
+const JUNK_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'form', 'svg', 'button', 'aside', 'nav', 'footer',
+  '[class~="ad"]', '[class^="ad-"]', '[class*=" ad-"]', '[class*="advert"]', '[id^="ad-"]', '[data-ad]',
+  '[class*="newsletter"]', '[class*="subscribe"]', '[class*="signup"]',
+  '[class*="related"]', '[class*="recommended"]', '[class*="more-from"]', '[class*="read-next"]',
+  '[class*="promo"]', '[class*="sponsor"]', '[class*="share"]', '[class*="social"]',
+  '[class*="author-bio"]', '[class*="byline"]', '[class*="tags"]', '[class*="comments"]'
+];
+
+// Short paragraphs that are really calls to action
+const JUNK_TEXT = /^(sign up|subscribe)\b|newsletter|^(related|read more|see also|more from)\s*:/i;
+
+const ALLOWED_TAGS = new Set([
+  'p', 'a', 'em', 'strong', 'b', 'i', 'u', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+  'h2', 'h3', 'h4', 'h5', 'h6', 'img', 'figure', 'figcaption', 'br', 'hr',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'sup', 'sub'
+]);
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  th: ['colspan', 'rowspan'],
+  td: ['colspan', 'rowspan']
+};
+// Removed with their contents rather than unwrapped
+const DROPPED_TAGS = new Set(['script', 'style', 'noscript', 'iframe', 'object', 'embed', 'form', 'svg', 'template']);
+const BLOCK_TAGS = new Set(['p', 'ul', 'ol', 'blockquote', 'pre', 'h2', 'h3', 'h4', 'h5', 'h6', 'figure', 'table', 'hr']);
+
+function absoluteUrl(value, baseUrl) {
+  try {
+    const url = new URL(value, baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+// Lazy-loaded images keep the real URL in data-src or srcset
+function imageSource(img) {
+  const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset') || '';
+  return img.getAttribute('data-src') ||
+    img.getAttribute('data-lazy-src') ||
+    img.getAttribute('src') ||
+    srcset.split(',')[0].trim().split(/\s+/)[0] ||
+    '';
+}
+
+// Rebuild `source` inside `target` with only whitelisted tags and attributes
+function sanitizeInto(source, target, document, baseUrl) {
+  Array.from(source.childNodes).forEach(node => {
+    if (node.nodeType === 3) {
+      target.appendChild(document.createTextNode(node.textContent));
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) return;
+
+    if (!ALLOWED_TAGS.has(tag)) {
+      // Unwrap: keep the children, lose the element
+      sanitizeInto(node, target, document, baseUrl);
+      return;
+    }
+
+    const clean = document.createElement(tag === 'b' ? 'strong' : tag === 'i' ? 'em' : tag);
+    (ALLOWED_ATTRIBUTES[tag] || []).forEach(name => {
+      let value = tag === 'img' && name === 'src' ? imageSource(node) : node.getAttribute(name);
+      if (!value) return;
+      if (name === 'href' || name === 'src') {
+        value = absoluteUrl(value, baseUrl);
+        if (!value) return;
+      }
+      clean.setAttribute(name, value);
+    });
+
+    if (tag === 'img' && !clean.getAttribute('src')) return;
+    if (tag === 'a' && !clean.getAttribute('href')) {
+      sanitizeInto(node, target, document, baseUrl);
+      return;
+    }
+
+    sanitizeInto(node, clean, document, baseUrl);
+    target.appendChild(clean);
+  });
+}
+
+// Pick the element holding the article body
+function findBody(document) {
+  for (const selector of BODY_SELECTORS) {
+    const candidates = Array.from(document.querySelectorAll(selector));
+    const body = candidates.find(element => (element.textContent || '').trim().length > 200);
+    if (body) return body;
+  }
+  return null;
+}
+
+// Extract the cleaned article body as an HTML string ('' when none is found)
+function extractArticleContent(html, url, options = {}) {
+  const limits = { ...DEFAULT_FULL_CONTENT, ...options };
+  const dom = new JSDOM(html, { url });
+  const document = dom.window.document;
+
+  try {
+    const body = findBody(document);
+    if (!body) return '';
+
+    JUNK_SELECTORS.forEach(selector => {
+      body.querySelectorAll(selector).forEach(element => element.remove());
+    });
+    body.querySelectorAll('p').forEach(paragraph => {
+      const text = (paragraph.textContent || '').trim();
+      if (!text && !paragraph.querySelector('img')) {
+        paragraph.remove();
+      } else if (text.length < 200 && JUNK_TEXT.test(text)) {
+        paragraph.remove();
+      }
+    });
+
+    const clean = document.createElement('div');
+    sanitizeInto(body, clean, document, url);
+
+    // Stray inline text at the top level gets its own paragraph
+    Array.from(clean.childNodes).forEach(node => {
+      if (node.nodeType === 3) {
+        if (node.textContent.trim()) {
+          const paragraph = document.createElement('p');
+          paragraph.textContent = node.textContent.trim();
+          clean.replaceChild(paragraph, node);
+        } else {
+          node.remove();
+        }
+      }
+    });
+
+    let truncated = false;
+
+    // Keep only the first N paragraphs
+    if (limits.maxParagraphs > 0) {
+      let paragraphs = 0;
+      Array.from(clean.children).forEach(element => {
+        if (paragraphs >= limits.maxParagraphs) {
+          element.remove();
+          truncated = true;
+        } else if (element.tagName.toLowerCase() === 'p') {
+          paragraphs++;
+        }
+      });
+    }
+
+    // Drop trailing blocks until the body fits the size cap
+    if (limits.maxBytes > 0) {
+      while (clean.children.length > 1 && Buffer.byteLength(clean.innerHTML, 'utf8') > limits.maxBytes) {
+        clean.lastElementChild.remove();
+        truncated = true;
+      }
+    }
+
+    const content = Array.from(clean.children)
+      .filter(element => BLOCK_TAGS.has(element.tagName.toLowerCase()) || element.textContent.trim())
+      .map(element => element.outerHTML)
+      .join('\n');
+
+    if (!content) return '';
+    return truncated
+      ? `${content}\n<p><a href="${absoluteUrl(url, url)}">Continue reading on the original site</a></p>`
+      : content;
+  } finally {
+    dom.window.close();
+  }
+}
+
+// Fetch and store bodies for archive articles that don't have one yet, at most
+// maxFetchPerRun per run so the archive fills in gradually. Mutates the articles.
+async function fillArticleContent(articles, options = {}) {
+  const log = options.logger || CONSOLE_LOGGER;
+  const limits = { ...DEFAULT_FULL_CONTENT, ...options };
+  const fetchPage = options.fetchHtml || fetchHtml;
+  const delay = options.delay !== undefined ? options.delay : 1000;
+  const pending = articles.filter(article => !article.contentFetchedAt).slice(0, limits.maxFetchPerRun);
+
+  for (let i = 0; i < pending.length; i++) {
+    const article = pending[i];
+    try {
+      const html = await fetchPage(article.url);
+      article.content = extractArticleContent(html, article.url, limits);
+      article.contentFetchedAt = new Date().toISOString();
+      if (options.debugMode) {
+        log.info(`Full text: ${article.url} (${Buffer.byteLength(article.content, 'utf8')} bytes)`);
+      }
+    } catch (error) {
+      log.warn(`⚠️  Could not fetch full text for ${article.url}: ${error.message}`);
+    }
+
+    if (delay > 0 && i < pending.length - 1) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  return pending.length;
+}
+
+module.exports = {
+  DEFAULT_FULL_CONTENT,
+  extractArticleContent,
+  fillArticleContent
+};
@@ -0,0 +1,39 @@
+// lib/dates.js - Date parsing helpers shared by the scraper and the archive
+//
+// InfoWorld pages show dates in a few shapes: ISO timestamps in datetime
+// attributes, "Dec 19, 2024" in card text, and sometimes nothing at all.
+// parseArticleDate() turns any of these into a Date, or null when it can't.
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                     'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function parseArticleDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  
+  const dateStr = String(value).trim();
+  
+  // Try to parse "Dec 19, 2024" format first so it lands on midnight UTC
+  // instead of midnight in whatever timezone the runner happens to use
+  const dateMatch = dateStr.match(/^(\w{3})\w*\.?\s+(\d{1,2}),\s+(\d{4})$/);
+  if (dateMatch) {
+    const monthIndex = MONTH_NAMES.indexOf(dateMatch[1].charAt(0).toUpperCase() + dateMatch[1].slice(1, 3).toLowerCase());
+    if (monthIndex !== -1) {
+      return new Date(Date.UTC(parseInt(dateMatch[3], 10), monthIndex, parseInt(dateMatch[2], 10)));
+    }
+  }
+  
+  // If it's already a valid date string, use it
+  const parsed = new Date(dateStr);
+  if (!isNaN(parsed.getTime())) {
+    return parsed;
+  }
+  
+  return null;
+}
+
+module.exports = {
+  parseArticleDate
+};
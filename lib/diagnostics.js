@@ -0,0 +1,237 @@
+// lib/diagnostics.js - Failure classification and debugging artifacts
+//
+// A failed run used to leave nothing but error.message in the Action log. Now
+// every profile page a run loads is kept in memory, and when something goes
+// wrong it is written to the artifacts directory with everything needed to
+// work out why:
+//
+// ARTIFACTS (<artifactsDir>/<author-slug>-<timestamp>/):
+// - diagnosis.json: Failure kind, error, pages loaded and selector hit counts
+// - page-N.html: The HTML of each profile page loaded (rendered DOM for the browser)
+// - screenshot.png: Full-page screenshot (browser strategy only)
+// - trace.txt: The extraction debug trace, re-run against the saved HTML
+//
+// KINDS:
+// - network: DNS, connection and 5xx errors
+// - timeout: Navigation or fetch timed out
+// - blocked: 401/403/429/451, captcha or bot checks, consent walls
+// - layout-changed: The page loaded but no articles were found, or the article
+//   selectors matched far fewer elements than on the previous run
+// - unknown: Anything else
+//
+// OPTIONS (feeds.config.json "diagnostics" block):
+// - artifactsDir: Where artifacts go (default "artifacts")
+// - retries / retryDelay: Navigation retries for network errors and timeouts
+//   (default 2, starting at 2000 ms and doubling)
+// - dropRatio: Share of a selector's hits that may disappear between runs
+//   before it counts as a layout change (default 0.5)
+// - minHits: Selectors with fewer hits last run are ignored (default 5)
+
+const fs = require('fs').promises;
+const path = require('path');
+const { countSelectorHits, extractFromHtml } = require('./extract');
+
+const DEFAULT_DIAGNOSTICS = {
+  artifactsDir: 'artifacts',
+  retries: 2,
+  retryDelay: 2000,
+  dropRatio: 0.5,
+  minHits: 5
+};
+
+const BLOCKED_PAGE_PATTERNS = [
+  { pattern: /captcha|verify (that )?you are (a )?human|are you a robot|unusual traffic/i, reason: 'bot check' },
+  { pattern: /just a moment\.\.\.|cf-chl|cf_chl|attention required/i, reason: 'bot check' },
+  { pattern: /access denied|request (was )?blocked|you have been blocked|403 forbidden/i, reason: 'access denied' },
+  { pattern: /consent to (the use of )?cookies|we value your privacy|manage (your )?(cookie )?preferences|onetrust-consent|didomi|qc-cmp2/i, reason: 'consent wall' }
+];
+
+const NETWORK_PATTERN = /net::ERR_(NAME_NOT_RESOLVED|CONNECTION|INTERNET_DISCONNECTED|ADDRESS_UNREACHABLE|NETWORK|SSL|CERT|EMPTY_RESPONSE)|ENOTFOUND|ECONNREFUSED|ECONNRESET|EAI_AGAIN|EHOSTUNREACH|socket hang up|fetch failed/i;
+const TIMEOUT_PATTERN = /timeout|timed out|net::ERR_TIMED_OUT/i;
+
+// Why a page looks like a block or consent wall ('' if it doesn't). Only
+// meaningful for pages that produced no articles: InfoWorld always ships a
+// cookie banner alongside the real content.
+function detectBlockedPage(html) {
+  if (!html) return '';
+  const match = BLOCKED_PAGE_PATTERNS.find(({ pattern }) => pattern.test(html));
+  return match ? match.reason : '';
+}
+
+function classifyError(error, html = '') {
+  if (error.kind) return error.kind;
+  if ([401, 403, 429, 451].includes(error.status)) return 'blocked';
+  if (error.status >= 500) return 'network';
+  const message = `${error.name || ''} ${error.message || ''} ${error.cause ? error.cause.code || error.cause.message : ''}`;
+  if (error.name === 'TimeoutError' || TIMEOUT_PATTERN.test(message)) return 'timeout';
+  if (NETWORK_PATTERN.test(message)) return 'network';
+  if (detectBlockedPage(html)) return 'blocked';
+  return 'unknown';
+}
+
+// Retry navigation only when trying again could help
+function isTransient(error) {
+  const kind = classifyError(error);
+  return kind === 'network' || kind === 'timeout';
+}
+
+// A run that loaded the page but found nothing on it
+function classifyEmptyResult(html) {
+  if (!html) return 'unknown';
+  return detectBlockedPage(html) ? 'blocked' : 'layout-changed';
+}
+
+// Selectors whose hit count fell by more than dropRatio since the previous run.
+// Returns [{ selector, before, after }]
+function compareSelectorHits(previous, current, options = {}) {
+  const limits = { ...DEFAULT_DIAGNOSTICS, ...options };
+  return Object.entries(previous || {})
+    .filter(([selector, before]) => before >= limits.minHits && selector in current)
+    .filter(([selector, before]) => current[selector] < before * (1 - limits.dropRatio))
+    .map(([selector, before]) => ({ selector, before, after: current[selector] }));
+}
+
+// Everything one run saw. Pages are added as they load; the screenshot is taken
+// by the browser strategy when it fails or comes back empty. `truncated` counts
+// articles left out by the per-page limit (--max-items), for the run metrics.
+function createRunDiagnostics() {
+  return { pages: [], screenshot: null, truncated: 0 };
+}
+
+// loadMs: how long the page took to load, for the run metrics (see lib/metrics.js)
+function recordPage(diagnostics, strategy, url, html, loadMs = 0) {
+  if (diagnostics) {
+    diagnostics.pages.push({ strategy, url, html, loadMs });
+  }
+}
+
+function recordTruncated(diagnostics, count) {
+  if (diagnostics) {
+    diagnostics.truncated += count;
+  }
+}
+
+async function captureScreenshot(diagnostics, page) {
+  if (!diagnostics || !page) return;
+  try {
+    diagnostics.screenshot = await page.screenshot({ fullPage: true, type: 'png' });
+    if (diagnostics.pages.length === 0) {
+      recordPage(diagnostics, 'browser', page.url(), await page.content());
+    }
+  } catch (e) {
+    // The page may already be gone (crashed tab, closed browser)
+  }
+}
+
+// First page loaded by a strategy, which is what hit counts are compared on
+function firstPage(diagnostics, strategy) {
+  return diagnostics.pages.find(page => !strategy || page.strategy === strategy) || null;
+}
+
+// Hit counts are kept per strategy next to the archive,
+// e.g. data/sharon-machlis.json -> data/sharon-machlis.selectors.json
+function selectorStatePath(archivePath) {
+  const parsed = path.parse(archivePath);
+  return path.join(parsed.dir, `${parsed.name}.selectors.json`);
+}
+
+async function loadSelectorState(statePath) {
+  try {
+    return JSON.parse(await fs.readFile(statePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+// Compare this run's first-page hit counts with the previous run's and store
+// the new ones (unless options.save is false). Returns the sharp drops.
+async function checkLayout(diagnostics, archivePath, strategy, options = {}) {
+  const page = firstPage(diagnostics, strategy);
+  if (!page) return [];
+
+  const statePath = selectorStatePath(archivePath);
+  const state = await loadSelectorState(statePath);
+  const hits = countSelectorHits(page.html, page.url);
+  const drops = compareSelectorHits(state[strategy] && state[strategy].hits, hits, options);
+
+  if (options.save !== false) {
+    state[strategy] = { updatedAt: new Date().toISOString(), url: page.url, hits };
+    await fs.mkdir(path.dirname(statePath), { recursive: true });
+    await fs.writeFile(statePath, JSON.stringify(state, null, 2) + '\n', 'utf8');
+  }
+  return drops;
+}
+
+// Re-run extraction with debug logging against saved HTML and capture the log
+function extractionTrace(page, extractOptions) {
+  const lines = [];
+  try {
+    const articles = extractFromHtml(page.html, page.url, {
+      ...extractOptions,
+      debugMode: true,
+      log: (level, message) => lines.push(message)
+    });
+    lines.push(`=> ${articles.length} article(s)`);
+  } catch (error) {
+    lines.push(`Extraction threw: ${error.message}`);
+  }
+  return lines;
+}
+
+// Write everything the run saw to a fresh artifacts directory. Returns its path.
+// details: { feed, kind, error, drops, extractOptions, artifactsDir }
+async function saveArtifacts(diagnostics, details) {
+  const slug = details.feed.author.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const dir = path.join(details.artifactsDir || DEFAULT_DIAGNOSTICS.artifactsDir, `${slug}-${stamp}`);
+  await fs.mkdir(dir, { recursive: true });
+
+  const trace = [
+    `Feed: ${details.feed.author} (${details.feed.profileUrl})`,
+    `Kind: ${details.kind}`
+  ];
+  if (details.error) {
+    trace.push(`Error: ${details.error.stack || details.error.message}`);
+  }
+
+  const pages = [];
+  for (const [index, page] of diagnostics.pages.entries()) {
+    const file = `page-${index + 1}.html`;
+    await fs.writeFile(path.join(dir, file), page.html, 'utf8');
+    const hits = countSelectorHits(page.html, page.url);
+    pages.push({ strategy: page.strategy, url: page.url, file, blocked: detectBlockedPage(page.html), hits });
+    trace.push('', `--- ${file}: ${page.strategy} ${page.url}`, ...extractionTrace(page, details.extractOptions || {}));
+  }
+
+  if (diagnostics.screenshot) {
+    await fs.writeFile(path.join(dir, 'screenshot.png'), diagnostics.screenshot);
+  }
+  await fs.writeFile(path.join(dir, 'trace.txt'), trace.join('\n') + '\n', 'utf8');
+  await fs.writeFile(path.join(dir, 'diagnosis.json'), JSON.stringify({
+    author: details.feed.author,
+    profileUrl: details.feed.profileUrl,
+    kind: details.kind,
+    error: details.error ? details.error.message : '',
+    selectorDrops: details.drops || [],
+    screenshot: Boolean(diagnostics.screenshot),
+    pages
+  }, null, 2) + '\n', 'utf8');
+
+  return dir;
+}
+
+module.exports = {
+  DEFAULT_DIAGNOSTICS,
+  detectBlockedPage,
+  classifyError,
+  classifyEmptyResult,
+  isTransient,
+  compareSelectorHits,
+  createRunDiagnostics,
+  recordPage,
+  recordTruncated,
+  captureScreenshot,
+  checkLayout,
+  saveArtifacts
+};
@@ -0,0 +1,183 @@
+// lib/enrich.js - Per-article metadata from JSON-LD, OpenGraph and meta tags
+//
+// The profile listing only gives us whatever text happens to sit near each link,
+// which is how author bios end up as descriptions. Article pages carry the real
+// metadata, so this stage opens each article URL and reads it from there.
+//
+// SOURCES (most to least authoritative):
+// 1. schema.org NewsArticle/Article JSON-LD blocks
+// 2. OpenGraph and article:* meta properties
+// 3. Plain <meta name="..."> tags and <title>
+//
+// The lead image comes from og:image (with og:image:width/height/type) and
+// falls back to the JSON-LD image.
+//
+// extractArticleMetadata() is pure: it takes an HTML string, so it can be run
+// against saved article pages without touching the network.
+
+const { JSDOM } = require('jsdom');
+const { fetchHtml: fetchArticleHtml } = require('./http');
+const { mergeCategories } = require('./topics');
+const { CONSOLE_LOGGER } = require('./logger');
+
+const ARTICLE_TYPES = ['NewsArticle', 'Article', 'BlogPosting', 'ReportageNews', 'AnalysisNewsArticle', 'TechArticle'];
+
+// Flatten JSON-LD payloads (arrays, @graph containers) into a list of nodes
+function collectJsonLdNodes(value, nodes = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectJsonLdNodes(item, nodes));
+  } else if (value && typeof value === 'object') {
+    nodes.push(value);
+    if (value['@graph']) {
+      collectJsonLdNodes(value['@graph'], nodes);
+    }
+  }
+  return nodes;
+}
+
+function isArticleNode(node) {
+  const types = [].concat(node['@type'] || []);
+  return types.some(type => ARTICLE_TYPES.includes(type));
+}
+
+// JSON-LD authors can be a string, a Person object or a list of either
+function authorNames(author) {
+  return [].concat(author || [])
+    .map(entry => (typeof entry === 'string' ? entry : entry && entry.name))
+    .filter(Boolean)
+    .map(name => String(name).trim());
+}
+
+// articleSection can be a string or a list
+function stringList(value) {
+  return [].concat(value || [])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim());
+}
+
+// JSON-LD image can be a URL, an ImageObject or a list of either
+function ldImage(value) {
+  const first = [].concat(value || [])[0];
+  if (!first) return null;
+  if (typeof first === 'string') return { url: first, width: 0, height: 0 };
+  const imageUrl = first.url || first.contentUrl;
+  return imageUrl ? { url: imageUrl, width: parseInt(first.width, 10) || 0, height: parseInt(first.height, 10) || 0 } : null;
+}
+
+function extractArticleMetadata(html, url) {
+  const dom = new JSDOM(html, { url });
+  const document = dom.window.document;
+
+  // Look up <meta property="..."> or <meta name="..."> content
+  const meta = (key) => {
+    const element = document.querySelector(`meta[property="${key}"], meta[name="${key}"]`);
+    return element ? (element.getAttribute('content') || '').trim() : '';
+  };
+
+  // Find the first article-typed JSON-LD node
+  let articleNode = null;
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    if (articleNode) return;
+    try {
+      const nodes = collectJsonLdNodes(JSON.parse(script.textContent));
+      articleNode = nodes.find(isArticleNode) || null;
+    } catch (e) {
+      // Malformed JSON-LD is common enough - fall through to meta tags
+    }
+  });
+  const ld = articleNode || {};
+
+  const metaAuthors = Array.from(document.querySelectorAll('meta[name="author"], meta[property="article:author"]'))
+    .map(element => (element.getAttribute('content') || '').trim())
+    .filter(name => name && !name.startsWith('http'));
+  const authors = authorNames(ld.author);
+
+  const sections = stringList(ld.articleSection);
+  const metaTags = Array.from(document.querySelectorAll('meta[property="article:tag"], meta[property="article:section"]'))
+    .map(element => (element.getAttribute('content') || '').trim())
+    .filter(Boolean);
+
+  const canonical = document.querySelector('link[rel="canonical"]');
+
+  // og:image carries its own size and type hints; JSON-LD is the fallback
+  const ogImage = meta('og:image:secure_url') || meta('og:image') || meta('twitter:image');
+  const image = ogImage
+    ? {
+        url: new URL(ogImage, url).href,
+        width: parseInt(meta('og:image:width'), 10) || 0,
+        height: parseInt(meta('og:image:height'), 10) || 0,
+        type: meta('og:image:type')
+      }
+    : ldImage(ld.image);
+
+  dom.window.close();
+
+  return {
+    headline: (ld.headline || ld.name || meta('og:title') || meta('twitter:title') || document.title || '').trim(),
+    description: (ld.description || meta('og:description') || meta('description') || meta('twitter:description') || '').trim(),
+    datePublished: ld.datePublished || meta('article:published_time') || meta('date') || '',
+    dateModified: ld.dateModified || meta('article:modified_time') || meta('og:updated_time') || '',
+    authors: authors.length > 0 ? authors : metaAuthors,
+    section: sections[0] || meta('article:section'),
+    categories: mergeCategories(sections, metaTags),
+    canonicalUrl: canonical ? canonical.href : (meta('og:url') || url),
+    image
+  };
+}
+
+// Overlay page metadata onto a listing-page article. Listing values are only
+// kept where the article page had nothing to offer.
+function applyMetadata(article, metadata) {
+  return {
+    ...article,
+    title: metadata.headline || article.title,
+    description: metadata.description || article.description,
+    pubDate: metadata.datePublished || article.pubDate,
+    dateModified: metadata.dateModified || article.dateModified || '',
+    authors: metadata.authors.length > 0 ? metadata.authors : (article.authors || []),
+    author: metadata.authors.length > 0 ? metadata.authors.join(', ') : article.author,
+    section: metadata.section || article.section || '',
+    categories: mergeCategories(metadata.categories, article.categories),
+    image: metadata.image || article.image || null,
+    canonicalUrl: metadata.canonicalUrl || article.canonicalUrl || '',
+    enrichedAt: new Date().toISOString()
+  };
+}
+
+// Enrich articles one at a time with a pause between requests. Failures are
+// logged and the listing-page values are kept. options.extractMetadata swaps in
+// a publisher's own metadata reader (see lib/publishers.js).
+async function enrichArticles(articles, options = {}) {
+  const log = options.logger || CONSOLE_LOGGER;
+  const delay = options.delay !== undefined ? options.delay : 1000;
+  const fetchHtml = options.fetchHtml || fetchArticleHtml;
+  const extractMetadata = options.extractMetadata || extractArticleMetadata;
+  const enriched = [];
+
+  for (let i = 0; i < articles.length; i++) {
+    const article = articles[i];
+    try {
+      const html = await fetchHtml(article.url);
+      enriched.push(applyMetadata(article, extractMetadata(html, article.url)));
+      if (options.debugMode) {
+        log.info(`Enriched: ${article.url}`);
+      }
+    } catch (error) {
+      log.warn(`⚠️  Could not enrich ${article.url}: ${error.message}`);
+      enriched.push(article);
+    }
+
+    if (delay > 0 && i < articles.length - 1) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  return enriched;
+}
+
+module.exports = {
+  extractArticleMetadata,
+  fetchArticleHtml,
+  applyMetadata,
+  enrichArticles
+};
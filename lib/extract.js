@@ -0,0 +1,602 @@
+// lib/extract.js - Article extraction from a profile page DOM
+//
+// This is the logic that used to live inline in page.evaluate(). It only touches
+// the DOM it is given, so the same code runs in two places:
+// - In Chromium via Puppeteer: page.evaluate(extractArticles, options)
+// - In Node via jsdom: extractFromHtml(html, url, options) for saved pages
+//
+// IMPORTANT: extractArticles(), extractArticleLinks() and findNextPage() are serialized with
+// Function.prototype.toString when handed to Puppeteer, so they must stay
+// self-contained: no references to module-level helpers, requires or closures.
+//
+// OPTIONS:
+// - authorName: Name put on every extracted article
+// - authorPattern: Regex source matching the author's name (see authorNamePattern)
+// - baseUrl: Used to resolve relative links (defaults to the document's URL)
+// - debugMode: Log exclusions and per-article title extraction details
+// - log: Called as log(level, message) with level 'info' or 'error' for every
+//   message. Under jsdom the caller passes one that goes to its logger (see
+//   lib/logger.js); in the browser there is none and messages go to the page's
+//   console.
+// - selectors: Article selectors to try, most specific first (ARTICLE_SELECTORS)
+// - articleUrlPattern: Substring every article URL must contain, e.g.
+//   "infoworld.com/article/" (from the publisher adapter, see lib/publishers.js)
+// - skipPhrases: Publisher-specific section labels to skip, e.g. "more from infoworld"
+// - ignoreSections: Extra section selectors to skip, from the feed's rules file
+//   (see lib/rules.js)
+// - stats: Object that gets counts of candidates, exclusions by reason and
+//   where each title came from (see lib/metrics.js). Only filled in under jsdom:
+//   Puppeteer hands the browser a copy of the options.
+
+const { JSDOM } = require('jsdom');
+
+// Where article links live on a profile page, most specific first. Passed in
+// through options.selectors, since extractArticles() can't see module constants.
+const ARTICLE_SELECTORS = [
+  'main article a[href*="/article/"]',
+  'main .article-item',
+  'main [class*="article-list"] a[href*="/article/"]',
+  '[class*="author-articles"] a[href*="/article/"]',
+  '[class*="profile"] a[href*="/article/"]',
+  'section:not(aside) a[href*="/article/"]',
+  'a[href*="/article/"]'
+];
+
+// Extract articles from a profile page. `doc` defaults to the page's global
+// document so Puppeteer can call it with just the options.
+function extractArticles(options, doc) {
+  doc = doc || document;
+  const { debugMode, authorName, authorPattern } = options;
+  const log = options.log || ((level, message) => console[level === 'error' ? 'error' : 'log'](message));
+  const baseUrl = options.baseUrl || doc.location.href;
+  const articleData = [];
+  const stats = options.stats || null;
+  const count = (group, key, n = 1) => {
+    if (stats && n > 0) {
+      stats[group] = stats[group] || {};
+      stats[group][key] = (stats[group][key] || 0) + n;
+    }
+  };
+  const titleSources = new Map();
+  
+  // First, identify and exclude sections that typically contain other authors' content
+  const excludeSections = [
+    '[class*="trending"]',
+    '[class*="popular"]',
+    '[class*="more-from"]',
+    '[class*="related"]',
+    '[class*="recommended"]',
+    'aside',
+    'footer',
+    '[data-section="trending"]',
+    '[data-section="popular"]',
+    '[class*="sidebar"]',
+    ...(options.ignoreSections || [])
+  ];
+  
+  // Get all excluded elements
+  const excludedElements = new Set();
+  excludeSections.forEach(selector => {
+    try {
+      const sections = doc.querySelectorAll(selector);
+      sections.forEach(section => {
+        // Mark all links within these sections as excluded
+        const links = section.querySelectorAll('a');
+        links.forEach(link => excludedElements.add(link));
+      });
+    } catch (e) {
+      // Selector might not exist, that's OK
+    }
+  });
+  
+  if (debugMode) {
+    log('info', `Found ${excludedElements.size} links in excluded sections`);
+  }
+  
+  // Try multiple possible selectors for articles (ARTICLE_SELECTORS below)
+  const selectors = options.selectors;
+  
+  let elements = new Set();
+  const skipped = new Set();
+  for (const selector of selectors) {
+    try {
+      const found = doc.querySelectorAll(selector);
+      found.forEach(el => {
+        // Only add if not in excluded sections
+        if (!excludedElements.has(el)) {
+          elements.add(el);
+        } else {
+          skipped.add(el);
+        }
+      });
+    } catch (e) {
+      log('info', `Selector failed: ${selector}`);
+    }
+  }
+  
+  // Convert Set to Array
+  const uniqueElements = Array.from(elements);
+  count('exclusions', 'excluded-section', skipped.size);
+  if (stats) {
+    stats.candidates = (stats.candidates || 0) + uniqueElements.length;
+  }
+  if (debugMode) {
+    log('info', `Found ${uniqueElements.length} potential article elements after exclusions`);
+  }
+  
+  uniqueElements.forEach(element => {
+    try {
+      // Get the link
+      let url = element.href || element.querySelector('a')?.href;
+      if (!url && element.tagName === 'A') {
+        url = element.getAttribute('href');
+      }
+      
+      // Skip if not an article URL
+      if (!url || !url.includes('/article/')) {
+        count('exclusions', 'not-article');
+        return;
+      }
+      
+      // Make URL absolute
+      if (!url.startsWith('http')) {
+        url = new URL(url, baseUrl).href;
+      }
+      
+      // Get the parent container for context
+      const parentContainer = element.closest('article, .article-item, [class*="article"], div, section, li');
+      
+      // Check if this article might be from another author
+      // Look for author attribution near the article link
+      let possibleAuthorText = '';
+      if (parentContainer) {
+        possibleAuthorText = parentContainer.textContent || '';
+        
+        // Check for common patterns indicating other authors
+        const otherAuthorPatterns = [
+          new RegExp(`by\\s+(?!${authorPattern})[\\w\\s]+`, 'i'),  // "by [Not the author]"
+          new RegExp(`author:\\s*(?!${authorPattern})[\\w\\s]+`, 'i'),
+          new RegExp(`from\\s+(?!${authorPattern})[\\w\\s]+`, 'i')
+        ];
+        
+        // Skip if we detect another author's name
+        for (const pattern of otherAuthorPatterns) {
+          if (pattern.test(possibleAuthorText)) {
+            if (debugMode) {
+              log('info', `Skipping article with different author: ${url}`);
+            }
+            count('exclusions', 'other-author');
+            return;
+          }
+        }
+        
+        // Skip if the container has text suggesting it's from a different section
+        const skipPhrases = [
+          'trending',
+          'popular',
+          'recommended',
+          'you might also like',
+          'related articles',
+          'from our partners',
+          'sponsored',
+          ...(options.skipPhrases || [])
+        ];
+        
+        const containerTextLower = possibleAuthorText.toLowerCase();
+        for (const phrase of skipPhrases) {
+          if (containerTextLower.includes(phrase)) {
+            if (debugMode) {
+              log('info', `Skipping article from "${phrase}" section: ${url}`);
+            }
+            count('exclusions', 'skip-phrase');
+            return;
+          }
+        }
+      }
+      
+      // Extract title - be more careful to get just the title
+      let title = '';
+      let titleSource = '';
+      
+      // First try to find a proper heading element within the parent container or link
+      const headingElement = parentContainer?.querySelector('h1, h2, h3, h4, h5, h6') || 
+                            element.querySelector('h1, h2, h3, h4, h5, h6');
+      if (headingElement) {
+        title = headingElement.textContent?.trim() || '';
+        titleSource = 'heading';
+      }
+      
+      // If no heading, try title-specific classes
+      if (!title) {
+        const titleElement = parentContainer?.querySelector('[class*="title"]:not([class*="subtitle"]), [class*="headline"]') ||
+                           element.querySelector('[class*="title"]:not([class*="subtitle"]), [class*="headline"]');
+        if (titleElement) {
+          title = titleElement.textContent?.trim() || '';
+          titleSource = 'title-element';
+        }
+      }
+      
+      // If still no title, try the link's title attribute or aria-label
+      if (!title) {
+        title = element.getAttribute('title') || 
+               element.getAttribute('aria-label') || 
+               '';
+        titleSource = 'attribute';
+      }
+      
+      // If still no title but we have text content, use it carefully
+      if (!title && element.textContent) {
+        const linkText = element.textContent.trim();
+        // Only use link text if it looks like a title (not metadata)
+        if (linkText && 
+            !linkText.match(/^By\s+/i) && 
+            !linkText.match(/^\d+\s+mins?/i) &&
+            !linkText.match(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d+/i)) {
+          title = linkText;
+          titleSource = 'link-text';
+        }
+      }
+      
+      // If title starts with metadata pattern, extract the real title after it
+      const metadataPattern = new RegExp(`^By\\s+${authorPattern}\\s+\\w+\\s+\\d+,\\s+\\d{4}\\s+\\d+\\s+mins?\\s+(.+)`, 'i');
+      const metadataMatch = title.match(metadataPattern);
+      const categories = [];
+      if (metadataMatch && metadataMatch[1]) {
+        // The real title is after the metadata
+        title = metadataMatch[1].trim();
+        // Move category tags at the end of the title into the categories list
+        const trailingCategory = /\s*(Generative AI|Natural Language Processing|R Language|Technology Industry|Developer|Analytics|Data Science|Programming|Software Development)$/i;
+        let categoryMatch;
+        while ((categoryMatch = title.match(trailingCategory)) && categoryMatch.index > 0) {
+          categories.unshift(categoryMatch[1]);
+          title = title.substring(0, categoryMatch.index).trim();
+        }
+      }
+      
+      // Clean up title - remove metadata that got included
+      // Remove "By [Author] [Date] [Time] [Categories]" patterns
+      title = title.replace(/^By\s+[\w\s]+\s+\w+\s+\d+,\s+\d{4}.*$/i, '').trim();
+      
+      // Category labels on the card itself
+      const categoryElements = parentContainer?.querySelectorAll('[class*="category"], [class*="topic"], [class*="eyebrow"], a[rel="tag"], a[href*="/category/"]') || [];
+      categoryElements.forEach(categoryElement => {
+        const label = categoryElement.textContent?.trim().replace(/\s+/g, ' ') || '';
+        if (label && label.length <= 40 && !categories.some(c => c.toLowerCase() === label.toLowerCase())) {
+          categories.push(label);
+        }
+      });
+      
+      // If the entire title is metadata, try to extract just the article title
+      if (title.match(new RegExp(`^By\\s+${authorPattern}`, 'i'))) {
+        // This means we got the whole metadata block - try to find the actual title
+        const linkElement = element.tagName === 'A' ? element : element.querySelector('a');
+        if (linkElement) {
+          // Try to get the URL and extract a title from it
+          const urlParts = linkElement.href?.split('/');
+          if (urlParts && urlParts.length > 0) {
+            const slug = urlParts[urlParts.length - 1]?.replace('.html', '').replace(/-/g, ' ');
+            if (slug && !slug.match(/^\d+$/)) {
+              // Convert slug to title case
+              title = slug.split(' ').map(word => 
+                word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+              ).join(' ');
+              titleSource = 'metadata-slug';
+            }
+          }
+        }
+      }
+      
+      // Additional cleanup patterns
+      const cleanupPatterns = [
+        new RegExp(`^By\\s+${authorPattern}\\s*`, 'i'),  // Remove author byline at start
+        /\s*\d+\s+mins?\s*$/i,          // Remove reading time at end
+        /\s*\w+\s+\d+,\s+\d{4}\s*$/,   // Remove date at end
+        /Read more.*$/i,                // Remove "Read more" text
+        /\s+/g                          // Normalize whitespace
+      ];
+      
+      cleanupPatterns.forEach(pattern => {
+        title = title.replace(pattern, ' ').trim();
+      });
+      
+      // Final cleanup - if title still contains metadata patterns, truncate at first occurrence
+      const metadataIndicators = [
+        /\s+\w+\s+\d+,\s+\d{4}/,  // Date pattern
+        /\s+\d+\s+mins?/i,         // Reading time
+        /\s+By\s+/i                // Author byline
+      ];
+      
+      for (const pattern of metadataIndicators) {
+        const match = title.match(pattern);
+        if (match && match.index && match.index > 10) {  // Keep at least 10 chars
+          title = title.substring(0, match.index).trim();
+        }
+      }
+      
+      // Final validation - only mark as untitled if we really couldn't find anything
+      if (!title || title.length < 3 || title.match(/^\d+$/)) {
+        // Last attempt: clean up the URL slug
+        const urlMatch = url.match(/\/([^\/]+)\.html$/);
+        if (urlMatch && urlMatch[1]) {
+          title = urlMatch[1]
+            .replace(/-/g, ' ')
+            .replace(/\b\w/g, char => char.toUpperCase())
+            .replace(/\d+$/, '')  // Remove trailing numbers
+            .trim();
+          titleSource = 'url-slug';
+        }
+        
+        // If still no good title, mark as untitled
+        if (!title || title.length < 3) {
+          title = 'Article';  // Better than "Untitled Article"
+          titleSource = 'placeholder';
+          if (debugMode) {
+            log('info', `Warning: Could not extract title for ${url}`);
+          }
+        }
+      }
+      
+      if (debugMode && title !== 'Article') {
+        log('info', `Extracted title: "${title.substring(0, 60)}..." from ${url}`);
+      }
+      
+      // Extract description - be more selective
+      let description = '';
+      
+      // Try to find a proper summary/excerpt element
+      const descSelectors = [
+        '[class*="summary"]',
+        '[class*="excerpt"]', 
+        '[class*="description"]',
+        '[class*="dek"]',
+        '[class*="standfirst"]',
+        '[class*="intro"]',
+        '[class*="abstract"]'
+      ];
+      
+      for (const selector of descSelectors) {
+        const descElement = parentContainer?.querySelector(selector) || 
+                          element.querySelector(selector);
+        if (descElement) {
+          description = descElement.textContent?.trim() || '';
+          if (description && description.length > 20) {
+            break;  // Found a good description
+          }
+        }
+      }
+      
+      // If no description found, try to get first paragraph
+      if (!description || description.length < 20) {
+        const paragraph = parentContainer?.querySelector('p') || 
+                        element.querySelector('p');
+        if (paragraph) {
+          description = paragraph.textContent?.trim() || '';
+        }
+      }
+      
+      // Clean up description - remove author/date metadata if present
+      description = description.replace(/^By\s+[\w\s]+\s+\w+\s+\d+,\s+\d{4}.*?(?=\w)/i, '').trim();
+      
+      // If description is too short or generic, leave it empty
+      if (description.length < 20 || 
+          description.toLowerCase().includes('click to read') ||
+          description.toLowerCase().includes('read more')) {
+        description = '';
+      }
+      
+      // Limit description length
+      if (description.length > 500) {
+        description = description.substring(0, 497) + '...';
+      }
+      
+      // Extract date - look for actual date information
+      let pubDate = '';
+      
+      // Try to find date in various formats
+      const dateElement = parentContainer?.querySelector('time, [datetime], [class*="date"], [class*="published"], [class*="timestamp"]') ||
+                        element.querySelector('time, [datetime], [class*="date"], [class*="published"], [class*="timestamp"]');
+      if (dateElement) {
+        // First check for datetime attribute (most reliable)
+        pubDate = dateElement.getAttribute('datetime') || dateElement.textContent?.trim() || '';
+      }
+      
+      // If no date element, look for date patterns in text
+      if (!pubDate && parentContainer) {
+        const datePattern = /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4}/i;
+        const dateMatch = parentContainer.textContent?.match(datePattern);
+        if (dateMatch) {
+          pubDate = dateMatch[0];
+        }
+      }
+      
+      // Card thumbnail, if the listing shows one. Lazy-loaded images keep the
+      // real URL in data-src or srcset and a placeholder in src.
+      let image = null;
+      const imageElement = element.querySelector('img') || parentContainer?.querySelector('img');
+      if (imageElement) {
+        const srcset = imageElement.getAttribute('srcset') || imageElement.getAttribute('data-srcset') || '';
+        const src = imageElement.getAttribute('data-src') ||
+                    imageElement.getAttribute('src') ||
+                    srcset.split(',')[0].trim().split(/\s+/)[0];
+        if (src && !src.startsWith('data:')) {
+          image = {
+            url: new URL(src, baseUrl).href,
+            width: parseInt(imageElement.getAttribute('width'), 10) || 0,
+            height: parseInt(imageElement.getAttribute('height'), 10) || 0
+          };
+        }
+      }
+      
+      // Only add if it's an article on the publisher's own site
+      if (url.includes(options.articleUrlPattern)) {
+        articleData.push({
+          title: title.substring(0, 200),
+          url: url,
+          categories: categories.slice(0, 5),
+          description: description.substring(0, 500),
+          pubDate: pubDate,
+          author: authorName,
+          image: image
+        });
+        titleSources.set(url, titleSource);
+      } else {
+        count('exclusions', 'other-site');
+      }
+    } catch (err) {
+      log('error', `Error processing element: ${err.message}`);
+    }
+  });
+  
+  // Remove duplicates based on URL
+  const uniqueArticles = Array.from(new Map(articleData.map(item => [item.url, item])).values());
+  uniqueArticles.forEach(item => count('titles', titleSources.get(item.url)));
+  
+  return uniqueArticles;
+}
+
+// Simpler fallback used when extractArticles() finds nothing: every article
+// link on the page, with its text as the title
+function extractArticleLinks(options, doc) {
+  doc = doc || document;
+  const links = Array.from(doc.querySelectorAll('a[href*="/article/"]'));
+  const allLinks = links.map(link => ({
+    title: link.textContent?.trim() || link.getAttribute('title') || 'Article',
+    url: link.href,
+    categories: [],
+    description: '',
+    pubDate: '',
+    author: options.authorName,
+    image: null
+  })).filter(item => item.url && item.url.includes(options.articleUrlPattern)).slice(0, options.maxArticles);
+  
+  // Remove duplicates
+  return Array.from(new Map(allLinks.map(item => [item.url, item])).values());
+}
+
+// Find the way to the next page of the profile listing. Returns
+// { url, loadMore }: url is a next-page link (or ''), loadMore is true when there
+// is a "Load more" button instead. The button is tagged with data-rss-load-more
+// so the browser can click it.
+function findNextPage(options, doc) {
+  doc = doc || document;
+  const baseUrl = options.baseUrl || doc.location.href;
+  const current = new URL(baseUrl);
+  
+  const usable = (href) => {
+    if (!href || href.startsWith('#') || href.startsWith('javascript:')) return '';
+    try {
+      const next = new URL(href, baseUrl);
+      next.hash = '';
+      if (next.origin !== current.origin || next.href === current.href.replace(/#.*$/, '')) return '';
+      return next.href;
+    } catch (e) {
+      return '';
+    }
+  };
+  
+  // 1. Explicit rel="next"
+  const relNext = doc.querySelector('link[rel="next"], a[rel="next"]');
+  if (relNext && usable(relNext.getAttribute('href'))) {
+    return { url: usable(relNext.getAttribute('href')), loadMore: false };
+  }
+  
+  // 2. "Next" / "Older" links, preferring ones inside a pagination block
+  const nextText = /^(next|next page|older|older posts|older articles|more articles|›|»|→|next\s*[›»→])$/i;
+  const links = Array.from(doc.querySelectorAll('[class*="pagination"] a, [class*="pager"] a, nav a, a'));
+  for (const link of links) {
+    const text = (link.textContent || '').trim();
+    const label = link.getAttribute('aria-label') || '';
+    const className = typeof link.className === 'string' ? link.className : '';
+    if (nextText.test(text) || /next page/i.test(label) || /(^|[\s_-])next([\s_-]|$)/i.test(className)) {
+      const url = usable(link.getAttribute('href'));
+      if (url) {
+        return { url, loadMore: false };
+      }
+    }
+  }
+  
+  // 3. "Load more" buttons
+  const loadMoreText = /^(load|show|see|view) more( articles| stories| posts)?$|^more articles$/i;
+  const buttons = Array.from(doc.querySelectorAll('button, a, [role="button"], [class*="load-more"], [class*="loadmore"]'));
+  for (const button of buttons) {
+    const text = (button.textContent || '').trim();
+    const className = typeof button.className === 'string' ? button.className : '';
+    if (loadMoreText.test(text) || /load-?more/i.test(className)) {
+      if (button.disabled || button.getAttribute('aria-disabled') === 'true') continue;
+      // A load-more link with a real URL can be followed like a next page
+      const url = button.tagName === 'A' ? usable(button.getAttribute('href')) : '';
+      if (url) {
+        return { url, loadMore: false };
+      }
+      button.setAttribute('data-rss-load-more', '1');
+      return { url: '', loadMore: true };
+    }
+  }
+  
+  return { url: '', loadMore: false };
+}
+
+// Build the regex source for an author's name with flexible whitespace,
+// e.g. "Sharon Machlis" -> "Sharon\s+Machlis"
+function authorNamePattern(name) {
+  return name
+    .trim()
+    .split(/\s+/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+}
+
+// options.log for extraction under jsdom, sending its messages to a logger
+// (see lib/logger.js)
+function logTo(logger) {
+  return (level, message) => (level === 'error' ? logger.error(message) : logger.info(message));
+}
+
+// Run both extraction passes against saved HTML, the same way the scraper
+// does against a live page, and look for the next page.
+// Returns { articles, next: { url, loadMore } }
+function extractPageFromHtml(html, url, options = {}) {
+  const dom = new JSDOM(html, { url });
+  try {
+    const document = dom.window.document;
+    const extractOptions = { selectors: ARTICLE_SELECTORS, articleUrlPattern: '/article/', ...options, baseUrl: url };
+    let articles = extractArticles(extractOptions, document);
+    if (articles.length === 0) {
+      articles = extractArticleLinks(extractOptions, document);
+    }
+    return { articles, next: findNextPage(extractOptions, document) };
+  } finally {
+    dom.window.close();
+  }
+}
+
+function extractFromHtml(html, url, options = {}) {
+  return extractPageFromHtml(html, url, options).articles;
+}
+
+// How many elements each article selector matches in a page's HTML. A sharp
+// drop from one run to the next means the page layout changed (see lib/diagnostics.js).
+function countSelectorHits(html, url, selectors = ARTICLE_SELECTORS) {
+  const dom = new JSDOM(html, { url });
+  try {
+    const hits = {};
+    selectors.forEach(selector => {
+      hits[selector] = dom.window.document.querySelectorAll(selector).length;
+    });
+    return hits;
+  } finally {
+    dom.window.close();
+  }
+}
+
+module.exports = {
+  ARTICLE_SELECTORS,
+  extractArticles,
+  extractArticleLinks,
+  findNextPage,
+  extractPageFromHtml,
+  extractFromHtml,
+  countSelectorHits,
+  authorNamePattern,
+  logTo
+};
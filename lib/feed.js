@@ -0,0 +1,133 @@
+// lib/feed.js - Format-neutral feed model and output dispatch
+//
+// buildFeedModel() turns archive articles plus a feed config entry into one
+// plain object that every serializer reads from. Anything that isn't specific
+// to a format (fallback descriptions, date parsing, ordering) happens here so
+// RSS, Atom and JSON Feed always agree on what's in the feed.
+//
+// MODEL:
+// {
+//   title, description, homePageUrl, language, author, updated (Date),
+//   links: { rss, atom, json },   // public self URLs per format ('' if unknown)
+//   hubs: [],                     // WebSub hub URLs (see lib/websub.js)
+//   enclosures,                   // also emit lead images as enclosures
+//   items: [{ id, url, title, summary, content, authors: [], categories: [], published (Date),
+//             modified (Date|null), image ({ url, width, height, type, length }|null) }]
+// }
+//
+// content is the sanitized article body (HTML) in full-content mode and '' otherwise.
+// id is the GUID stored in the archive (see lib/archive.js), falling back to the URL.
+// modified also moves when the archive recorded a slug or title change.
+
+const path = require('path');
+const { parseArticleDate } = require('./dates');
+const { normalizeImage } = require('./images');
+const { publisherFor } = require('./publishers');
+const { lastUpdated } = require('./archive');
+const { generateRSS } = require('./rss');
+const { generateAtom } = require('./atom');
+const { generateJSONFeed } = require('./jsonfeed');
+
+const FORMATS = {
+  rss: { extension: '.xml', contentType: 'application/rss+xml', serialize: generateRSS },
+  atom: { extension: '.atom', contentType: 'application/atom+xml', serialize: generateAtom },
+  json: { extension: '.json', contentType: 'application/feed+json', serialize: generateJSONFeed }
+};
+
+// Output path for a format, derived from the RSS output path
+// e.g. feed.xml -> feed.atom / feed.json
+function outputPathFor(feed, format) {
+  if (format === 'rss') return feed.output;
+  const parsed = path.parse(feed.output);
+  return path.join(parsed.dir, parsed.name + FORMATS[format].extension);
+}
+
+// Public URL for a format, resolved next to the configured RSS feedUrl
+function publicUrlFor(feed, format) {
+  if (!feed.feedUrl) return '';
+  if (format === 'rss') return feed.feedUrl;
+  return new URL(path.basename(outputPathFor(feed, format)), feed.feedUrl).href;
+}
+
+// Descriptions that are empty or generic get a more informative default
+function itemSummary(article, feed) {
+  const description = article.description || '';
+  if (description.length >= 10 &&
+      !description.toLowerCase().includes('click to read') &&
+      !description.toLowerCase().includes('read the article')) {
+    return description;
+  }
+  // Name the site the article is on, which may not be the feed's main one
+  const publisher = publisherFor(article.url);
+  const publication = publisher ? publisher.name : feed.publication || 'InfoWorld';
+  if (article.title && article.title !== 'Article') {
+    return `Read "${article.title}" by ${feed.author} on ${publication}.`;
+  }
+  return `Read this article by ${feed.author} on ${publication}.`;
+}
+
+function buildFeedModel(articles, feed, now = new Date()) {
+  const items = articles.map((article, index) => {
+    // Archived articles always carry a stable pubDate; anything else falls
+    // back to the build time rather than an invented date
+    const published = parseArticleDate(article.pubDate) || parseArticleDate(article.firstSeen) || now;
+    const authors = article.authors && article.authors.length > 0
+      ? article.authors
+      : [article.author || feed.author];
+    
+    const images = feed.images || {};
+    
+    return {
+      id: article.guid || article.url,
+      url: article.url,
+      title: article.title || `Article ${index + 1}`,
+      summary: itemSummary(article, feed),
+      content: feed.fullContent && feed.fullContent.enabled ? article.content || '' : '',
+      authors,
+      categories: article.categories || [],
+      published,
+      modified: lastUpdated(article),
+      image: images.enabled === false ? null : normalizeImage(article.image, article.url)
+    };
+  });
+  
+  return {
+    title: feed.title,
+    description: feed.description,
+    homePageUrl: feed.profileUrl,
+    language: 'en-us',
+    author: feed.author,
+    updated: now,
+    enclosures: Boolean(feed.images && feed.images.enclosure),
+    links: {
+      rss: publicUrlFor(feed, 'rss'),
+      atom: publicUrlFor(feed, 'atom'),
+      json: publicUrlFor(feed, 'json')
+    },
+    hubs: feed.websub ? feed.websub.hubs || [] : [],
+    items
+  };
+}
+
+// Serialize the model in every format the feed asks for.
+// Returns [{ format, path, content }]
+function renderFeeds(model, feed) {
+  return feed.formats.map(format => {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown feed format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return {
+      format,
+      path: outputPathFor(feed, format),
+      content: FORMATS[format].serialize(model)
+    };
+  });
+}
+
+module.exports = {
+  FORMATS,
+  buildFeedModel,
+  renderFeeds,
+  outputPathFor,
+  publicUrlFor
+};
@@ -0,0 +1,387 @@
+// lib/generate.js - One full run for one feed: scrape, enrich, archive, publish
+//
+// This is the pipeline that used to be the body of scraper.js. It logs through
+// options.logger (see lib/logger.js) and returns everything the run did as a
+// result object, so the command line and the library API (see index.js) can
+// both drive it.
+//
+// OPTIONS:
+// - maxArticles, maxPages, fromHtml, debug: as in lib/scrape.js
+// - dryRun: Build everything but write nothing (feeds, archive, reports, diagnostics)
+// - force: Replace the previous feed even if the safeguard objects
+// - noNotify: Skip new-article notifications
+// - noPing: Don't ping the feed's WebSub hubs (see lib/websub.js)
+// - logger: Gets every progress message; the run's own warnings and errors are
+//   also returned in the result
+//
+// RESULT:
+// {
+//   author, status,            // 'ok' | 'empty' | 'refused' | 'invalid' | 'failed'
+//   strategy,                  // what loaded the profile ('static', 'browser', 'saved-html')
+//   articles,                  // what the feed carries, newest first
+//   added, updated,            // URLs new this run / retitled or moved
+//   quarantined,               // held for review (see lib/quality.js)
+//   outputs: [{ format, path, content, written }],  // main and topic feeds
+//   report,                    // safeguard report for the main feed (see lib/safeguard.js)
+//   artifacts,                 // diagnostics directory, '' when nothing was saved
+//   error,                     // message when status is 'failed'
+//   warnings: [], errors: [],
+//   stats: { pages, scraped, archived, filtered, published, added, updated, quarantined, durationMs },
+//   metrics                    // the run's metrics record (see lib/metrics.js)
+// }
+//
+// The metrics record is also appended to the feed's history file (except on a
+// dry run) and logged as a "run-metrics" event.
+
+const fs = require('fs').promises;
+const { buildFeedModel, renderFeeds } = require('./feed');
+const { loadArchive, saveArchive, mergeArticles, publishedGuids } = require('./archive');
+const { enrichArticles } = require('./enrich');
+const { topicFeeds } = require('./topics');
+const { fillArticleContent } = require('./content');
+const { checkImages } = require('./images');
+const { writeSite } = require('./site');
+const { notifyNewArticles } = require('./notify');
+const { feedChanged, topicUrlsFor, pingHubs } = require('./websub');
+const { dedupeByCanonical, normalizeArticleUrl } = require('./publishers');
+const { assessArticles, overridesPathFor, loadOverrides, writeReview } = require('./quality');
+const { loadRules, applyRules } = require('./rules');
+const {
+  classifyError, classifyEmptyResult, createRunDiagnostics, checkLayout, saveArtifacts
+} = require('./diagnostics');
+const { readFeedItems, guardFeed, writeReport } = require('./safeguard');
+const { validateRSS } = require('./validate');
+const { adapterFor } = require('./config');
+const { loadAllProfiles, extractOptionsFor } = require('./scrape');
+const { createLogger } = require('./logger');
+const { historyPathFor, runMetrics, appendHistory } = require('./metrics');
+
+// Build the feed model once and render it in every configured format.
+// The feed on disk is only replaced when the safeguard allows it (or --force).
+// With dryRun nothing is written; the rendered feeds are in `outputs`.
+// `placeholder` names an error/notice feed that carries no real articles.
+// Returns { written, invalid, report, outputs }.
+async function writeFeeds(articles, feed, options, placeholder = '') {
+  const log = options.logger;
+  const model = buildFeedModel(articles, feed);
+  const outputs = renderFeeds(model, feed).map(output => ({ ...output, written: false }));
+
+  // Nothing gets published unless the RSS passes validation
+  let invalid = false;
+  outputs.filter(output => output.format === 'rss').forEach(output => {
+    const validation = validateRSS(output.content, { feedUrl: feed.feedUrl, output: output.path });
+    validation.warnings.forEach(warning => log.warn(`⚠️  ${output.path}: ${warning}`));
+    validation.errors.forEach(error => log.error(`❌ ${output.path}: ${error}`));
+    invalid = invalid || !validation.valid;
+  });
+  if (invalid) {
+    log.error(`🛑 Not writing ${feed.output}: the generated RSS failed validation`);
+    return { written: false, invalid, report: null, outputs };
+  }
+
+  // Compare with the feed currently on disk before touching it
+  const report = await guardFeed(feed.output, model.items, { ...feed.safeguard, placeholder });
+  const written = !options.dryRun && (report.safe || options.force);
+  report.written = written;
+
+  if (!options.dryRun) {
+    const reportPath = await writeReport(feed.output, report);
+    log.info(`🧾 Change report: ${reportPath} (+${report.added.length} / -${report.removed.length} / ~${report.changed.length})`);
+  }
+
+  if (!report.safe) {
+    log.error(`🛑 Refusing to replace ${feed.output}: ${report.reason}${options.force ? ' (overridden by --force)' : ''}`);
+  }
+
+  if (written) {
+    for (const output of outputs) {
+      await fs.writeFile(output.path, output.content, 'utf8');
+      output.written = true;
+    }
+  }
+
+  return { written, invalid, report, outputs };
+}
+
+// Scrape one author's profiles and write their feed. Never throws: failures
+// come back as status 'failed' with the error message.
+async function generateFeedForAuthor(feed, runOptions = {}) {
+  const startedAt = Date.now();
+  const log = createLogger({ forward: runOptions.logger, fields: { feed: feed.author } });
+  const options = { ...runOptions, logger: log };
+  const profileUrl = feed.profileUrl;
+  // Every page this run loads, kept for the artifacts directory (see lib/diagnostics.js)
+  const diagnostics = createRunDiagnostics();
+  const result = {
+    author: feed.author,
+    status: 'failed',
+    strategy: '',
+    articles: [],
+    added: [],
+    updated: [],
+    quarantined: [],
+    outputs: [],
+    report: null,
+    artifacts: '',
+    error: '',
+    warnings: log.warnings,
+    errors: log.errors,
+    stats: { pages: 0, scraped: 0, archived: 0, filtered: 0, published: 0, added: 0, updated: 0, quarantined: 0, durationMs: 0 },
+    metrics: null
+  };
+  // Metrics problems are logged, never fatal
+  const finish = async (status) => {
+    result.status = status;
+    result.stats.pages = diagnostics.pages.length;
+    result.stats.durationMs = Date.now() - startedAt;
+    try {
+      result.metrics = runMetrics(result, diagnostics, pageUrl => extractOptionsFor(feed, options, pageUrl));
+      log.event('run-metrics', result.metrics);
+      if (!options.dryRun) {
+        await appendHistory(historyPathFor(feed.archive), result.metrics);
+      }
+    } catch (error) {
+      log.error('❌ Could not record run metrics:', error.message);
+    }
+    return result;
+  };
+  const keepArtifacts = async (kind, details = {}) => {
+    if (options.dryRun) {
+      log.info(`🧪 Would save ${kind} diagnostics to ${feed.diagnostics.artifactsDir}`);
+      return;
+    }
+    try {
+      result.artifacts = await saveArtifacts(diagnostics, {
+        feed,
+        kind,
+        extractOptions: extractOptionsFor(feed, options),
+        artifactsDir: feed.diagnostics.artifactsDir,
+        ...details
+      });
+      log.info(`🧰 Diagnostics saved to ${result.artifacts}`);
+    } catch (error) {
+      log.error('❌ Could not save diagnostics:', error.message);
+    }
+  };
+
+  try {
+    // The archive tells pagination where the already-known articles start
+    const previous = await loadArchive(feed.archive);
+    const knownUrls = new Set(previous.articles.flatMap(a => [a.url, ...(a.aliases || [])]));
+
+    // The feed's own include/exclude rules; their extra sections apply to extraction
+    const rules = await loadRules(feed.rules);
+    options.ignoreSections = rules.ignoreSections;
+
+    // Scrape articles, or read them from a saved page
+    const { articles: scraped, strategy } = await loadAllProfiles(feed, { ...options, runDiagnostics: diagnostics }, knownUrls);
+    result.strategy = strategy;
+    result.stats.scraped = scraped ? scraped.length : 0;
+    log.info(`🔎 Articles found by the ${strategy} strategy`);
+
+    // Nothing found: tell a block or consent wall apart from a changed layout.
+    // Otherwise compare selector hits with the last run to catch partial breakage.
+    if (!scraped || scraped.length === 0) {
+      const firstPage = diagnostics.pages[0];
+      const kind = classifyEmptyResult(firstPage && firstPage.html);
+      log.warn(`⚠️  No articles found (${kind})`);
+      await keepArtifacts(kind);
+    } else if (strategy !== 'saved-html') {
+      const drops = await checkLayout(diagnostics, feed.archive, strategy, { ...feed.diagnostics, save: !options.dryRun });
+      if (drops.length > 0) {
+        drops.forEach(drop => log.warn(`⚠️  Selector "${drop.selector}" matched ${drop.after} element(s), down from ${drop.before}`));
+        log.warn('⚠️  The profile page layout may have changed');
+        await keepArtifacts('layout-changed', { drops });
+      }
+    }
+
+    // Merge into the persistent archive and build the feed from the whole store
+
+    // Tracking parameters, fragments and http:// links would otherwise look like new articles
+    let collected = (scraped || []).map(a => ({ ...a, url: normalizeArticleUrl(a.url) }));
+
+    // Only visit article pages we haven't enriched before. A new slug for a known
+    // article is visited again so its new title is picked up.
+    if (feed.enrich) {
+      const enrichedUrls = new Set(previous.articles.filter(a => a.enrichedAt).flatMap(a => [a.url, ...(a.aliases || [])]));
+      const pending = collected.filter(a => !enrichedUrls.has(a.url));
+      if (pending.length > 0) {
+        log.info(`Enriching ${pending.length} article(s) from their own pages...`);
+        const enriched = new Map((await enrichArticles(pending, {
+          debugMode: options.debug,
+          logger: log,
+          extractMetadata: (html, url) => adapterFor(url).extractMetadata(html, url)
+        })).map(a => [a.url, a]));
+        collected = collected.map(a => enriched.get(a.url) || a);
+      }
+    }
+
+    // The same article listed on two sites becomes one item under its canonical URL
+    collected = dedupeByCanonical(collected);
+
+    // Articles already in the published feed keep their GUID even when the
+    // archive has never seen them, so readers don't get them again as new
+    const guids = publishedGuids(await readFeedItems(feed.output));
+    const { archive, added, updated } = mergeArticles(previous, collected, new Date(), guids);
+    const articles = archive.articles;
+    result.added = added;
+    result.updated = updated;
+    if (updated.length > 0) {
+      log.info(`✏️  ${updated.length} article(s) were retitled or moved to a new URL`);
+    }
+
+    // Full-text bodies are fetched once per article and kept in the archive
+    if (feed.fullContent.enabled && articles.length > 0) {
+      const fetched = await fillArticleContent(articles, { ...feed.fullContent, debugMode: options.debug, logger: log });
+      if (fetched > 0) {
+        log.info(`📖 Fetched full text for ${fetched} article(s)`);
+      }
+    }
+
+    // Lead images are checked once so broken links and tracking pixels stay out
+    if (feed.images.enabled && feed.images.verify && articles.length > 0) {
+      const dropped = await checkImages(articles, { ...feed.images, debugMode: options.debug, logger: log });
+      if (dropped > 0) {
+        log.info(`🖼️  Left out ${dropped} broken or tracking image(s)`);
+      }
+    }
+
+    // Articles the rules drop, and then suspect ones, stay in the archive but
+    // out of everything public
+    const { kept, dropped } = applyRules(articles, rules);
+    if (dropped.length > 0) {
+      log.info(`🧹 The feed's rules left out ${dropped.length} article(s)`);
+    }
+    const { published, quarantined } = assessArticles(kept, feed, await loadOverrides(overridesPathFor(feed)));
+    result.articles = published;
+    result.quarantined = quarantined;
+    Object.assign(result.stats, {
+      archived: articles.length,
+      filtered: dropped.length,
+      published: published.length,
+      added: added.length,
+      updated: updated.length,
+      quarantined: quarantined.length
+    });
+    if (feed.quality.enabled && !options.dryRun) {
+      const reviewPath = await writeReview(feed, quarantined);
+      if (quarantined.length > 0) {
+        log.warn(`🚧 Held ${quarantined.length} suspect article(s) out of the feed, see ${reviewPath}`);
+      }
+    }
+    const status = scraped && scraped.length > 0 ? 'ok' : 'empty';
+
+    if (articles.length === 0) {
+      log.info('Creating minimal RSS feed...');
+
+      // Create a minimal feed even if no articles found (unless a real one exists)
+      const { written, invalid, report, outputs } = await writeFeeds([{
+        title: 'Feed Generation Notice',
+        url: profileUrl,
+        description: 'The RSS feed generator could not find articles. Please check the source page.',
+        pubDate: new Date().toUTCString(),
+        author: 'System'
+      }], feed, options, 'no articles found');
+      result.report = report;
+      result.outputs = outputs;
+      if (invalid) {
+        return finish('invalid');
+      }
+      if (!written) {
+        return finish(options.dryRun ? status : 'refused');
+      }
+      log.info('Minimal feed created.');
+      return finish(status);
+    }
+
+    // Generate every configured format, then persist the archive
+    const { written, invalid, report, outputs } = await writeFeeds(published, feed, options);
+    result.report = report;
+    result.outputs = outputs;
+    if (invalid) {
+      return finish('invalid');
+    } else if (options.dryRun) {
+      log.info('🧪 Dry run: nothing written.');
+    } else if (!written) {
+      return finish('refused');
+    } else {
+      await saveArchive(feed.archive, archive);
+      log.info('✅ RSS feed generated successfully!');
+      log.info(`📄 Saved to: ${outputs.map(output => output.path).join(', ')}`);
+      log.info(`🗄️  Archive: ${feed.archive}`);
+    }
+
+    // Announce what's new once the feed carrying it is out. The first run for
+    // a feed only fills the archive, so there's nothing to announce yet.
+    if (feed.notify && added.length > 0 && !options.noNotify && (written || options.dryRun)) {
+      if (previous.articles.length === 0) {
+        log.info('🔕 First run for this feed: not sending notifications');
+      } else {
+        const addedUrls = new Set(added);
+        await notifyNewArticles(published.filter(a => addedUrls.has(a.url)), feed, { dryRun: options.dryRun, logger: log });
+      }
+    }
+
+    // Feeds whose items changed this run, for the WebSub hubs
+    const changedUrls = (written || options.dryRun) && feedChanged(report) ? topicUrlsFor(feed) : [];
+
+    // Topic sub-feeds are built from the same archive
+    let topicStatus = 'ok';
+    for (const topicFeed of topicFeeds(feed)) {
+      const topicArticles = published.filter(topicFeed.matches);
+      log.info(`\n🏷️  Topic "${topicFeed.topic}": ${topicArticles.length} article(s)`);
+      const topicResult = await writeFeeds(topicArticles, topicFeed, options);
+      result.outputs.push(...topicResult.outputs);
+      if (topicResult.invalid) {
+        topicStatus = 'invalid';
+      } else if (!topicResult.written && !options.dryRun && topicStatus === 'ok') {
+        topicStatus = 'refused';
+      } else if (topicResult.written) {
+        log.info(`📄 Saved to: ${topicResult.outputs.map(output => output.path).join(', ')}`);
+      }
+      if ((topicResult.written || options.dryRun) && feedChanged(topicResult.report)) {
+        changedUrls.push(...topicUrlsFor(topicFeed));
+      }
+    }
+
+    // The static archive page follows the feed it was built with
+    if (feed.site.output && written) {
+      log.info(`🌐 Archive page: ${await writeSite(published, feed)}`);
+    }
+
+    // Subscribers behind a WebSub hub get the changes now instead of on their next poll
+    if (changedUrls.length > 0 && !options.noPing) {
+      await pingHubs(changedUrls, feed, { dryRun: options.dryRun, logger: log });
+    }
+
+    return finish(topicStatus !== 'ok' ? topicStatus : status);
+
+  } catch (error) {
+    const lastPage = diagnostics.pages[diagnostics.pages.length - 1];
+    const kind = classifyError(error, lastPage && lastPage.html);
+    log.error(`❌ Error generating RSS feed for ${feed.author} [${kind}]:`, error.message);
+    log.info(error.stack);
+    result.error = error.message;
+    await keepArtifacts(kind, { error });
+
+    // Create error feed, but only where there's no good feed to keep
+    try {
+      const { outputs } = await writeFeeds([{
+        title: 'Feed Generation Error',
+        url: profileUrl,
+        description: 'An error occurred while generating the RSS feed. It will retry on the next scheduled run.',
+        pubDate: new Date().toUTCString(),
+        author: 'System'
+      }], feed, options, 'error');
+      result.outputs = outputs;
+    } catch (writeError) {
+      log.error('❌ Could not write error feed:', writeError.message);
+    }
+    return finish('failed');
+  }
+}
+
+module.exports = {
+  writeFeeds,
+  generateFeedForAuthor
+};
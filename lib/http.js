@@ -0,0 +1,57 @@
+// lib/http.js - Plain HTTP helpers shared by the static fetch strategy and enrichment
+//
+// withRetry() is also used for browser navigation and notifications, and
+// isRetryable() is the usual test for which HTTP failures to retry.
+
+const { CONSOLE_LOGGER } = require('./logger');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+async function fetchHtml(url, timeout = 30000) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html' },
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status} fetching ${url}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.text();
+}
+
+// Errors worth another attempt: network failures, timeouts, 429 and 5xx
+function isRetryable(error) {
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+// Run `action` until it succeeds, waiting retryDelay ms before the first retry
+// and doubling the wait each time. options.isRetryable(error) decides which
+// failures are worth another attempt (default: all of them). Retries are
+// reported to options.logger (see lib/logger.js).
+async function withRetry(action, options = {}) {
+  const log = options.logger || CONSOLE_LOGGER;
+  const retries = options.retries !== undefined ? options.retries : 3;
+  const isRetryable = options.isRetryable || (() => true);
+  let delay = options.retryDelay !== undefined ? options.retryDelay : 2000;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await action(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      log.warn(`⚠️  ${error.message} - retrying in ${delay}ms (${attempt + 1}/${retries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay *= 2;
+    }
+  }
+}
+
+module.exports = {
+  USER_AGENT,
+  fetchHtml,
+  isRetryable,
+  withRetry
+};
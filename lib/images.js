@@ -0,0 +1,160 @@
+// lib/images.js - Lead images for feed items
+//
+// Each article keeps one lead image: og:image (or the JSON-LD image) from the
+// article page when it has been enriched, otherwise the listing card thumbnail.
+// The feed emits it as Media RSS media:content/media:thumbnail, JSON Feed "image",
+// and optionally as an RSS <enclosure> / Atom rel="enclosure" link.
+//
+// CHECKS:
+// - Only absolute http(s) URLs; data: URIs and lazy-load placeholders are ignored
+// - Tracking pixels are dropped by URL pattern and by size (1x1, tiny files)
+// - With "verify" on, each image is requested once (HEAD) and dropped when it is
+//   missing or isn't an image. The response fills in MIME type and byte length.
+//
+// OPTIONS (feeds.config.json "images" block):
+// - enabled: Emit lead images at all (default true)
+// - enclosure: Also emit <enclosure> / rel="enclosure" (default false)
+// - verify: Check image URLs over HTTP (default true)
+// - maxChecksPerRun: Images verified per run (default 50)
+
+const { USER_AGENT } = require('./http');
+const { CONSOLE_LOGGER } = require('./logger');
+
+const DEFAULT_IMAGES = {
+  enabled: true,
+  enclosure: false,
+  verify: true,
+  maxChecksPerRun: 50
+};
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+const TRACKING_PATTERN = /(pixel|spacer|blank|beacon|tracking|transparent|1x1)\.(gif|png)|\/(pixel|beacon|track)(\/|\?|$)|doubleclick\.net|google-analytics\.com|facebook\.com\/tr|scorecardresearch\.com|quantserve\.com/i;
+
+// Files this small are tracking pixels or placeholders, not photos
+const MIN_IMAGE_BYTES = 500;
+const MIN_DIMENSION = 16;
+
+function mimeTypeFor(url) {
+  const match = new URL(url).pathname.toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? MIME_TYPES[match[1]] || '' : '';
+}
+
+function isTrackingPixel(image) {
+  if (TRACKING_PATTERN.test(image.url)) return true;
+  return (image.width > 0 && image.width < MIN_DIMENSION) ||
+    (image.height > 0 && image.height < MIN_DIMENSION) ||
+    (image.length > 0 && image.length < MIN_IMAGE_BYTES);
+}
+
+// Clean up an image record from the listing, article metadata or the archive.
+// Returns { url, width, height, type, length, ... } or null when it isn't usable.
+function normalizeImage(image, baseUrl) {
+  if (!image || !image.url || image.broken) return null;
+
+  let url;
+  try {
+    url = new URL(image.url, baseUrl);
+  } catch (e) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const normalized = {
+    ...image,
+    url: url.href,
+    width: parseInt(image.width, 10) || 0,
+    height: parseInt(image.height, 10) || 0,
+    type: image.type || mimeTypeFor(url.href),
+    length: parseInt(image.length, 10) || 0
+  };
+  return isTrackingPixel(normalized) ? null : normalized;
+}
+
+// Request an image once and record what came back. Network errors leave the
+// image unchecked so it is tried again next run; anything else that isn't a
+// real image marks it broken.
+async function checkImage(image, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+  const timeout = options.timeout || 15000;
+  const request = (method) => fetchImpl(image.url, {
+    method,
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'image/*' },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  let response = await request('HEAD');
+  // Some CDNs don't answer HEAD
+  if (response.status === 405 || response.status === 501) {
+    response = await request('GET');
+  }
+
+  const checkedAt = new Date().toISOString();
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const length = parseInt(response.headers.get('content-length'), 10) || 0;
+
+  if (!response.ok) {
+    return { ...image, checkedAt, broken: `HTTP ${response.status}` };
+  }
+  if (contentType && !contentType.startsWith('image/')) {
+    return { ...image, checkedAt, broken: `not an image (${contentType})` };
+  }
+  if (length > 0 && length < MIN_IMAGE_BYTES) {
+    return { ...image, checkedAt, broken: `tracking pixel (${length} bytes)` };
+  }
+  return {
+    ...image,
+    type: contentType || image.type || '',
+    length: length || image.length || 0,
+    checkedAt
+  };
+}
+
+// Verify archive images that haven't been checked yet, at most maxChecksPerRun
+// per run. Mutates the articles; returns how many were dropped.
+async function checkImages(articles, options = {}) {
+  const log = options.logger || CONSOLE_LOGGER;
+  const limits = { ...DEFAULT_IMAGES, ...options };
+  const pending = articles
+    .filter(article => article.image && !article.image.checkedAt)
+    .slice(0, limits.maxChecksPerRun);
+  let dropped = 0;
+
+  for (const article of pending) {
+    const image = normalizeImage(article.image, article.url);
+    if (!image) {
+      article.image = { ...article.image, checkedAt: new Date().toISOString(), broken: 'not a usable image URL' };
+      dropped++;
+      continue;
+    }
+    try {
+      article.image = await checkImage(image, options);
+      if (article.image.broken) {
+        dropped++;
+        log.info(`🖼️  Dropping image for ${article.url}: ${article.image.broken}`);
+      } else if (options.debugMode) {
+        log.info(`Image OK: ${image.url} (${article.image.type}, ${article.image.length} bytes)`);
+      }
+    } catch (error) {
+      log.warn(`⚠️  Could not check image ${image.url}: ${error.message}`);
+    }
+  }
+
+  return dropped;
+}
+
+module.exports = {
+  DEFAULT_IMAGES,
+  normalizeImage,
+  isTrackingPixel,
+  checkImage,
+  checkImages
+};
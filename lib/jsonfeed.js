@@ -0,0 +1,53 @@
+// lib/jsonfeed.js - JSON Feed 1.1 serializer for the feed model (see lib/feed.js)
+//
+// Dates are RFC 3339. JSON Feed requires content_html or content_text on every
+// item, so the summary doubles as content_text. Full article bodies, when
+// present, go in content_html, and the lead image in "image". WebSub hubs
+// are listed in "hubs".
+
+function generateJSONFeed(model) {
+  const jsonFeed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: model.title,
+    home_page_url: model.homePageUrl,
+    // Omitted (undefined) when the public feed URL isn't configured
+    feed_url: model.links.json || undefined,
+    // WebSub hubs, only next to feed_url as in RSS and Atom
+    hubs: model.links.json && (model.hubs || []).length > 0
+      ? model.hubs.map(url => ({ type: 'WebSub', url }))
+      : undefined,
+    description: model.description,
+    language: model.language,
+    authors: [{ name: model.author }],
+    items: model.items.map(item => {
+      const entry = {
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        content_text: item.summary,
+        summary: item.summary,
+        date_published: item.published.toISOString(),
+        authors: item.authors.map(name => ({ name }))
+      };
+      if (item.content) {
+        entry.content_html = item.content;
+      }
+      if (item.image) {
+        entry.image = item.image.url;
+      }
+      if (item.categories.length > 0) {
+        entry.tags = item.categories;
+      }
+      if (item.modified) {
+        entry.date_modified = item.modified.toISOString();
+      }
+      return entry;
+    })
+  };
+
+  return JSON.stringify(jsonFeed, null, 2) + '\n';
+}
+
+module.exports = {
+  generateJSONFeed
+};
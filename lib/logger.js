@@ -0,0 +1,103 @@
+// lib/logger.js - Where progress messages go
+//
+// The scraper used to print straight to the console from every step, which
+// made it unusable as a library. Now each step logs through a logger object
+// passed in its options (options.logger). The command line hands in one that
+// prints; the library API (see index.js) hands in a quiet one and returns the
+// warnings and errors it collected as part of the result.
+//
+// LOGGER:
+// {
+//   info(...args), warn(...args), error(...args),
+//   event(name, data),         // structured record, printed only in JSON format
+//   warnings: [], errors: []   // collected messages when created with collect: true
+// }
+//
+// A logger created with options.forward also passes every message on to that
+// logger, so one feed's run can collect its own warnings while the command
+// line prints everything. Any object with info/warn/error (console, pino, ...)
+// works as a forward target.
+//
+// FORMATS:
+// - text: The emoji lines the script always printed
+// - json: One JSON object per line, e.g.
+//   {"time":"2026-01-12T06:00:03.120Z","level":"warn","feed":"Sharon Machlis","msg":"No articles found (blocked)"}
+//   Events add "event" and their data instead of "msg", so runs can be
+//   aggregated with jq or a log pipeline (--log-format json)
+//
+// Modules called without a logger fall back to CONSOLE_LOGGER, which prints
+// like they always did and collects nothing.
+
+const LOG_FORMATS = ['text', 'json'];
+
+// One line of text from console-style arguments
+function formatMessage(args) {
+  return args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' ');
+}
+
+// Messages carry an emoji for the terminal; the collected copy doesn't need it
+function plainMessage(args) {
+  return formatMessage(args).replace(/^[^\x21-\x7E]+/u, '').trim();
+}
+
+// info and warn go to stdout, error to stderr, in either format.
+// Events have no text form: the text format already says it in words.
+// Blank spacer lines have no JSON form.
+function printMessage(format, level, args, fields) {
+  const print = level === 'error' ? console.error : console.log;
+  if (format === 'json') {
+    const message = args.length > 0 ? { msg: plainMessage(args) } : {};
+    if (message.msg === '') return;
+    print(JSON.stringify({ time: new Date().toISOString(), level, ...fields, ...message }));
+  } else if (args.length > 0) {
+    print(...args);
+  }
+}
+
+// options.print: write to the console
+// options.format: 'text' (default) or 'json'
+// options.fields: added to every JSON line, e.g. { feed: 'Sharon Machlis' }
+// options.collect: keep warnings and errors in logger.warnings / logger.errors
+// options.forward: another logger that gets every message too
+function createLogger(options = {}) {
+  const print = Boolean(options.print);
+  const format = options.format || 'text';
+  const context = options.fields || {};
+  const collect = options.collect !== false;
+  const forward = options.forward || null;
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}" (expected: ${LOG_FORMATS.join(', ')})`);
+  }
+
+  const logger = {
+    warnings: [],
+    errors: [],
+    info: (...args) => logger.write('info', args),
+    warn: (...args) => logger.write('warn', args),
+    error: (...args) => logger.write('error', args),
+    event: (name, data = {}) => logger.write('info', [], { event: name, ...data }),
+    // Everything goes through here. Forwarded messages keep this logger's fields.
+    write: (level, args, fields = {}) => {
+      const all = { ...context, ...fields };
+      if (collect && args.length > 0 && level !== 'info') {
+        (level === 'warn' ? logger.warnings : logger.errors).push(plainMessage(args));
+      }
+      if (print) printMessage(format, level, args, all);
+      if (forward && forward.write) {
+        forward.write(level, args, all);
+      } else if (forward && args.length > 0) {
+        forward[level](...args);
+      }
+    }
+  };
+  return logger;
+}
+
+const CONSOLE_LOGGER = createLogger({ print: true, collect: false });
+
+module.exports = {
+  LOG_FORMATS,
+  CONSOLE_LOGGER,
+  createLogger,
+  formatMessage
+};
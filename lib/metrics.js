@@ -0,0 +1,306 @@
+// lib/metrics.js - Per-run metrics history and trend report
+//
+// Every run (except --dry-run) appends one JSON line describing what it saw to
+// a history file next to the archive (data/sharon-machlis.json ->
+// data/sharon-machlis.metrics.jsonl). `node scraper.js --report` reads it back,
+// summarizes the recent runs and flags the latest one when it looks worse than
+// usual.
+//
+// RECORD:
+// {
+//   at, author, status, strategy, durationMs,
+//   pages: [{ url, strategy, loadMs, candidates, articles }],
+//   selectors: { "<selector>": hits },    // candidate elements per article selector, all pages
+//   exclusions: { "<reason>": count },    // excluded-section (trending, sidebar...), other-author,
+//                                         // skip-phrase, not-article, other-site
+//   titles: { "<source>": count },        // heading, title-element, attribute, link-text,
+//                                         // metadata-slug, url-slug, placeholder, link-fallback
+//   items: { found, kept, truncated, archived, filtered, published, quarantined, added, updated }
+// }
+// "truncated" counts articles left out by the per-page limit (--max-items) and
+// "filtered" archived ones the feed's rules dropped (see lib/rules.js); every
+// title source but "heading" is a fallback.
+//
+// Exclusion and title counts come from re-running extraction on the pages the
+// run kept in memory (see lib/diagnostics.js), the same way the artifacts trace
+// does, so they're available for the browser strategy too.
+//
+// REGRESSIONS (latest run against the median of up to 10 earlier successful runs):
+// - the run didn't finish with status "ok"
+// - run time or average page load time more than doubled
+// - kept articles, or any selector's hits, fell by more than half
+// - the share of fallback titles rose by more than 20 points
+// - an exclusion reason, or truncation, more than doubled (and by at least 5)
+
+const fs = require('fs').promises;
+const path = require('path');
+const { extractPageFromHtml, countSelectorHits } = require('./extract');
+const { compareSelectorHits } = require('./diagnostics');
+
+const REGRESSION_LIMITS = {
+  baselineRuns: 10,
+  minRuns: 3,
+  slowdown: 2,
+  dropRatio: 0.5,
+  fallbackIncrease: 0.2,
+  rise: 2,
+  minRise: 5
+};
+
+// data/sharon-machlis.json -> data/sharon-machlis.metrics.jsonl
+function historyPathFor(archivePath) {
+  const parsed = path.parse(archivePath);
+  return path.join(parsed.dir, `${parsed.name}.metrics.jsonl`);
+}
+
+// Add b's counts into a
+function addCounts(a, b) {
+  Object.entries(b || {}).forEach(([key, value]) => {
+    a[key] = (a[key] || 0) + value;
+  });
+  return a;
+}
+
+// Re-run extraction on one recorded page with a stats object attached. The run
+// already logged whatever extraction had to say, so this pass stays quiet.
+function pageMetrics(page, extractOptions) {
+  const stats = {};
+  const { articles } = extractPageFromHtml(page.html, page.url, { ...extractOptions, debugMode: false, stats, log: () => {} });
+  const titles = stats.titles || {};
+  // extractPageFromHtml() fell back to plain article links
+  if (Object.keys(titles).length === 0 && articles.length > 0) {
+    titles['link-fallback'] = articles.length;
+  }
+  return {
+    hits: countSelectorHits(page.html, page.url),
+    candidates: stats.candidates || 0,
+    exclusions: stats.exclusions || {},
+    titles,
+    articles: articles.length
+  };
+}
+
+// Build the metrics record for a finished run (see lib/generate.js).
+// extractOptionsFor(pageUrl) gives the extraction options for a page.
+function runMetrics(result, diagnostics, extractOptionsFor) {
+  const record = {
+    at: new Date(Date.now() - result.stats.durationMs).toISOString(),
+    author: result.author,
+    status: result.status,
+    strategy: result.strategy,
+    durationMs: result.stats.durationMs,
+    pages: [],
+    selectors: {},
+    exclusions: {},
+    titles: {},
+    items: {
+      found: result.stats.scraped + diagnostics.truncated,
+      kept: result.stats.scraped,
+      truncated: diagnostics.truncated,
+      archived: result.stats.archived,
+      filtered: result.stats.filtered,
+      published: result.stats.published,
+      quarantined: result.stats.quarantined,
+      added: result.stats.added,
+      updated: result.stats.updated
+    }
+  };
+  diagnostics.pages.forEach(page => {
+    const metrics = pageMetrics(page, extractOptionsFor(page.url));
+    record.pages.push({
+      url: page.url,
+      strategy: page.strategy,
+      loadMs: page.loadMs,
+      candidates: metrics.candidates,
+      articles: metrics.articles
+    });
+    addCounts(record.selectors, metrics.hits);
+    addCounts(record.exclusions, metrics.exclusions);
+    addCounts(record.titles, metrics.titles);
+  });
+  return record;
+}
+
+async function appendHistory(historyPath, record) {
+  await fs.mkdir(path.dirname(historyPath), { recursive: true });
+  await fs.appendFile(historyPath, JSON.stringify(record) + '\n', 'utf8');
+}
+
+// Every record in a history file, oldest first. Unreadable lines are skipped.
+async function loadHistory(historyPath) {
+  let raw;
+  try {
+    raw = await fs.readFile(historyPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return raw.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (e) {
+      return [];
+    }
+  });
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function sum(counts) {
+  return Object.values(counts || {}).reduce((total, value) => total + value, 0);
+}
+
+// The numbers the report shows and compares for one run
+function digest(record) {
+  const pages = record.pages || [];
+  const items = record.items || {};
+  const titles = record.titles || {};
+  const titled = sum(titles);
+  return {
+    at: record.at,
+    status: record.status,
+    strategy: record.strategy,
+    durationMs: record.durationMs || 0,
+    pages: pages.length,
+    pageLoadMs: pages.length > 0 ? Math.round(sum(pages.map(page => page.loadMs || 0)) / pages.length) : 0,
+    kept: items.kept || 0,
+    truncated: items.truncated || 0,
+    published: items.published || 0,
+    quarantined: items.quarantined || 0,
+    fallbackTitles: titled - (titles.heading || 0),
+    fallbackShare: titled > 0 ? (titled - (titles.heading || 0)) / titled : 0,
+    titles,
+    exclusions: record.exclusions || {},
+    selectors: record.selectors || {}
+  };
+}
+
+// Median of every numeric field across runs, and of each count in the count maps
+function baselineOf(digests) {
+  const pick = field => median(digests.map(d => d[field]));
+  const counts = field => {
+    const keys = new Set(digests.flatMap(d => Object.keys(d[field])));
+    return Object.fromEntries(Array.from(keys).map(key => [key, median(digests.map(d => d[field][key] || 0))]));
+  };
+  return {
+    runs: digests.length,
+    durationMs: pick('durationMs'),
+    pageLoadMs: pick('pageLoadMs'),
+    kept: pick('kept'),
+    truncated: pick('truncated'),
+    fallbackShare: pick('fallbackShare'),
+    exclusions: counts('exclusions'),
+    selectors: counts('selectors')
+  };
+}
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Ways the latest run is worse than the baseline. Returns [{ metric, message }]
+function findRegressions(latest, baseline, limits) {
+  const regressions = [];
+  const flag = (metric, message) => regressions.push({ metric, message });
+  const rose = (now, usual) => now > usual * limits.rise && now - usual >= limits.minRise;
+
+  if (latest.status !== 'ok') {
+    flag('status', `run finished "${latest.status}"`);
+  }
+  if (latest.durationMs > baseline.durationMs * limits.slowdown) {
+    flag('durationMs', `run took ${seconds(latest.durationMs)}, usually ${seconds(baseline.durationMs)}`);
+  }
+  if (latest.pageLoadMs > baseline.pageLoadMs * limits.slowdown) {
+    flag('pageLoadMs', `pages took ${seconds(latest.pageLoadMs)} to load, usually ${seconds(baseline.pageLoadMs)}`);
+  }
+  if (latest.kept < baseline.kept * (1 - limits.dropRatio)) {
+    flag('kept', `${latest.kept} article(s) kept, usually ${baseline.kept}`);
+  }
+  if (latest.fallbackShare - baseline.fallbackShare > limits.fallbackIncrease) {
+    flag('titles', `${Math.round(latest.fallbackShare * 100)}% of titles came from a fallback, usually ${Math.round(baseline.fallbackShare * 100)}%`);
+  }
+  if (rose(latest.truncated, baseline.truncated)) {
+    flag('truncated', `${latest.truncated} article(s) cut by --max-items, usually ${baseline.truncated}`);
+  }
+  Object.entries(latest.exclusions).forEach(([reason, count]) => {
+    if (rose(count, baseline.exclusions[reason] || 0)) {
+      flag(`exclusions.${reason}`, `${count} "${reason}" exclusion(s), usually ${baseline.exclusions[reason] || 0}`);
+    }
+  });
+  compareSelectorHits(baseline.selectors, latest.selectors, { dropRatio: limits.dropRatio }).forEach(drop => {
+    flag(`selectors.${drop.selector}`, `selector "${drop.selector}" matched ${drop.after}, usually ${drop.before}`);
+  });
+  return regressions;
+}
+
+// Summarize a feed's history. The baseline is built from successful runs only,
+// so one bad week doesn't hide the next.
+// Returns { runs, since, latest, baseline, trend, regressions }
+function summarizeHistory(records, options = {}) {
+  const limits = { ...REGRESSION_LIMITS, ...options };
+  if (records.length === 0) {
+    return { runs: 0, since: '', latest: null, baseline: null, trend: [], regressions: [] };
+  }
+  const digests = records.map(digest);
+  const latest = digests[digests.length - 1];
+  const previous = digests.slice(0, -1).filter(d => d.status === 'ok').slice(-limits.baselineRuns);
+  const baseline = previous.length >= limits.minRuns ? baselineOf(previous) : null;
+  return {
+    runs: records.length,
+    since: digests[0].at,
+    latest,
+    baseline,
+    trend: digests.slice(-limits.baselineRuns).map(d => ({
+      at: d.at, status: d.status, kept: d.kept, durationMs: d.durationMs, pageLoadMs: d.pageLoadMs
+    })),
+    regressions: baseline ? findRegressions(latest, baseline, limits) : []
+  };
+}
+
+function countList(counts) {
+  const entries = Object.entries(counts).filter(([, count]) => count > 0);
+  return entries.length > 0 ? entries.map(([key, count]) => `${key} ${count}`).join(', ') : 'none';
+}
+
+// Text lines for the --report command
+function formatHistoryReport(author, summary) {
+  if (summary.runs === 0) {
+    return [`📈 ${author}: no runs recorded yet`];
+  }
+  const { latest, baseline } = summary;
+  const lines = [
+    `📈 ${author}: ${summary.runs} run(s) since ${summary.since.slice(0, 10)}`,
+    `   Latest: ${latest.at.slice(0, 16).replace('T', ' ')} ${latest.status}${latest.strategy ? ` (${latest.strategy})` : ''}, ` +
+      `${latest.kept} kept, ${latest.truncated} truncated, ${seconds(latest.durationMs)}, ` +
+      `${latest.pages} page(s) at ${seconds(latest.pageLoadMs)} each`,
+    `   Titles: ${latest.fallbackTitles} fallback(s) (${countList(latest.titles)})`,
+    `   Exclusions: ${countList(latest.exclusions)}`
+  ];
+  if (baseline) {
+    lines.push(`   Usual (median of ${baseline.runs}): ${baseline.kept} kept, ${seconds(baseline.durationMs)}, pages at ${seconds(baseline.pageLoadMs)}`);
+  } else {
+    lines.push('   Not enough earlier runs to compare with yet');
+  }
+  lines.push(`   Trend (oldest first): kept ${summary.trend.map(run => run.kept).join(' ')}; ` +
+    `seconds ${summary.trend.map(run => Math.round(run.durationMs / 1000)).join(' ')}`);
+  summary.regressions.forEach(regression => lines.push(`   ⚠️  Regression: ${regression.message}`));
+  if (baseline && summary.regressions.length === 0) {
+    lines.push('   ✅ No regressions');
+  }
+  return lines;
+}
+
+module.exports = {
+  REGRESSION_LIMITS,
+  historyPathFor,
+  runMetrics,
+  appendHistory,
+  loadHistory,
+  summarizeHistory,
+  formatHistoryReport
+};
@@ -0,0 +1,208 @@
+// lib/notify.js - Tell people about new articles
+//
+// After a feed is published, the articles that were added to the archive this
+// run are sent to every configured webhook and, optionally, as one email digest.
+// The very first run for a feed (empty archive) sends nothing, so backfilling
+// the archive doesn't announce years of old articles.
+//
+// OPTIONS (feeds.config.json "notify" block):
+// - webhooks: [{ url, format: "json" | "slack", headers }]. "slack" posts
+//   { text } with mrkdwn links, which Slack, Mattermost and most chat incoming
+//   webhooks accept. "json" posts { feed, count, articles } (default).
+// - email: { host, port, secure, user, pass, from, to: [], subject } sent over SMTP.
+//   Leave user/pass out for servers that don't need auth.
+// - retries: Extra attempts per delivery after a failure (default 3)
+// - retryDelay: First wait between attempts in ms, doubled each time (default 2000)
+//
+// Any string value of the form "$NAME" is read from the environment, so webhook
+// URLs and SMTP passwords can live in repository secrets.
+// With --dry-run (or options.dryRun) payloads are logged instead of sent.
+
+const nodemailer = require('nodemailer');
+const { USER_AGENT, isRetryable, withRetry } = require('./http');
+const { escapeXml } = require('./xml');
+const { CONSOLE_LOGGER } = require('./logger');
+
+const DEFAULT_NOTIFY = {
+  webhooks: [],
+  email: null,
+  retries: 3,
+  retryDelay: 2000
+};
+
+// "$SLACK_WEBHOOK_URL" -> process.env.SLACK_WEBHOOK_URL, recursively
+function resolveEnv(value, env = process.env) {
+  if (typeof value === 'string' && /^\$[A-Z_][A-Z0-9_]*$/i.test(value)) {
+    return env[value.slice(1)] || '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveEnv(item, env));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnv(item, env)]));
+  }
+  return value;
+}
+
+// Host of an absolute http(s) webhook URL, or '' when it isn't one
+function webhookHost(url) {
+  try {
+    const parsed = new URL(url);
+    return /^https?:$/.test(parsed.protocol) ? parsed.host : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+// Archive article -> the fields a notification needs
+function summarize(article) {
+  return {
+    title: article.title,
+    url: article.url,
+    description: article.description || '',
+    pubDate: article.pubDate || '',
+    categories: article.categories || []
+  };
+}
+
+function headline(articles, feed) {
+  return `${articles.length} new article${articles.length === 1 ? '' : 's'} by ${feed.author} on ${feed.publication || 'InfoWorld'}`;
+}
+
+// Build the request body for one webhook
+function webhookPayload(articles, feed, format = 'json') {
+  if (format === 'slack') {
+    // Slack mrkdwn only needs &, < and > escaped; | would end the link text
+    const label = title => title.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\|/g, '-');
+    const lines = articles.map(article => `• <${article.url}|${label(article.title)}>`);
+    return { text: `*${headline(articles, feed)}*\n${lines.join('\n')}` };
+  }
+  return {
+    feed: { title: feed.title, author: feed.author, url: feed.feedUrl || '', profileUrl: feed.profileUrl },
+    count: articles.length,
+    articles: articles.map(summarize)
+  };
+}
+
+async function postWebhook(webhook, payload, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+  const response = await fetchImpl(webhook.url, {
+    method: 'POST',
+    headers: { 'User-Agent': USER_AGENT, 'Content-Type': 'application/json', ...(webhook.headers || {}) },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(options.timeout || 15000)
+  });
+  if (!response.ok) {
+    const error = new Error(`Webhook ${new URL(webhook.url).host} answered HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+// Plain-text and HTML bodies for the email digest
+function emailDigest(articles, feed, subject) {
+  const text = [
+    headline(articles, feed),
+    '',
+    ...articles.map(article => `${article.title}\n${article.url}${article.description ? `\n${article.description}` : ''}\n`),
+    feed.feedUrl ? `Feed: ${feed.feedUrl}` : ''
+  ].join('\n');
+
+  const html = `<h2>${escapeXml(headline(articles, feed))}</h2>
+<ul>
+${articles.map(article => `  <li><a href="${escapeXml(article.url)}">${escapeXml(article.title)}</a>${article.description ? `<br>${escapeXml(article.description)}` : ''}</li>`).join('\n')}
+</ul>${feed.feedUrl ? `\n<p><a href="${escapeXml(feed.feedUrl)}">Subscribe to the feed</a></p>` : ''}
+`;
+
+  return { subject: subject || headline(articles, feed), text, html };
+}
+
+async function sendEmail(email, digest, options = {}) {
+  const transport = (options.createTransport || nodemailer.createTransport)({
+    host: email.host,
+    port: email.port || 587,
+    secure: Boolean(email.secure),
+    ignoreTLS: Boolean(email.ignoreTLS),
+    auth: email.user ? { user: email.user, pass: email.pass } : undefined
+  });
+  try {
+    await transport.sendMail({
+      from: email.from,
+      to: [].concat(email.to || []).join(', '),
+      subject: digest.subject,
+      text: digest.text,
+      html: digest.html
+    });
+  } catch (error) {
+    // SMTP 5xx replies are permanent; 4xx and connection errors are worth retrying
+    if (error.responseCode >= 500) {
+      error.status = 400;
+    }
+    throw error;
+  } finally {
+    transport.close();
+  }
+}
+
+// Send every configured notification for the new articles. Failures are
+// logged and counted, never thrown. Returns { sent, failed }.
+async function notifyNewArticles(articles, feed, options = {}) {
+  const log = options.logger || CONSOLE_LOGGER;
+  const config = resolveEnv({ ...DEFAULT_NOTIFY, ...(feed.notify || {}) });
+  const retry = { retries: config.retries, retryDelay: config.retryDelay, isRetryable, logger: log };
+  const result = { sent: 0, failed: 0 };
+  if (articles.length === 0) return result;
+
+  for (const webhook of config.webhooks) {
+    if (!webhook.url) {
+      log.warn('⚠️  Skipping a webhook with no URL (is its environment variable set?)');
+      continue;
+    }
+    // The URL is often a secret, so it isn't repeated in the warning
+    const host = webhookHost(webhook.url);
+    if (!host) {
+      log.warn('⚠️  Skipping a webhook whose URL isn\'t an absolute http(s) URL');
+      continue;
+    }
+    const payload = webhookPayload(articles, feed, webhook.format);
+    if (options.dryRun) {
+      log.info(`🧪 Would POST to ${host}:\n${JSON.stringify(payload, null, 2)}`);
+      continue;
+    }
+    try {
+      await withRetry(() => postWebhook(webhook, payload, options), retry);
+      log.info(`🔔 Notified ${host} about ${articles.length} new article(s)`);
+      result.sent++;
+    } catch (error) {
+      log.error(`❌ Webhook notification failed: ${error.message}`);
+      result.failed++;
+    }
+  }
+
+  const email = config.email;
+  if (email && email.host && email.to) {
+    const digest = emailDigest(articles, feed, email.subject);
+    if (options.dryRun) {
+      log.info(`🧪 Would email "${digest.subject}" to ${[].concat(email.to).join(', ')} via ${email.host}:\n${digest.text}`);
+    } else {
+      try {
+        await withRetry(() => sendEmail(email, digest, options), retry);
+        log.info(`📧 Emailed the digest to ${[].concat(email.to).join(', ')}`);
+        result.sent++;
+      } catch (error) {
+        log.error(`❌ Email digest failed: ${error.message}`);
+        result.failed++;
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_NOTIFY,
+  resolveEnv,
+  webhookPayload,
+  emailDigest,
+  notifyNewArticles
+};
@@ -0,0 +1,82 @@
+// lib/paginate.js - Follow profile pagination across pages or "Load more" rounds
+//
+// The profile page only shows the most recent articles. collectPages() keeps
+// asking for the next page until one of these happens:
+// - there is no next page / load-more button
+// - maxPages pages have been read (default 5)
+// - maxArticles articles have been collected (default 200)
+// - a page ends with an article that's already in the archive (stopAtKnown).
+//   Listings are newest first, so everything after it is known too. Articles
+//   are compared by article key (see lib/publishers.js), so a tracking
+//   parameter or an http:// link on the page still matches the archived URL.
+// - a page adds nothing new (guards against pagination loops)
+//
+// How a page is loaded is up to the caller, so the same loop drives both the
+// static HTTP strategy and the headless browser.
+
+const { articleKey } = require('./publishers');
+const { CONSOLE_LOGGER } = require('./logger');
+
+const DEFAULT_PAGINATION = {
+  maxPages: 5,
+  maxArticles: 200,
+  stopAtKnown: true
+};
+
+// loadFirst() and loadNext(next) both resolve to { articles, next } where next
+// is whatever findNextPage() returned (see lib/extract.js). perPageLimit caps
+// the new articles taken from each page, to keep junk at the bottom of a page out;
+// options.onTruncate(count) hears how many that left out.
+// Progress goes to options.logger (see lib/logger.js).
+async function collectPages(loadFirst, loadNext, options = {}) {
+  const log = options.logger || CONSOLE_LOGGER;
+  const limits = { ...DEFAULT_PAGINATION, ...(options.pagination || {}) };
+  const knownKeys = new Set(Array.from(options.knownUrls || []).map(articleKey));
+  const perPageLimit = options.perPageLimit || Infinity;
+  const seen = new Map();
+  let pages = 0;
+  let stopReason = '';
+
+  let result = await loadFirst();
+  while (result) {
+    pages++;
+    const fresh = result.articles.filter(article => !seen.has(article.url));
+    const taken = fresh.slice(0, perPageLimit);
+    if (taken.length < fresh.length) {
+      log.info(`Page ${pages}: limited to first ${perPageLimit} new articles (excluded ${fresh.length - perPageLimit} articles)`);
+      if (options.onTruncate) options.onTruncate(fresh.length - perPageLimit);
+    }
+    taken.forEach(article => seen.set(article.url, article));
+    log.info(`Page ${pages}: ${taken.length} new article(s), ${seen.size} total`);
+
+    const next = result.next || {};
+    const last = taken[taken.length - 1];
+    if (!next.url && !next.loadMore) {
+      stopReason = 'no more pages';
+    } else if (taken.length === 0) {
+      stopReason = 'page added no new articles';
+    } else if (limits.stopAtKnown && last && knownKeys.has(articleKey(last.url))) {
+      stopReason = 'reached articles already in the archive';
+    } else if (pages >= limits.maxPages) {
+      stopReason = `page limit (${limits.maxPages})`;
+    } else if (seen.size >= limits.maxArticles) {
+      stopReason = `article limit (${limits.maxArticles})`;
+    }
+    if (stopReason) break;
+
+    // loadNext() returns null when it can't follow this kind of next page,
+    // e.g. a "Load more" button without a browser
+    result = await loadNext(next);
+    if (!result) {
+      stopReason = 'next page needs a browser';
+    }
+  }
+
+  log.info(`Stopped paging after ${pages} page(s): ${stopReason}`);
+  return Array.from(seen.values()).slice(0, limits.maxArticles);
+}
+
+module.exports = {
+  DEFAULT_PAGINATION,
+  collectPages
+};
@@ -0,0 +1,168 @@
+// lib/publishers.js - Publisher adapters
+//
+// Everything that differs between sites lives in an adapter, so one feed can
+// combine an author's profiles on several publications. The fetch strategies,
+// pagination and feed writing stay the same for all of them.
+//
+// ADAPTER INTERFACE:
+// {
+//   id, name,                        // "infoworld", "InfoWorld"
+//   matches(url),                    // true for profile and article URLs on this site
+//   isArticleUrl(url),
+//   listingOptions,                  // extra options for lib/extract.js (articleUrlPattern,
+//                                    // skipPhrases); plain data so the browser can use it
+//   listArticles(html, url, options) // articles and next page from a fetched or saved
+//                                    // profile page (the static and saved-html strategies)
+//   extractMetadata(html, url)       // article page metadata, as in lib/enrich.js
+//   articleId(url)                   // stable ID in an article URL, '' if there is none
+//   guidFor(id)                      // feed GUID for that ID
+// }
+//
+// InfoWorld and Computerworld both run on Foundry's CMS, so foundrySite()
+// builds both from a name and a host. Another Foundry title (CIO, CSO Online,
+// Network World) is one more foundrySite() call in PUBLISHERS.
+//
+// Articles found on more than one site (Foundry syndicates between its titles)
+// are merged by canonical URL: the copy the canonical link points to is kept
+// and the other URLs are remembered as aliases.
+//
+// URL IDENTITY:
+// Foundry article URLs carry a numeric ID that survives retitling:
+// /article/4130274/old-slug.html and /article/4130274/new-slug.html are the
+// same article. articleKey() is that ID ("infoworld:4130274") wherever there is
+// one, and the normalized URL otherwise. The archive matches articles on it and
+// new feed items get a GUID built from it, so a changed slug or a tracking
+// parameter never turns an old post into a new item.
+
+const { extractPageFromHtml } = require('./extract');
+const { extractArticleMetadata } = require('./enrich');
+const { mergeCategories } = require('./topics');
+
+function hostMatches(url, host) {
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return hostname === host || hostname.endsWith(`.${host}`);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAM = /^(utm_|mc_|_hs|_ga$|_gl$|fbclid$|gclid$|dclid$|msclkid$|igshid$|cmpid$|tk$|ref$)/i;
+
+function foundrySite({ id, name, host }) {
+  const lowerName = name.toLowerCase();
+  const listingOptions = {
+    articleUrlPattern: `${host}/article/`,
+    skipPhrases: [`more from ${lowerName}`, `also on ${lowerName}`]
+  };
+
+  return {
+    id,
+    name,
+    matches: url => hostMatches(url, host),
+    isArticleUrl: url => hostMatches(url, host) && url.includes(listingOptions.articleUrlPattern),
+    listingOptions,
+    listArticles: (html, url, options = {}) => extractPageFromHtml(html, url, { ...options, ...listingOptions }),
+    extractMetadata: (html, url) => extractArticleMetadata(html, url),
+    articleId: url => {
+      const match = hostMatches(url, host) && new URL(url).pathname.match(/\/article\/(\d+)(?:\/|\.html|$)/);
+      return match ? match[1] : '';
+    },
+    // A tag: URI (RFC 4151) is a valid RSS guid and Atom id. The date is
+    // part of the identifier and must never change.
+    guidFor: articleId => `tag:${host},2024:article/${articleId}`
+  };
+}
+
+const PUBLISHERS = [
+  foundrySite({ id: 'infoworld', name: 'InfoWorld', host: 'infoworld.com' }),
+  foundrySite({ id: 'computerworld', name: 'Computerworld', host: 'computerworld.com' })
+];
+
+// The adapter for a profile or article URL, or null for unsupported sites
+function publisherFor(url) {
+  return PUBLISHERS.find(publisher => publisher.matches(url)) || null;
+}
+
+// The URL to store and link to: https, lowercase host, no fragment and no
+// tracking parameters. Other query parameters are kept.
+function normalizeArticleUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'http:') parsed.protocol = 'https:';
+    parsed.hash = '';
+    Array.from(parsed.searchParams.keys())
+      .filter(name => TRACKING_PARAM.test(name))
+      .forEach(name => parsed.searchParams.delete(name));
+    return parsed.href;
+  } catch (e) {
+    return url;
+  }
+}
+
+// Comparable form of a URL: https, lowercase host without "www.", no query,
+// fragment or trailing slash
+function canonicalKey(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    return `https://${host}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+// What identifies an article: "<publisher>:<id>" when the URL has an ID,
+// otherwise its canonicalKey()
+function articleKey(url) {
+  const publisher = publisherFor(url);
+  const id = publisher ? publisher.articleId(url) : '';
+  return id ? `${publisher.id}:${id}` : canonicalKey(url);
+}
+
+// GUID for a new feed item: built from the article ID when there is one,
+// otherwise the normalized URL
+function articleGuid(url) {
+  const publisher = publisherFor(url);
+  const id = publisher ? publisher.articleId(url) : '';
+  return id ? publisher.guidFor(id) : normalizeArticleUrl(url);
+}
+
+// Collapse articles that are the same article (same canonical URL or article
+// ID) into one. The copy whose own URL is the canonical one wins; the others
+// become aliases. Articles without a canonicalUrl (not enriched) are keyed on
+// their own URL.
+function dedupeByCanonical(articles) {
+  const groups = new Map();
+  articles.forEach(article => {
+    const key = articleKey(article.canonicalUrl || article.url);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(article);
+  });
+
+  return Array.from(groups.entries()).map(([key, copies]) => {
+    const original = copies.find(copy => articleKey(copy.url) === key) || copies[0];
+    // Link to the canonical page even when only a syndicated copy was listed
+    const url = normalizeArticleUrl(publisherFor(original.canonicalUrl || '') ? original.canonicalUrl : original.url);
+    const aliases = new Set(copies.flatMap(copy => [copy.url, ...(copy.aliases || [])]).map(normalizeArticleUrl));
+    aliases.delete(url);
+    return {
+      ...original,
+      url,
+      aliases: Array.from(aliases),
+      categories: mergeCategories(...copies.map(copy => copy.categories))
+    };
+  });
+}
+
+module.exports = {
+  PUBLISHERS,
+  foundrySite,
+  publisherFor,
+  normalizeArticleUrl,
+  canonicalKey,
+  articleKey,
+  articleGuid,
+  dedupeByCanonical
+};
@@ -0,0 +1,228 @@
+// lib/quality.js - Item quality scoring and quarantine
+//
+// Extraction sometimes produces junk: a placeholder title, a title rebuilt from
+// the URL slug, the author bio as every description. Before a feed is written
+// each archived article is scored against the checks below (100 = nothing
+// wrong, each failed check subtracts its penalty). Articles below the threshold
+// stay in the archive but are held out of the public feeds, topic feeds, archive
+// page and notifications, and are listed in a review report next to the feed
+// (feed.xml -> feed.review.json).
+//
+// CHECKS:
+// - placeholder-title (60): "Article", "Untitled" or no title at all
+// - slug-title (40): Title is just the URL slug in title case
+// - metadata-in-title (30): Byline, date, read time or site name leaked into the title
+// - repeated-description (15): Same description as another article in the feed
+// - bio-description (20): Description reads like the author bio
+// - missing-date (20): No publish date was ever found (the archive marks the
+//   article "undated" and pubDate is the first-seen time)
+// - other-author (50): The byline names someone else
+//
+// OPTIONS (feeds.config.json "quality" block):
+// - enabled: Score and quarantine at all (default true)
+// - threshold: Lowest score that is still published (default 60)
+// - overrides: Allow/deny file (default next to the archive,
+//   data/sharon-machlis.json -> data/sharon-machlis.overrides.json)
+//
+// OVERRIDES FILE:
+// { "allow": ["<article URL>", ...], "deny": ["<article URL>", ...] }
+// Allowed articles are always published and denied ones never are, whatever
+// their score. Entries match on article ID (see lib/publishers.js), so they
+// survive slug changes. `node scraper.js --allow <url>` / `--deny <url>` edit it.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { articleKey } = require('./publishers');
+const { isPlaceholderTitle } = require('./archive');
+
+const DEFAULT_QUALITY = {
+  enabled: true,
+  threshold: 60,
+  overrides: ''
+};
+
+const PENALTIES = {
+  'placeholder-title': 60,
+  'slug-title': 40,
+  'metadata-in-title': 30,
+  'repeated-description': 15,
+  'bio-description': 20,
+  'missing-date': 20,
+  'other-author': 50
+};
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const TITLE_METADATA_PATTERNS = [
+  { pattern: new RegExp(`\\b${MONTH}\\s+\\d{1,2},?\\s+\\d{4}\\b`, 'i'), detail: 'date' },
+  { pattern: /\b\d{4}-\d{2}-\d{2}\b/, detail: 'date' },
+  { pattern: /\b\d+\s+min(ute)?s?\s+read\b/i, detail: 'read time' },
+  { pattern: /\bby\s+[A-Z][a-z]+\s+[A-Z][a-z]+/, detail: 'byline' },
+  { pattern: /\b(contributing|senior|executive)\s+(writer|editor)\b/i, detail: 'byline' },
+  { pattern: /\s[|–—-]\s*(infoworld|computerworld)\s*$/i, detail: 'site name' }
+];
+
+const BIO_PATTERN = /\b(contributing (writer|editor)|executive editor|senior editor|has (been )?(written|covered|reported)|is the author of|award-winning|follow (her|him|them) on|is a (former )?(journalist|writer|editor|reporter))\b/i;
+
+// Letters and digits only, for loose comparisons
+const squash = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// "how-to-use-duckdb-with-r.html" -> "howtouseduckdbwithr"
+function slugOf(url) {
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    const last = segments[segments.length - 1] || '';
+    return squash(last.replace(/\.html?$/, '').replace(/-\d+$/, ''));
+  } catch (e) {
+    return '';
+  }
+}
+
+// Does a byline name match the feed author? Compares letters only, so
+// "Sharon Machlis" matches "sharon machlis" and "Sharon  Machlis".
+function isFeedAuthor(name, author) {
+  return squash(name) === squash(author);
+}
+
+// Score one article. context: { author, descriptionCounts: Map }
+// Returns { score, problems: [{ check, penalty, detail }] }
+function scoreArticle(article, context) {
+  const problems = [];
+  const fail = (check, detail) => problems.push({ check, penalty: PENALTIES[check], detail });
+  const title = article.title || '';
+  const description = (article.description || '').trim();
+
+  if (isPlaceholderTitle(title)) {
+    fail('placeholder-title', title || '(empty)');
+  } else {
+    const slug = slugOf(article.url);
+    if (slug.length > 10 && squash(title) === slug) {
+      fail('slug-title', title);
+    }
+    const leak = TITLE_METADATA_PATTERNS.find(({ pattern }) => pattern.test(title));
+    if (leak) {
+      fail('metadata-in-title', leak.detail);
+    } else if (context.author && squash(title).includes(squash(context.author))) {
+      fail('metadata-in-title', 'author name');
+    }
+  }
+
+  if (description && (context.descriptionCounts.get(description) || 0) > 1) {
+    fail('repeated-description', `shared with ${context.descriptionCounts.get(description) - 1} other article(s)`);
+  }
+  if (description && (BIO_PATTERN.test(description) ||
+      (context.author && description.toLowerCase().startsWith(`${context.author.toLowerCase()} is `)))) {
+    fail('bio-description', description.slice(0, 80));
+  }
+
+  if (!article.pubDate || article.undated) {
+    fail('missing-date', article.firstSeen ? `first seen ${article.firstSeen}` : '');
+  }
+
+  const bylines = article.authors && article.authors.length > 0 ? article.authors : [article.author].filter(Boolean);
+  if (context.author && bylines.length > 0 && !bylines.some(name => isFeedAuthor(name, context.author))) {
+    fail('other-author', bylines.join(', '));
+  }
+
+  const score = Math.max(0, 100 - problems.reduce((total, problem) => total + problem.penalty, 0));
+  return { score, problems };
+}
+
+// data/sharon-machlis.json -> data/sharon-machlis.overrides.json
+function overridesPathFor(feed) {
+  if (feed.quality && feed.quality.overrides) return feed.quality.overrides;
+  const parsed = path.parse(feed.archive);
+  return path.join(parsed.dir, `${parsed.name}.overrides.json`);
+}
+
+async function loadOverrides(overridesPath) {
+  try {
+    const overrides = JSON.parse(await fs.readFile(overridesPath, 'utf8'));
+    return { allow: overrides.allow || [], deny: overrides.deny || [] };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { allow: [], deny: [] };
+    throw error;
+  }
+}
+
+async function saveOverrides(overridesPath, overrides) {
+  await fs.mkdir(path.dirname(overridesPath), { recursive: true });
+  await fs.writeFile(overridesPath, JSON.stringify(overrides, null, 2) + '\n', 'utf8');
+}
+
+// Put a URL on the allow or deny list, taking it off the other one.
+// list is 'allow' or 'deny'. Returns the updated overrides.
+function setOverride(overrides, list, url) {
+  const key = articleKey(url);
+  const other = list === 'allow' ? 'deny' : 'allow';
+  return {
+    [list]: [...overrides[list].filter(entry => articleKey(entry) !== key), url],
+    [other]: overrides[other].filter(entry => articleKey(entry) !== key)
+  };
+}
+
+// Split archive articles into what gets published and what is held for review.
+// Returns { published, quarantined: [{ url, title, score, problems, override }] }
+function assessArticles(articles, feed, overrides = { allow: [], deny: [] }) {
+  const settings = { ...DEFAULT_QUALITY, ...(feed.quality || {}) };
+  if (!settings.enabled) {
+    return { published: articles, quarantined: [] };
+  }
+
+  const allowed = new Set(overrides.allow.map(articleKey));
+  const denied = new Set(overrides.deny.map(articleKey));
+  const descriptionCounts = new Map();
+  articles.forEach(article => {
+    const description = (article.description || '').trim();
+    if (description) descriptionCounts.set(description, (descriptionCounts.get(description) || 0) + 1);
+  });
+  const context = { author: feed.author, descriptionCounts };
+
+  const published = [];
+  const quarantined = [];
+  articles.forEach(article => {
+    const keys = [article.url, ...(article.aliases || [])].map(articleKey);
+    const { score, problems } = scoreArticle(article, context);
+    let override = '';
+    if (keys.some(key => allowed.has(key))) override = 'allow';
+    else if (keys.some(key => denied.has(key))) override = 'deny';
+
+    if (override === 'allow' || (override !== 'deny' && score >= settings.threshold)) {
+      published.push(article);
+    } else {
+      quarantined.push({ url: article.url, title: article.title, score, problems, override });
+    }
+  });
+  return { published, quarantined };
+}
+
+// feed.xml -> feed.review.json
+function reviewPathFor(feedPath) {
+  const parsed = path.parse(feedPath);
+  return path.join(parsed.dir, `${parsed.name}.review.json`);
+}
+
+async function writeReview(feed, quarantined) {
+  const reviewPath = reviewPathFor(feed.output);
+  const settings = { ...DEFAULT_QUALITY, ...(feed.quality || {}) };
+  await fs.writeFile(reviewPath, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    feed: feed.output,
+    threshold: settings.threshold,
+    overrides: overridesPathFor(feed),
+    quarantined
+  }, null, 2) + '\n', 'utf8');
+  return reviewPath;
+}
+
+module.exports = {
+  DEFAULT_QUALITY,
+  PENALTIES,
+  isFeedAuthor,
+  scoreArticle,
+  assessArticles,
+  overridesPathFor,
+  loadOverrides,
+  saveOverrides,
+  setOverride,
+  writeReview
+};
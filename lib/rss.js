@@ -0,0 +1,80 @@
+// lib/rss.js - RSS 2.0 serializer for the feed model (see lib/feed.js)
+//
+// Dates are RFC 822, as RSS 2.0 requires. Full article bodies go in
+// content:encoded (RSS 1.0 content module) next to the short description.
+// Lead images use Media RSS, plus an <enclosure> when the feed asks for one.
+// WebSub hubs are atom:link rel="hub" next to the self link.
+
+const { escapeXml, cdata } = require('./xml');
+
+// Optional width/height/type attributes, only when known
+function imageAttributes(image, withType) {
+  return (withType && image.type ? ` type="${escapeXml(image.type)}"` : '') +
+    (image.width ? ` width="${image.width}"` : '') +
+    (image.height ? ` height="${image.height}"` : '');
+}
+
+function imageElements(image, enclosure) {
+  if (!image) return '';
+  const url = escapeXml(image.url);
+  let elements = `
+      <media:content url="${url}" medium="image"${imageAttributes(image, true)} />
+      <media:thumbnail url="${url}"${imageAttributes(image, false)} />`;
+  // RSS allows one enclosure per item and it needs a type; length 0 means unknown
+  if (enclosure && image.type) {
+    elements += `
+      <enclosure url="${url}" length="${image.length || 0}" type="${escapeXml(image.type)}" />`;
+  }
+  return elements;
+}
+
+function generateRSS(model) {
+  let rssContent = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(model.title)}</title>
+    <link>${escapeXml(model.homePageUrl)}</link>
+    <description>${escapeXml(model.description)}</description>
+    <language>${escapeXml(model.language)}</language>
+    <lastBuildDate>${model.updated.toUTCString()}</lastBuildDate>
+    <generator>GitHub Actions RSS Generator</generator>
+    <ttl>10080</ttl>
+`;
+
+  // Self link is only emitted when the public feed URL is configured. WebSub
+  // hubs need it to know which feed to push, so they go with it.
+  if (model.links.rss) {
+    rssContent += `    <atom:link href="${escapeXml(model.links.rss)}" rel="self" type="application/rss+xml" />
+`;
+    (model.hubs || []).forEach(hub => {
+      rssContent += `    <atom:link href="${escapeXml(hub)}" rel="hub" />
+`;
+    });
+  }
+
+  model.items.forEach(item => {
+    const url = escapeXml(item.url);
+    
+    rssContent += `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${url}</link>
+      <description>${cdata(item.summary)}</description>${item.content ? `
+      <content:encoded>${cdata(item.content)}</content:encoded>` : ''}
+      <dc:creator>${escapeXml(item.authors.join(', '))}</dc:creator>${item.categories.map(category => `
+      <category>${escapeXml(category)}</category>`).join('')}${imageElements(item.image, model.enclosures)}
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <guid isPermaLink="${item.id === item.url}">${escapeXml(item.id)}</guid>
+    </item>`;
+  });
+
+  rssContent += `
+  </channel>
+</rss>`;
+
+  return rssContent;
+}
+
+module.exports = {
+  generateRSS
+};
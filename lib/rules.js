@@ -0,0 +1,169 @@
+// lib/rules.js - User-defined include/exclude rules for feed items
+//
+// The filters built into extraction (trending and sidebar sections, skip
+// phrases, other-author bylines; see lib/extract.js) are the same for everyone.
+// A rules file adds a feed's own. Rules are applied to the archived articles
+// each time the feed is built, after extraction, so an edited rule changes the
+// next feed without scraping again. Excluded articles stay in the archive.
+//
+// RULES FILE (feeds.config.json "rules": "rules.json", or --rules <file>):
+// {
+//   "default": "include",                     // when no rule matches (or "exclude")
+//   "ignoreSections": [".newsletter-promo"],  // extra sections extraction skips
+//   "rules": [
+//     { "name": "no-webinars", "action": "exclude", "keyword": ["webinar", "sponsored"] },
+//     { "action": "exclude", "url": "*/video/*" },
+//     { "action": "exclude", "category": "Podcasts", "before": "2022-01-01" },
+//     { "action": "include", "id": "4130274" }
+//   ]
+// }
+// Rules are checked in order; the first one whose conditions all match decides.
+// `node scraper.js --explain` shows which rule kept or dropped each article.
+//
+// CONDITIONS (a list matches when any entry does):
+// - url: URL pattern, where * matches anything; without a * it matches anywhere in the URL
+// - keyword: Whole word in the title or description, any case
+// - regex: Regex on the title or description ("flags": "i" for any case)
+// - category: Category name, any case
+// - after / before: Published on or after / before this date. Undated articles never match.
+// - id: Article ID from the URL (/article/4130274/...)
+
+const fs = require('fs').promises;
+const { parseArticleDate } = require('./dates');
+const { publisherFor } = require('./publishers');
+
+const CONDITIONS = ['url', 'keyword', 'regex', 'category', 'after', 'before', 'id'];
+const ACTIONS = ['include', 'exclude'];
+
+// What a feed without a rules file gets: everything
+const EMPTY_RULES = { default: 'include', ignoreSections: [], rules: [] };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const asList = (value) => (Array.isArray(value) ? value : [value]).map(String);
+
+function articleIdOf(url) {
+  const publisher = publisherFor(url);
+  return publisher ? publisher.articleId(url) : '';
+}
+
+// One condition -> { describe, test(article) }. Throws on values that can't work.
+function compileCondition(key, value, rule) {
+  const values = asList(value);
+  const text = article => `${article.title || ''} ${article.description || ''}`.trim();
+  const date = (raw) => {
+    const parsed = parseArticleDate(raw);
+    if (!parsed) throw new Error(`"${key}" needs a date (got "${raw}")`);
+    return parsed;
+  };
+
+  switch (key) {
+    case 'url': {
+      const patterns = values.map(pattern => (pattern.includes('*')
+        ? new RegExp(`^${pattern.split('*').map(escapeRegex).join('.*')}$`)
+        : new RegExp(escapeRegex(pattern))));
+      return { describe: `url matches "${values.join('" or "')}"`, test: a => patterns.some(re => re.test(a.url)) };
+    }
+    case 'keyword': {
+      const keywords = values.map(keyword => new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i'));
+      return { describe: `mentions "${values.join('" or "')}"`, test: a => keywords.some(re => re.test(text(a))) };
+    }
+    case 'regex': {
+      const patterns = values.map(pattern => new RegExp(pattern, rule.flags || ''));
+      return { describe: `matches /${values.join('/ or /')}/${rule.flags || ''}`, test: a => patterns.some(re => re.test(text(a))) };
+    }
+    case 'category': {
+      const categories = values.map(category => category.toLowerCase());
+      return {
+        describe: `in category "${values.join('" or "')}"`,
+        test: a => (a.categories || []).some(category => categories.includes(category.toLowerCase()))
+      };
+    }
+    case 'after': {
+      const after = date(value);
+      return { describe: `published on or after ${value}`, test: a => (parseArticleDate(a.pubDate) || -Infinity) >= after };
+    }
+    case 'before': {
+      const before = date(value);
+      return { describe: `published before ${value}`, test: a => (parseArticleDate(a.pubDate) || Infinity) < before };
+    }
+    case 'id':
+      return { describe: `article ID ${values.join(' or ')}`, test: a => values.includes(articleIdOf(a.url)) };
+    default:
+      throw new Error(`unknown condition "${key}" (expected one of: ${CONDITIONS.join(', ')})`);
+  }
+}
+
+// Check a parsed rules file and compile each rule.
+// Returns { default, ignoreSections, rules: [{ name, action, conditions }] }
+function compileRules(raw, source = 'rules') {
+  const fail = (message) => {
+    throw new Error(`${source}: ${message}`);
+  };
+  const fallback = raw.default || 'include';
+  if (!ACTIONS.includes(fallback)) {
+    fail(`"default" must be ${ACTIONS.join(' or ')} (got "${fallback}")`);
+  }
+  if (raw.ignoreSections !== undefined && !Array.isArray(raw.ignoreSections)) {
+    fail('"ignoreSections" must be a list of CSS selectors');
+  }
+
+  const rules = (raw.rules || []).map((rule, index) => {
+    const name = rule.name || `rule ${index + 1}`;
+    if (!ACTIONS.includes(rule.action)) {
+      fail(`${name} needs an "action" of ${ACTIONS.join(' or ')}`);
+    }
+    const keys = Object.keys(rule).filter(key => !['name', 'action', 'flags'].includes(key));
+    if (keys.length === 0) {
+      fail(`${name} has no conditions (expected one of: ${CONDITIONS.join(', ')})`);
+    }
+    try {
+      return { name, action: rule.action, conditions: keys.map(key => compileCondition(key, rule[key], rule)) };
+    } catch (error) {
+      return fail(`${name}: ${error.message}`);
+    }
+  });
+
+  return { default: fallback, ignoreSections: raw.ignoreSections || [], rules };
+}
+
+// Load and compile a feed's rules file. No file configured means no rules.
+async function loadRules(rulesPath) {
+  if (!rulesPath) return EMPTY_RULES;
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(rulesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read rules file ${rulesPath}: ${error.message}`);
+  }
+  return compileRules(raw, rulesPath);
+}
+
+// The rule that decides an article. Returns { action, rule, reason }
+function decide(article, rules) {
+  for (const rule of rules.rules) {
+    if (rule.conditions.every(condition => condition.test(article))) {
+      return { action: rule.action, rule: rule.name, reason: rule.conditions.map(c => c.describe).join(' and ') };
+    }
+  }
+  return { action: rules.default, rule: 'default', reason: 'no rule matched' };
+}
+
+// Split articles into the ones the rules keep and the ones they drop.
+// Returns { kept, dropped, decisions: [{ url, title, action, rule, reason }] }
+function applyRules(articles, rules = EMPTY_RULES) {
+  const kept = [];
+  const dropped = [];
+  const decisions = articles.map(article => {
+    const decision = decide(article, rules);
+    (decision.action === 'include' ? kept : dropped).push(article);
+    return { url: article.url, title: article.title, ...decision };
+  });
+  return { kept, dropped, decisions };
+}
+
+module.exports = {
+  EMPTY_RULES,
+  compileRules,
+  loadRules,
+  applyRules
+};
@@ -0,0 +1,157 @@
+// lib/safeguard.js - Keep a good feed from being clobbered by a bad run
+//
+// Before any feed file is written, the new items are compared with the RSS feed
+// already on disk. The write is refused when:
+// - the run produced a placeholder feed (error or "no articles" notice) and the
+//   previous feed had real items
+// - the new feed is empty while the previous one wasn't
+// - the item count dropped by more than maxDropRatio (default 0.5)
+//
+// Either way a machine-readable report of added/removed/changed items is written
+// next to the feed (feed.xml -> feed.report.json) so the workflow can see why.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { parseArticleDate } = require('./dates');
+
+const DEFAULT_MAX_DROP_RATIO = 0.5;
+
+// Read the items of an existing RSS feed. Returns null when there is no file.
+async function readFeedItems(feedPath) {
+  let xml;
+  try {
+    xml = await fs.readFile(feedPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const dom = new JSDOM(xml, { contentType: 'text/xml' });
+  const document = dom.window.document;
+  const text = (item, tag) => {
+    const element = item.getElementsByTagName(tag)[0];
+    return element ? element.textContent.trim() : '';
+  };
+
+  const items = Array.from(document.getElementsByTagName('item')).map(item => {
+    const published = parseArticleDate(text(item, 'pubDate'));
+    return {
+      id: text(item, 'guid') || text(item, 'link'),
+      url: text(item, 'link'),
+      title: text(item, 'title'),
+      summary: text(item, 'description'),
+      published: published ? published.toISOString() : ''
+    };
+  });
+  dom.window.close();
+
+  return items;
+}
+
+// RFC 822 dates only keep whole seconds, so a pubDate pinned to the moment an
+// undated article was first seen never survives the trip through feed.xml with
+// its milliseconds. Both sides of the comparison drop them.
+function wholeSeconds(value) {
+  const date = parseArticleDate(value);
+  return date ? new Date(Math.floor(date.getTime() / 1000) * 1000).toISOString() : '';
+}
+
+// Compare previous feed items with the new model items by id
+function diffItems(previousItems, nextItems) {
+  const previousById = new Map(previousItems.map(item => [item.id, item]));
+  const nextIds = new Set(nextItems.map(item => item.id));
+
+  const added = [];
+  const changed = [];
+  nextItems.forEach(item => {
+    const before = previousById.get(item.id);
+    if (!before) {
+      added.push({ id: item.id, title: item.title });
+      return;
+    }
+    const after = {
+      title: item.title,
+      summary: item.summary,
+      published: wholeSeconds(item.published)
+    };
+    const changes = {};
+    Object.keys(after).forEach(field => {
+      const from = field === 'published' ? wholeSeconds(before.published) : before[field];
+      if ((from || '') !== (after[field] || '')) {
+        changes[field] = { from: before[field], to: after[field] };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      changed.push({ id: item.id, changes });
+    }
+  });
+
+  const removed = previousItems
+    .filter(item => !nextIds.has(item.id))
+    .map(item => ({ id: item.id, title: item.title }));
+
+  return { added, removed, changed };
+}
+
+// Decide whether the new items may replace the feed on disk.
+// `placeholder` marks error/notice feeds that carry no real articles.
+function checkReplacement(previousItems, nextItems, options = {}) {
+  const maxDropRatio = options.maxDropRatio !== undefined ? options.maxDropRatio : DEFAULT_MAX_DROP_RATIO;
+  const previousCount = previousItems ? previousItems.length : 0;
+  const nextCount = options.placeholder ? 0 : nextItems.length;
+
+  if (previousCount === 0) {
+    return { safe: true, reason: '' };
+  }
+  if (options.placeholder) {
+    return { safe: false, reason: `run produced a placeholder feed (${options.placeholder}); keeping the previous ${previousCount} items` };
+  }
+  if (nextCount === 0) {
+    return { safe: false, reason: `new feed is empty; keeping the previous ${previousCount} items` };
+  }
+  if (nextCount < previousCount * (1 - maxDropRatio)) {
+    return { safe: false, reason: `item count dropped from ${previousCount} to ${nextCount} (more than ${Math.round(maxDropRatio * 100)}%)` };
+  }
+  return { safe: true, reason: '' };
+}
+
+// feed.xml -> feed.report.json
+function reportPathFor(feedPath) {
+  const parsed = path.parse(feedPath);
+  return path.join(parsed.dir, `${parsed.name}.report.json`);
+}
+
+async function guardFeed(feedPath, nextItems, options = {}) {
+  const previousItems = await readFeedItems(feedPath);
+  const verdict = checkReplacement(previousItems, nextItems, options);
+  const diff = options.placeholder
+    ? { added: [], removed: [], changed: [] }
+    : diffItems(previousItems || [], nextItems);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    feed: feedPath,
+    previousCount: previousItems ? previousItems.length : 0,
+    nextCount: options.placeholder ? 0 : nextItems.length,
+    safe: verdict.safe,
+    reason: verdict.reason,
+    ...diff
+  };
+}
+
+async function writeReport(feedPath, report) {
+  const reportPath = reportPathFor(feedPath);
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  return reportPath;
+}
+
+module.exports = {
+  DEFAULT_MAX_DROP_RATIO,
+  readFeedItems,
+  diffItems,
+  checkReplacement,
+  guardFeed,
+  writeReport,
+  reportPathFor
+};
@@ -0,0 +1,316 @@
+// lib/scrape.js - Load a feed's profile pages with the configured strategy
+//
+// Moved out of scraper.js so the library API (see index.js) can scrape without
+// running the command line. Three ways to get a profile's articles:
+// - static: plain HTTP + jsdom (see lib/static.js)
+// - browser: headless Chromium via Puppeteer, which also clicks "Load more"
+// - saved-html: a profile page saved to disk (options.fromHtml)
+// "auto" tries static first and only launches the browser when that falls short.
+//
+// OPTIONS (second argument of every function here):
+// - maxArticles: New articles taken from each page (required)
+// - maxPages: Overrides the feed's pagination.maxPages
+// - fromHtml: Path to a saved profile page
+// - debug: Detailed extraction logging
+// - runDiagnostics: Collects every page loaded (see lib/diagnostics.js)
+// - ignoreSections: Extra section selectors to skip (see lib/rules.js)
+// - logger: Where progress goes (see lib/logger.js)
+// - scrapeBrowser: Stands in for scrapeInfoWorldProfile() as the browser
+//   strategy, same arguments, e.g. to test "auto" where there's no Chromium
+
+const puppeteer = require('puppeteer');
+const fs = require('fs').promises;
+const { ARTICLE_SELECTORS, extractArticles, extractArticleLinks, findNextPage, authorNamePattern, logTo } = require('./extract');
+const { collectPages } = require('./paginate');
+const { withRetry } = require('./http');
+const { scrapeProfileStatic, assessExtraction } = require('./static');
+const { classifyError, isTransient, recordPage, recordTruncated, captureScreenshot } = require('./diagnostics');
+const { adapterFor } = require('./config');
+const { CONSOLE_LOGGER } = require('./logger');
+
+// Default for options.maxArticles, which the functions here need. The command
+// line (--max-items) and the library API (see index.js) fill it in.
+const DEFAULT_MAX_ARTICLES = 30;
+
+async function scrapeInfoWorldProfile(url, feed, options, knownUrls) {
+  const log = options.logger || CONSOLE_LOGGER;
+  let browser;
+  let page;
+  const diagnostics = options.runDiagnostics;
+
+  try {
+    // Launch browser with GitHub Actions compatible settings
+    browser = await puppeteer.launch({
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--single-process',
+        '--disable-gpu'
+      ]
+    });
+
+    page = await browser.newPage();
+
+    // Set viewport and user agent
+    await page.setViewport({ width: 1920, height: 1080 });
+    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+
+    // Wait for dynamic content, then scroll to load more of it
+    const settle = async () => {
+      // Wait 3 seconds for dynamic content to load
+      await new Promise(resolve => setTimeout(resolve, 3000));
+
+      // Try to wait for articles to load (with timeout catch)
+      try {
+        await page.waitForSelector('article, .article-item, [class*="article"], a[href*="/article/"]', {
+          timeout: 15000
+        });
+      } catch (e) {
+        log.info('Article selector timeout - continuing anyway');
+      }
+
+      // Scroll to load more content
+      await autoScroll(page);
+    };
+
+    // Extract article data (see lib/extract.js) and find the way to the next page
+    const extractOptions = extractOptionsFor(feed, options, url);
+    // startedAt: when loading this page began, for the run metrics
+    const extractPage = async (startedAt) => {
+      const loadMs = Date.now() - startedAt;
+      log.info('Extracting articles...');
+      let articles = await page.evaluate(extractArticles, extractOptions);
+
+      // If no articles found with specific selectors, try a more general approach
+      if (articles.length === 0) {
+        log.info('Trying alternative extraction method...');
+        articles = await page.evaluate(extractArticleLinks, extractOptions);
+      }
+
+      recordPage(diagnostics, 'browser', page.url(), await page.content(), loadMs);
+      return { articles, next: await page.evaluate(findNextPage, extractOptions) };
+    };
+
+    // Network errors and timeouts get a few more tries with backoff
+    const navigate = (target) => withRetry(
+      () => page.goto(target, { waitUntil: 'networkidle2', timeout: 60000 }),
+      { ...navigationRetry(feed), logger: log }
+    );
+
+    const loadFirst = async () => {
+      const startedAt = Date.now();
+      log.info(`Loading page: ${url}`);
+      await navigate(url);
+      await settle();
+      return extractPage(startedAt);
+    };
+
+    // Follow a next-page link, or click "Load more" and re-read the whole page
+    const loadNext = async (next) => {
+      const startedAt = Date.now();
+      if (next.url) {
+        log.info(`Loading page: ${next.url}`);
+        await navigate(next.url);
+      } else {
+        log.info('Clicking "Load more"...');
+        await page.click('[data-rss-load-more]');
+        await page.evaluate(() => {
+          document.querySelectorAll('[data-rss-load-more]').forEach(el => el.removeAttribute('data-rss-load-more'));
+        });
+      }
+      await settle();
+      return extractPage(startedAt);
+    };
+
+    const articles = await collectPages(loadFirst, loadNext, pageOptionsFor(feed, options, knownUrls));
+    if (articles.length === 0) {
+      await captureScreenshot(diagnostics, page);
+    }
+    return articles;
+
+  } catch (error) {
+    log.error('Error during scraping:', error.message);
+    await captureScreenshot(diagnostics, page);
+    throw error;
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+// Get the articles from every profile in the feed. A profile that fails is
+// skipped as long as another one worked. Returns { articles, strategy } where
+// strategy is what loaded the first profile.
+async function loadAllProfiles(feed, options, knownUrls) {
+  const log = options.logger || CONSOLE_LOGGER;
+  if (options.fromHtml || feed.profileUrls.length === 1) {
+    return loadProfileArticles(feed, options, knownUrls);
+  }
+
+  const articles = [];
+  const failures = [];
+  let strategy = '';
+  for (const profileUrl of feed.profileUrls) {
+    try {
+      const result = await loadProfileArticles(feed, options, knownUrls, profileUrl);
+      log.info(`🔎 ${result.articles.length} article(s) from ${profileUrl} (${result.strategy})`);
+      articles.push(...result.articles);
+      strategy = strategy || result.strategy;
+    } catch (error) {
+      log.warn(`⚠️  Could not load ${profileUrl} [${classifyError(error)}]: ${error.message}`);
+      failures.push(error);
+    }
+  }
+  if (failures.length === feed.profileUrls.length) {
+    throw failures[0];
+  }
+  return { articles, strategy };
+}
+
+// Get one profile's articles with the configured strategy.
+// Returns { articles, strategy } where strategy says what produced them.
+async function loadProfileArticles(feed, options, knownUrls, profileUrl = feed.profileUrl) {
+  const log = options.logger || CONSOLE_LOGGER;
+  if (options.fromHtml) {
+    return { articles: await extractSavedProfile(options.fromHtml, feed, options), strategy: 'saved-html' };
+  }
+
+  const { strategy, ...thresholds } = feed.fetch;
+
+  if (strategy === 'static' || strategy === 'auto') {
+    try {
+      const articles = await scrapeProfileStatic(
+        profileUrl,
+        extractOptionsFor(feed, options, profileUrl),
+        pageOptionsFor(feed, options, knownUrls),
+        {
+          retry: navigationRetry(feed),
+          onPage: (html, pageUrl, loadMs) => recordPage(options.runDiagnostics, 'static', pageUrl, html, loadMs)
+        }
+      );
+      if (strategy === 'static') {
+        return { articles, strategy: 'static' };
+      }
+
+      const quality = assessExtraction(articles, thresholds);
+      if (quality.ok) {
+        return { articles, strategy: 'static' };
+      }
+      log.info(`Static result below threshold (${quality.reasons.join(', ')}) - falling back to headless browser`);
+    } catch (error) {
+      if (strategy === 'static') {
+        throw error;
+      }
+      log.info(`Static fetch failed (${error.message}) - falling back to headless browser`);
+    }
+  }
+
+  const scrapeBrowser = options.scrapeBrowser || scrapeInfoWorldProfile;
+  return { articles: await scrapeBrowser(profileUrl, feed, options, knownUrls), strategy: 'browser' };
+}
+
+// Extract articles from a saved profile page instead of a live browser
+async function extractSavedProfile(htmlPath, feed, options) {
+  const log = options.logger || CONSOLE_LOGGER;
+  log.info(`Reading saved page: ${htmlPath}`);
+  const startedAt = Date.now();
+  const html = await fs.readFile(htmlPath, 'utf8');
+  recordPage(options.runDiagnostics, 'saved-html', feed.profileUrl, html, Date.now() - startedAt);
+  const extractOptions = extractOptionsFor(feed, options);
+
+  log.info('Extracting articles...');
+  // listArticles() already falls back to plain article links when needed
+  const { articles } = adapterFor(feed.profileUrl).listArticles(html, feed.profileUrl, { ...extractOptions, log: logTo(log) });
+  log.info(`Extracted ${articles.length} unique articles`);
+
+  // Limit to the first maxArticles to avoid including unrelated content at the bottom
+  const limitedArticles = articles.slice(0, options.maxArticles);
+  if (limitedArticles.length < articles.length) {
+    log.info(`Limited to first ${options.maxArticles} articles (excluded ${articles.length - options.maxArticles} articles)`);
+    recordTruncated(options.runDiagnostics, articles.length - limitedArticles.length);
+  }
+  return limitedArticles;
+}
+
+// Extraction options for one of the feed's profiles, including its
+// publisher's article URL pattern and skip phrases. The browser needs them as
+// plain data; pages read under jsdom go through the adapter's listArticles().
+function extractOptionsFor(feed, options, profileUrl = feed.profileUrl) {
+  return {
+    debugMode: options.debug,
+    authorName: feed.author,
+    authorPattern: authorNamePattern(feed.author),
+    maxArticles: options.maxArticles,
+    selectors: ARTICLE_SELECTORS,
+    ignoreSections: options.ignoreSections || [],
+    ...adapterFor(profileUrl).listingOptions
+  };
+}
+
+// withRetry() options for loading profile pages
+function navigationRetry(feed) {
+  return {
+    retries: feed.diagnostics.retries,
+    retryDelay: feed.diagnostics.retryDelay,
+    isRetryable: isTransient
+  };
+}
+
+// Paging limits: maxArticles caps new articles per page to keep junk from the
+// bottom of each page out; the feed's "pagination" block caps the whole walk
+function pageOptionsFor(feed, options, knownUrls) {
+  const pagination = { ...feed.pagination };
+  if (options.maxPages) {
+    pagination.maxPages = options.maxPages;
+  }
+  return {
+    pagination,
+    knownUrls,
+    perPageLimit: options.maxArticles,
+    logger: options.logger,
+    onTruncate: count => recordTruncated(options.runDiagnostics, count)
+  };
+}
+
+// Helper function to scroll the page
+async function autoScroll(page) {
+  await page.evaluate(async () => {
+    await new Promise((resolve) => {
+      let totalHeight = 0;
+      const distance = 100;
+      const scrollDelay = 100;
+
+      const timer = setInterval(() => {
+        const scrollHeight = document.body.scrollHeight;
+        window.scrollBy(0, distance);
+        totalHeight += distance;
+
+        if (totalHeight >= scrollHeight - window.innerHeight) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, scrollDelay);
+
+      // Stop after 5 seconds max
+      setTimeout(() => {
+        clearInterval(timer);
+        resolve();
+      }, 5000);
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_MAX_ARTICLES,
+  scrapeInfoWorldProfile,
+  loadAllProfiles,
+  loadProfileArticles,
+  extractSavedProfile,
+  extractOptionsFor
+};
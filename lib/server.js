@@ -0,0 +1,208 @@
+// lib/server.js - Small HTTP server for the generated feeds
+//
+// `node scraper.js --serve` serves every file the config generates (all
+// formats, topic sub-feeds and the archive page) straight from disk, so a feed
+// reader on the local network can poll it between scheduled runs.
+//
+// ENDPOINTS:
+// - GET /<feed file>: The file with its feed content type, ETag and Last-Modified.
+//   If-None-Match / If-Modified-Since get a 304 when nothing changed.
+// - GET /: The archive page when one is configured (see lib/site.js)
+// - GET /health: Last run status, whether a refresh is running and article counts
+// - POST /refresh: Starts a scrape of every feed in the background (202). At most
+//   one run at a time (409 while running) and one per minRefreshInterval (429).
+//
+// The server only ever serves the files listed by feedRoutes(), never arbitrary paths.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { FORMATS, outputPathFor } = require('./feed');
+const { topicFeeds } = require('./topics');
+const { loadArchive } = require('./archive');
+const { CONSOLE_LOGGER } = require('./logger');
+
+const DEFAULT_SERVER = {
+  port: 8080,
+  host: '127.0.0.1',
+  minRefreshInterval: 10 * 60 * 1000
+};
+
+// URL path for a file on disk: relative to the working directory when it's
+// inside it, otherwise just the file name
+function routeFor(filePath) {
+  const relative = path.relative(process.cwd(), path.resolve(filePath));
+  const route = relative.startsWith('..') || path.isAbsolute(relative) ? path.basename(filePath) : relative;
+  return '/' + route.split(path.sep).join('/');
+}
+
+// Every file the feeds produce. Returns Map(route -> { path, contentType })
+function feedRoutes(feeds) {
+  const routes = new Map();
+  feeds.forEach(feed => {
+    [feed, ...topicFeeds(feed)].forEach(entry => {
+      entry.formats.forEach(format => {
+        const filePath = outputPathFor(entry, format);
+        routes.set(routeFor(filePath), { path: filePath, contentType: `${FORMATS[format].contentType}; charset=utf-8` });
+      });
+    });
+    if (feed.site && feed.site.output) {
+      const site = { path: feed.site.output, contentType: 'text/html; charset=utf-8' };
+      routes.set(routeFor(feed.site.output), site);
+      if (!routes.has('/')) routes.set('/', site);
+    }
+  });
+  return routes;
+}
+
+// Does the request already have this version? If-None-Match wins over
+// If-Modified-Since, as RFC 9110 requires.
+function isNotModified(headers, etag, lastModified) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    const tags = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    return tags.includes('*') || tags.includes(etag);
+  }
+  const ifModifiedSince = Date.parse(headers['if-modified-since'] || '');
+  // HTTP dates have whole-second precision
+  return !isNaN(ifModifiedSince) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+// headOnly answers a HEAD request: the same headers, no body
+function sendJson(res, status, body, headers = {}, headOnly = false) {
+  const json = Buffer.from(JSON.stringify(body, null, 2) + '\n');
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': json.length,
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(headOnly ? undefined : json);
+}
+
+// options.feeds: normalized feed configs
+// options.refresh: async () => { [author]: status } - one full scrape run
+// options.minRefreshInterval: ms between refreshes (default 10 minutes)
+// options.now: clock override for tests
+// options.logger: where refreshes and errors are reported (see lib/logger.js)
+function createFeedServer(options) {
+  const settings = { ...DEFAULT_SERVER, ...options };
+  const log = settings.logger || CONSOLE_LOGGER;
+  const now = settings.now || (() => Date.now());
+  const routes = feedRoutes(settings.feeds);
+  const state = { running: false, lastRun: null, lastStartedAt: 0 };
+
+  // Runs in the background; the request that started it has already been answered
+  const startRefresh = () => {
+    state.running = true;
+    state.lastStartedAt = now();
+    const run = { startedAt: new Date(state.lastStartedAt).toISOString(), finishedAt: null, results: {}, error: null };
+    Promise.resolve()
+      .then(() => settings.refresh())
+      .then(results => { run.results = results || {}; })
+      .catch(error => {
+        run.error = error.message;
+        log.error('❌ Refresh failed:', error.message);
+      })
+      .finally(() => {
+        run.finishedAt = new Date(now()).toISOString();
+        state.lastRun = run;
+        state.running = false;
+      });
+  };
+
+  const health = async () => {
+    const feeds = await Promise.all(settings.feeds.map(async feed => {
+      let articles = null;
+      try {
+        articles = (await loadArchive(feed.archive)).articles.length;
+      } catch (e) {
+        // An unreadable archive shows up as a null count
+      }
+      return { author: feed.author, output: routeFor(feed.output), articles };
+    }));
+    const results = state.lastRun ? Object.values(state.lastRun.results) : [];
+    const ok = !state.lastRun || (!state.lastRun.error && results.every(status => status === 'ok'));
+    return { status: ok ? 'ok' : 'degraded', refreshing: state.running, lastRun: state.lastRun, feeds };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (pathname === '/health') {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+          return sendJson(res, 405, { error: 'Use GET' }, { Allow: 'GET, HEAD' });
+        }
+        return sendJson(res, 200, await health(), {}, req.method === 'HEAD');
+      }
+
+      if (pathname === '/refresh') {
+        if (req.method !== 'POST') {
+          return sendJson(res, 405, { error: 'Use POST' }, { Allow: 'POST' });
+        }
+        if (state.running) {
+          return sendJson(res, 409, { error: 'A refresh is already running' });
+        }
+        const wait = state.lastStartedAt + settings.minRefreshInterval - now();
+        if (state.lastStartedAt && wait > 0) {
+          const retryAfter = Math.ceil(wait / 1000);
+          return sendJson(res, 429, { error: `Refreshed recently; try again in ${retryAfter}s` }, { 'Retry-After': String(retryAfter) });
+        }
+        startRefresh();
+        log.info('🔄 Refresh started');
+        return sendJson(res, 202, { status: 'started', startedAt: new Date(state.lastStartedAt).toISOString() });
+      }
+
+      const route = routes.get(pathname);
+      if (!route) {
+        return sendJson(res, 404, { error: 'Not found', feeds: Array.from(routes.keys()) });
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendJson(res, 405, { error: 'Use GET' }, { Allow: 'GET, HEAD' });
+      }
+
+      let body;
+      let stats;
+      try {
+        [body, stats] = await Promise.all([fs.readFile(route.path), fs.stat(route.path)]);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return sendJson(res, 404, { error: `${pathname} hasn't been generated yet` });
+        }
+        throw error;
+      }
+
+      const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+      const headers = {
+        'ETag': etag,
+        'Last-Modified': stats.mtime.toUTCString(),
+        'Cache-Control': 'public, max-age=300'
+      };
+      if (isNotModified(req.headers, etag, stats.mtime)) {
+        res.writeHead(304, headers);
+        return res.end();
+      }
+      res.writeHead(200, { ...headers, 'Content-Type': route.contentType, 'Content-Length': body.length });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    } catch (error) {
+      log.error('❌ Server error:', error.message);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal error' });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  server.refreshState = state;
+  return server;
+}
+
+module.exports = {
+  DEFAULT_SERVER,
+  feedRoutes,
+  isNotModified,
+  createFeedServer
+};
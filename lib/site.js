@@ -0,0 +1,199 @@
+// lib/site.js - Static HTML archive page built from the feed model
+//
+// Renders one self-contained index.html (inline CSS and JS, no external
+// requests) listing every archived article by year and month, with a search
+// box that filters on title, description and categories as you type. The
+// <head> carries <link rel="alternate"> autodiscovery tags for every feed this
+// config generates, topic sub-feeds included, so browsers and readers can find them.
+//
+// Everything comes from the archive, so the page can be rebuilt offline with
+// `node scraper.js --site-only`.
+//
+// OPTIONS (feeds.config.json "site" block):
+// - output: Where to write the page, e.g. "index.html" (no page when empty)
+// - title: Page heading (default: the feed title)
+
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeXml } = require('./xml');
+const { FORMATS, buildFeedModel, outputPathFor, publicUrlFor } = require('./feed');
+const { topicFeeds } = require('./topics');
+
+const DEFAULT_SITE = {
+  output: '',
+  title: ''
+};
+
+const FORMAT_LABELS = { rss: 'RSS', atom: 'Atom', json: 'JSON Feed' };
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 46rem; margin: 0 auto; padding: 1rem; line-height: 1.5; color: #222; }
+    header p { color: #555; }
+    .feeds a { margin-right: 0.75rem; }
+    #search { width: 100%; padding: 0.5rem; font-size: 1rem; box-sizing: border-box; }
+    #count { color: #666; font-size: 0.9rem; }
+    h2 { border-bottom: 2px solid #ddd; margin-top: 2rem; }
+    h3 { color: #555; }
+    ol.articles { list-style: none; padding: 0; }
+    .article { margin-bottom: 1.25rem; }
+    .article a.title { font-weight: 600; font-size: 1.05rem; }
+    .article time { display: block; color: #666; font-size: 0.85rem; }
+    .article p { margin: 0.25rem 0; }
+    .tags { list-style: none; padding: 0; margin: 0; }
+    .tags li { display: inline-block; background: #eef; border-radius: 3px; padding: 0 0.4rem; margin: 0 0.25rem 0.25rem 0; font-size: 0.8rem; cursor: pointer; }
+    [hidden] { display: none !important; }`;
+
+// Filter articles on every search term; hide months and years left empty.
+// Clicking a category searches for it.
+const SCRIPT = `
+    (function () {
+      var input = document.getElementById('search');
+      var count = document.getElementById('count');
+      var articles = Array.prototype.slice.call(document.querySelectorAll('.article'));
+      function filter() {
+        var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+        var shown = 0;
+        articles.forEach(function (article) {
+          var text = article.getAttribute('data-search');
+          var match = terms.every(function (term) { return text.indexOf(term) !== -1; });
+          article.hidden = !match;
+          if (match) shown++;
+        });
+        document.querySelectorAll('.month, .year').forEach(function (group) {
+          group.hidden = !group.querySelector('.article:not([hidden])');
+        });
+        count.textContent = shown + ' of ' + articles.length + ' articles';
+      }
+      input.addEventListener('input', filter);
+      document.addEventListener('click', function (event) {
+        if (event.target.matches('.tags li')) {
+          input.value = event.target.textContent;
+          filter();
+        }
+      });
+      filter();
+    })();`;
+
+// Link from the page to a feed file: the public URL when known, otherwise a
+// path relative to the page
+function feedHref(feed, format, siteOutput) {
+  const publicUrl = publicUrlFor(feed, format);
+  if (publicUrl) return publicUrl;
+  const relative = path.relative(path.dirname(siteOutput), outputPathFor(feed, format));
+  return relative.split(path.sep).join('/');
+}
+
+// Every feed this config entry produces, topic sub-feeds included.
+// Returns [{ title, type, href }]
+function siteFeedLinks(feed, siteOutput) {
+  return [feed, ...topicFeeds(feed)].flatMap(entry => entry.formats.map(format => ({
+    title: `${entry.title} (${FORMAT_LABELS[format] || format})`,
+    type: FORMATS[format].contentType,
+    href: feedHref(entry, format, siteOutput)
+  })));
+}
+
+function renderArticle(item) {
+  const date = `${MONTHS[item.published.getUTCMonth()].slice(0, 3)} ${item.published.getUTCDate()}, ${item.published.getUTCFullYear()}`;
+  const search = [item.title, item.summary, ...item.categories].join(' ').toLowerCase();
+  const tags = item.categories.length > 0
+    ? `
+            <ul class="tags">${item.categories.map(category => `<li>${escapeXml(category)}</li>`).join('')}</ul>`
+    : '';
+  return `
+          <li class="article" data-search="${escapeXml(search)}">
+            <a class="title" href="${escapeXml(item.url)}">${escapeXml(item.title)}</a>
+            <time datetime="${item.published.toISOString()}">${date}</time>
+            <p>${escapeXml(item.summary)}</p>${tags}
+          </li>`;
+}
+
+// Render the page. `model` is a feed model (see lib/feed.js) and `feedLinks`
+// comes from siteFeedLinks().
+function renderSite(model, feedLinks, options = {}) {
+  const title = options.title || model.title;
+
+  // Group newest first: year -> month -> items
+  const years = new Map();
+  model.items
+    .slice()
+    .sort((a, b) => b.published - a.published)
+    .forEach(item => {
+      const year = item.published.getUTCFullYear();
+      const month = item.published.getUTCMonth();
+      if (!years.has(year)) years.set(year, new Map());
+      const months = years.get(year);
+      if (!months.has(month)) months.set(month, []);
+      months.get(month).push(item);
+    });
+
+  const sections = Array.from(years.entries()).map(([year, months]) => `
+    <section class="year" id="y${year}">
+      <h2>${year}</h2>${Array.from(months.entries()).map(([month, items]) => `
+      <section class="month" id="y${year}-${String(month + 1).padStart(2, '0')}">
+        <h3>${MONTHS[month]} ${year}</h3>
+        <ol class="articles">${items.map(renderArticle).join('')}
+        </ol>
+      </section>`).join('')}
+    </section>`).join('');
+
+  const alternates = feedLinks
+    .map(link => `
+  <link rel="alternate" type="${escapeXml(link.type)}" title="${escapeXml(link.title)}" href="${escapeXml(link.href)}">`)
+    .join('');
+  const feedList = feedLinks
+    .map(link => `<a href="${escapeXml(link.href)}">${escapeXml(link.title)}</a>`)
+    .join('\n      ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeXml(title)}</title>
+  <meta name="description" content="${escapeXml(model.description)}">${alternates}
+  <style>${STYLE}
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeXml(title)}</h1>
+    <p>${escapeXml(model.description)}</p>
+    <p class="feeds">
+      ${feedList}
+    </p>
+    <input id="search" type="search" placeholder="Search titles, descriptions and categories" aria-label="Search articles">
+    <p id="count">${model.items.length} articles</p>
+  </header>
+  <main>${sections}
+  </main>
+  <footer>
+    <p>Updated ${model.updated.toUTCString()}. Articles from <a href="${escapeXml(model.homePageUrl)}">${escapeXml(model.author)}'s ${escapeXml(options.publication || 'InfoWorld')} profile</a>.</p>
+  </footer>
+  <script>${SCRIPT}
+  </script>
+</body>
+</html>
+`;
+}
+
+// Build and write the page for one feed from its archived articles.
+// Returns the path written.
+async function writeSite(articles, feed, now = new Date()) {
+  const site = { ...DEFAULT_SITE, ...(feed.site || {}) };
+  const model = buildFeedModel(articles, feed, now);
+  const html = renderSite(model, siteFeedLinks(feed, site.output), { ...site, publication: feed.publication });
+  await fs.mkdir(path.dirname(site.output) || '.', { recursive: true });
+  await fs.writeFile(site.output, html, 'utf8');
+  return site.output;
+}
+
+module.exports = {
+  DEFAULT_SITE,
+  siteFeedLinks,
+  renderSite,
+  writeSite
+};
@@ -0,0 +1,86 @@
+// lib/static.js - Lightweight HTTP fetch strategy for profile pages
+//
+// Much of the profile markup is in the server-rendered HTML, so a plain fetch
+// plus jsdom is often enough. The scraper tries this first and only launches
+// headless Chromium when the static result falls below the quality threshold.
+//
+// THRESHOLDS (feeds.config.json "fetch" block or command line):
+// - minArticles: At least this many articles must be found (default 5)
+// - minTitledRatio: Share of articles with a real title, not the "Article"
+//   placeholder or a slug-derived one (default 0.8)
+// - minDatedRatio: Share of articles with a publish date (default 0)
+
+const { fetchHtml, withRetry } = require('./http');
+const { adapterFor } = require('./config');
+const { logTo } = require('./extract');
+const { collectPages } = require('./paginate');
+const { CONSOLE_LOGGER } = require('./logger');
+
+const STRATEGIES = ['auto', 'static', 'browser'];
+
+const DEFAULT_THRESHOLDS = {
+  minArticles: 5,
+  minTitledRatio: 0.8,
+  minDatedRatio: 0
+};
+
+// Fetch the profile and follow next-page links (see lib/paginate.js). Each page
+// is read by its publisher adapter's listArticles() (see lib/publishers.js).
+// "Load more" buttons need a browser, so paging stops there.
+// hooks.retry holds withRetry() options for each fetch, and hooks.onPage(html, url, loadMs)
+// sees every page fetched (see lib/diagnostics.js). pageOptions.logger gets the progress.
+async function scrapeProfileStatic(url, extractOptions, pageOptions = {}, hooks = {}) {
+  const log = pageOptions.logger || CONSOLE_LOGGER;
+  const loadPage = async (pageUrl) => {
+    log.info(`Fetching page over HTTP: ${pageUrl}`);
+    const startedAt = Date.now();
+    const html = await withRetry(() => fetchHtml(pageUrl), { retries: 0, logger: log, ...hooks.retry });
+    if (hooks.onPage) hooks.onPage(html, pageUrl, Date.now() - startedAt);
+    return adapterFor(pageUrl).listArticles(html, pageUrl, { ...extractOptions, log: logTo(log) });
+  };
+  
+  return collectPages(
+    () => loadPage(url),
+    next => (next.url ? loadPage(next.url) : null),
+    pageOptions
+  );
+}
+
+// Titles rebuilt from the URL slug are title-cased copies of it
+function isSlugTitle(article) {
+  const match = article.url.match(/\/([^\/]+)\.html$/);
+  if (!match) return false;
+  const slugWords = match[1].replace(/-\d+$/, '').split('-').join(' ').toLowerCase();
+  return article.title.toLowerCase() === slugWords;
+}
+
+// Score an extraction result against the thresholds.
+// Returns { ok, count, titledRatio, datedRatio, reasons }
+function assessExtraction(articles, thresholds = {}) {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const count = articles.length;
+  const titled = articles.filter(a => a.title && a.title !== 'Article' && !isSlugTitle(a)).length;
+  const dated = articles.filter(a => a.pubDate).length;
+  const titledRatio = count > 0 ? titled / count : 0;
+  const datedRatio = count > 0 ? dated / count : 0;
+
+  const reasons = [];
+  if (count < limits.minArticles) {
+    reasons.push(`${count} articles (need ${limits.minArticles})`);
+  }
+  if (titledRatio < limits.minTitledRatio) {
+    reasons.push(`${Math.round(titledRatio * 100)}% with real titles (need ${Math.round(limits.minTitledRatio * 100)}%)`);
+  }
+  if (datedRatio < limits.minDatedRatio) {
+    reasons.push(`${Math.round(datedRatio * 100)}% with dates (need ${Math.round(limits.minDatedRatio * 100)}%)`);
+  }
+
+  return { ok: reasons.length === 0, count, titledRatio, datedRatio, reasons };
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_THRESHOLDS,
+  scrapeProfileStatic,
+  assessExtraction
+};
@@ -0,0 +1,76 @@
+// lib/topics.js - Article categories and per-topic sub-feeds
+//
+// Categories come from the listing card (trailing tags and category labels) and
+// from each article's own metadata (articleSection, article:tag). They end up
+// as <category> elements in RSS, <category term> in Atom and "tags" in JSON Feed.
+//
+// TOPICS (per feed in feeds.config.json):
+// "topics": [
+//   {
+//     "name": "r",
+//     "output": "feed-r.xml",              // default: feed-<name>.xml next to the main feed
+//     "title": "Sharon Machlis - R articles",
+//     "categories": ["R Language"],         // case-insensitive exact category match
+//     "keywords": ["tidyverse", "ggplot2"], // case-insensitive whole words in title/description
+//     "patterns": ["\\bR\\b"]               // case-sensitive regexes on title/description
+//   }
+// ]
+// An article goes into a topic feed when any one rule matches.
+
+const path = require('path');
+
+// Merge category lists, keeping the first spelling of each
+function mergeCategories(...lists) {
+  const merged = [];
+  lists.forEach(list => (list || []).forEach(category => {
+    if (category && !merged.some(c => c.toLowerCase() === category.toLowerCase())) {
+      merged.push(category);
+    }
+  }));
+  return merged;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compile a topic's rules once into a predicate
+function topicMatcher(topic) {
+  const categories = (topic.categories || []).map(c => c.toLowerCase());
+  const keywords = (topic.keywords || []).map(keyword => new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i'));
+  const patterns = (topic.patterns || []).map(pattern => new RegExp(pattern));
+
+  return (article) => {
+    if ((article.categories || []).some(c => categories.includes(c.toLowerCase()))) {
+      return true;
+    }
+    const text = `${article.title || ''} ${article.description || ''}`;
+    return keywords.some(re => re.test(text)) || patterns.some(re => re.test(text));
+  };
+}
+
+// Derive the feed config for each topic of a feed. Outputs sit next to the main
+// feed and self links next to its feedUrl.
+function topicFeeds(feed) {
+  return (feed.topics || []).map(topic => {
+    if (!topic.name) {
+      throw new Error(`Every topic for ${feed.author} needs a "name"`);
+    }
+    const output = topic.output || path.join(path.dirname(feed.output), `feed-${topic.name}.xml`);
+    return {
+      ...feed,
+      topics: [],
+      topic: topic.name,
+      output,
+      title: topic.title || `${feed.title} - ${topic.name}`,
+      description: topic.description || feed.description,
+      feedUrl: feed.feedUrl ? new URL(path.basename(output), feed.feedUrl).href : '',
+      formats: topic.formats || feed.formats,
+      matches: topicMatcher(topic)
+    };
+  });
+}
+
+module.exports = {
+  mergeCategories,
+  topicMatcher,
+  topicFeeds
+};
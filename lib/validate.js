@@ -0,0 +1,252 @@
+// lib/validate.js - RSS 2.0 validator that gates publishing
+//
+// Parses generated RSS and checks it against the RSS 2.0 spec and the RSS
+// Advisory Board's best practices. Errors stop the feed from being written;
+// warnings are only logged.
+//
+// CHECKS:
+// - Well-formed XML with an <rss version="2.0"> root and exactly one <channel>
+// - Required channel elements (title, link, description) and absolute links
+// - RFC 822 dates on lastBuildDate/pubDate, with a weekday that matches the date
+// - Unique GUIDs; permalink GUIDs must be absolute URLs
+// - A self link (atom:link rel="self") that is absolute, not a placeholder, and
+//   points at the published copy of this file
+// - WebSub hub links (atom:link rel="hub") are absolute and come with a self link
+// - Namespaces declared for every prefix used, and no double-escaped entities
+// - At most one <enclosure> per item, with an absolute url, a numeric length and
+//   a type; media:content/media:thumbnail URLs must be absolute
+
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+const MEDIA_NS = 'http://search.yahoo.com/mrss/';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const RFC822_PATTERN = /^(?:(Mon|Tue|Wed|Thu|Fri|Sat|Sun), )?(\d{1,2}) (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) (\d{4}) (\d{2}):(\d{2})(?::(\d{2}))? (GMT|UT|[+-]\d{4}|[ECMP][SD]T|[A-IK-Z])$/;
+const PLACEHOLDER_PATTERN = /YOUR_USERNAME|YOUR_REPO|example\.(com|org)/i;
+// Entities left in decoded text mean the source was escaped twice
+const DOUBLE_ESCAPE_PATTERN = /&(amp|lt|gt|quot|apos|#\d+);/;
+
+function isAbsoluteUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Returns an error message, or '' when the date is valid RFC 822
+function checkRfc822(value) {
+  const match = value.match(RFC822_PATTERN);
+  if (!match) {
+    return `"${value}" is not an RFC 822 date`;
+  }
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) {
+    return `"${value}" is not a real date`;
+  }
+  if (match[1] && WEEKDAYS[parsed.getUTCDay()] !== match[1] && match[8] === 'GMT') {
+    return `"${value}" has the wrong weekday (should be ${WEEKDAYS[parsed.getUTCDay()]})`;
+  }
+  return '';
+}
+
+// Validate an RSS document. `options.feedUrl` is the expected public URL and
+// `options.output` the file it will be written to.
+// Returns { valid, errors: [], warnings: [] }
+function validateRSS(xml, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const result = () => ({ valid: errors.length === 0, errors, warnings });
+
+  let dom;
+  try {
+    dom = new JSDOM(xml, { contentType: 'text/xml' });
+  } catch (error) {
+    errors.push(`Not well-formed XML: ${error.message}`);
+    return result();
+  }
+
+  const document = dom.window.document;
+  const root = document.documentElement;
+  const children = (parent, tag) => Array.from(parent.children).filter(child => child.tagName === tag);
+  const childText = (parent, tag) => {
+    const element = children(parent, tag)[0];
+    return element ? element.textContent.trim() : '';
+  };
+
+  if (root.tagName !== 'rss') {
+    errors.push(`Root element is <${root.tagName}>, expected <rss>`);
+    return result();
+  }
+  if (root.getAttribute('version') !== '2.0') {
+    errors.push(`<rss> version is "${root.getAttribute('version')}", expected "2.0"`);
+  }
+
+  const channels = children(root, 'channel');
+  if (channels.length !== 1) {
+    errors.push(`Expected exactly one <channel>, found ${channels.length}`);
+    return result();
+  }
+  const channel = channels[0];
+
+  // Required channel elements
+  ['title', 'link', 'description'].forEach(tag => {
+    if (!childText(channel, tag)) {
+      errors.push(`Channel is missing a non-empty <${tag}>`);
+    }
+  });
+  const channelLink = childText(channel, 'link');
+  if (channelLink && !isAbsoluteUrl(channelLink)) {
+    errors.push(`Channel <link> is not an absolute URL: ${channelLink}`);
+  }
+
+  ['lastBuildDate', 'pubDate'].forEach(tag => {
+    const value = childText(channel, tag);
+    const problem = value && checkRfc822(value);
+    if (problem) errors.push(`Channel <${tag}>: ${problem}`);
+  });
+
+  const ttl = childText(channel, 'ttl');
+  if (ttl && !/^\d+$/.test(ttl)) {
+    errors.push(`Channel <ttl> must be a whole number of minutes, got "${ttl}"`);
+  }
+
+  // Every prefixed element needs its namespace declared
+  Array.from(document.getElementsByTagName('*')).forEach(element => {
+    if (element.prefix && !element.namespaceURI) {
+      errors.push(`Prefix "${element.prefix}:" on <${element.tagName}> has no namespace declaration`);
+    }
+  });
+
+  // Self link
+  const selfLinks = Array.from(channel.getElementsByTagNameNS(ATOM_NS, 'link'))
+    .filter(link => link.getAttribute('rel') === 'self');
+  if (selfLinks.length === 0) {
+    warnings.push('Channel has no atom:link rel="self" (recommended by the RSS Advisory Board)');
+  } else {
+    const href = selfLinks[0].getAttribute('href') || '';
+    if (!isAbsoluteUrl(href)) {
+      errors.push(`Self link is not an absolute URL: "${href}"`);
+    } else if (PLACEHOLDER_PATTERN.test(href)) {
+      errors.push(`Self link still points at a placeholder: ${href}`);
+    } else {
+      if (options.feedUrl && href !== options.feedUrl) {
+        errors.push(`Self link ${href} doesn't match the configured feedUrl ${options.feedUrl}`);
+      }
+      if (options.output && path.basename(new URL(href).pathname) !== path.basename(options.output)) {
+        warnings.push(`Self link ${href} doesn't end in the output file name ${path.basename(options.output)}`);
+      }
+    }
+    if (selfLinks[0].getAttribute('type') !== 'application/rss+xml') {
+      warnings.push('Self link should have type="application/rss+xml"');
+    }
+  }
+
+  // WebSub hubs push the feed named by the self link
+  const hubLinks = Array.from(channel.getElementsByTagNameNS(ATOM_NS, 'link'))
+    .filter(link => link.getAttribute('rel') === 'hub');
+  if (hubLinks.length > 0 && selfLinks.length === 0) {
+    errors.push('WebSub hub links need an atom:link rel="self" as well');
+  }
+  hubLinks.forEach(link => {
+    const href = link.getAttribute('href') || '';
+    if (!isAbsoluteUrl(href)) {
+      errors.push(`Hub link is not an absolute URL: "${href}"`);
+    }
+  });
+
+  // Items
+  const items = children(channel, 'item');
+  if (items.length === 0) {
+    warnings.push('Channel has no items');
+  }
+
+  const guids = new Map();
+  const pubDates = new Map();
+  items.forEach((item, index) => {
+    const where = `Item ${index + 1}`;
+    const title = childText(item, 'title');
+    const link = childText(item, 'link');
+
+    if (!title && !childText(item, 'description')) {
+      errors.push(`${where}: needs a <title> or a <description>`);
+    }
+    if (link && !isAbsoluteUrl(link)) {
+      errors.push(`${where}: <link> is not an absolute URL: ${link}`);
+    }
+
+    const guidElement = children(item, 'guid')[0];
+    if (!guidElement) {
+      warnings.push(`${where}: has no <guid>`);
+    } else {
+      const guid = guidElement.textContent.trim();
+      const isPermaLink = guidElement.getAttribute('isPermaLink') !== 'false';
+      if (!guid) {
+        errors.push(`${where}: <guid> is empty`);
+      } else if (isPermaLink && !isAbsoluteUrl(guid)) {
+        errors.push(`${where}: permalink <guid> is not an absolute URL: ${guid}`);
+      } else if (guids.has(guid)) {
+        errors.push(`${where}: duplicate <guid> (same as item ${guids.get(guid)}): ${guid}`);
+      } else {
+        guids.set(guid, index + 1);
+      }
+    }
+
+    const pubDate = childText(item, 'pubDate');
+    if (!pubDate) {
+      warnings.push(`${where}: has no <pubDate>`);
+    } else {
+      const problem = checkRfc822(pubDate);
+      if (problem) {
+        errors.push(`${where}: <pubDate> ${problem}`);
+      } else if (pubDates.has(pubDate)) {
+        warnings.push(`${where}: same <pubDate> as item ${pubDates.get(pubDate)} (${pubDate})`);
+      } else {
+        pubDates.set(pubDate, index + 1);
+      }
+    }
+
+    // Enclosures and Media RSS images
+    const enclosures = children(item, 'enclosure');
+    if (enclosures.length > 1) {
+      errors.push(`${where}: has ${enclosures.length} <enclosure> elements (RSS allows one)`);
+    }
+    enclosures.forEach(enclosure => {
+      const enclosureUrl = enclosure.getAttribute('url') || '';
+      if (!isAbsoluteUrl(enclosureUrl)) {
+        errors.push(`${where}: <enclosure> url is not an absolute URL: "${enclosureUrl}"`);
+      }
+      if (!/^\d+$/.test(enclosure.getAttribute('length') || '')) {
+        errors.push(`${where}: <enclosure> length must be a whole number of bytes`);
+      }
+      if (!enclosure.getAttribute('type')) {
+        errors.push(`${where}: <enclosure> has no type`);
+      }
+    });
+    ['content', 'thumbnail'].forEach(name => {
+      Array.from(item.getElementsByTagNameNS(MEDIA_NS, name)).forEach(media => {
+        const mediaUrl = media.getAttribute('url') || '';
+        if (!isAbsoluteUrl(mediaUrl)) {
+          errors.push(`${where}: media:${name} url is not an absolute URL: "${mediaUrl}"`);
+        }
+      });
+    });
+
+    // Text that was escaped twice shows up literally in readers, e.g. "&quot;"
+    ['title', 'description'].forEach(tag => {
+      const text = childText(item, tag);
+      if (DOUBLE_ESCAPE_PATTERN.test(text)) {
+        warnings.push(`${where}: <${tag}> looks double-escaped: "${text.substring(0, 60)}"`);
+      }
+    });
+  });
+
+  dom.window.close();
+  return result();
+}
+
+module.exports = {
+  validateRSS
+};
@@ -0,0 +1,141 @@
+// lib/websub.js - WebSub (W3C, formerly PubSubHubbub) hub publishing
+//
+// Feed readers poll on the feed's <ttl>, a week for ours, so a new article can
+// take that long to show up. With WebSub the feeds name one or more hubs
+// (atom:link rel="hub" in RSS, link rel="hub" in Atom, "hubs" in JSON Feed)
+// next to their self link, and after a run that changed a feed we tell those
+// hubs, which fetch it and push it to their subscribers right away.
+//
+// OPTIONS (feeds.config.json "websub" block):
+// - hubs: Hub URLs, e.g. ["https://pubsubhubbub.appspot.com/"]. Any http(s) URL
+//   works, including a local stand-in hub for testing.
+// - retries: Extra attempts per ping after a failure (default 3)
+// - retryDelay: First wait between attempts in ms, doubled each time (default 2000)
+//
+// WebSub needs the feed's public self URL, so nothing is advertised or pinged
+// without "feedUrl". A ping is a form POST of hub.mode=publish&hub.url=<feed URL>,
+// one per hub and published file (main and topic feeds, every format); any 2xx
+// is success. Only feeds whose change report (see lib/safeguard.js) shows added,
+// removed or changed items are pinged.
+//
+// The hub fetches the public copy, so a run whose files are published by a
+// later step (the GitHub Actions workflow commits and pushes them) should skip
+// the ping with --no-ping and send it afterwards with --ping, which pings every
+// feed the last run changed according to its change report.
+// With --dry-run (or options.dryRun) pings are logged instead of sent.
+
+const fs = require('fs').promises;
+const { USER_AGENT, isRetryable, withRetry } = require('./http');
+const { publicUrlFor } = require('./feed');
+const { topicFeeds } = require('./topics');
+const { reportPathFor } = require('./safeguard');
+const { CONSOLE_LOGGER } = require('./logger');
+
+const DEFAULT_WEBSUB = {
+  hubs: [],
+  retries: 3,
+  retryDelay: 2000
+};
+
+// Fill in defaults for a feed's "websub" block and check the hub URLs
+function normalizeWebsub(websub) {
+  const config = { ...DEFAULT_WEBSUB, ...(websub || {}) };
+  if (!Array.isArray(config.hubs)) {
+    throw new Error('"websub.hubs" must be a list of hub URLs');
+  }
+  config.hubs.forEach(hub => {
+    if (!/^https?:\/\/[^/]/i.test(hub)) {
+      throw new Error(`WebSub hub "${hub}" must be an absolute http(s) URL`);
+    }
+  });
+  return config;
+}
+
+// Did a run change what subscribers see? (a safeguard report, see lib/safeguard.js)
+function feedChanged(report) {
+  return Boolean(report) && report.added.length + report.removed.length + report.changed.length > 0;
+}
+
+// Public URL of every format a feed publishes; these are what the hubs fetch
+function topicUrlsFor(feed) {
+  return feed.formats.map(format => publicUrlFor(feed, format)).filter(Boolean);
+}
+
+// Public URLs of the feeds (main and topics) whose last written change report
+// shows changes. Feeds without a report yet are skipped.
+async function changedTopicUrls(feed) {
+  const urls = [];
+  for (const each of [feed, ...topicFeeds(feed)]) {
+    let report;
+    try {
+      report = JSON.parse(await fs.readFile(reportPathFor(each.output), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw new Error(`Could not read the change report for ${each.output}: ${error.message}`);
+    }
+    if (report.written && feedChanged(report)) {
+      urls.push(...topicUrlsFor(each));
+    }
+  }
+  return urls;
+}
+
+async function publishToHub(hub, topicUrl, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+  const response = await fetchImpl(hub, {
+    method: 'POST',
+    headers: { 'User-Agent': USER_AGENT, 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ 'hub.mode': 'publish', 'hub.url': topicUrl }).toString(),
+    signal: AbortSignal.timeout(options.timeout || 15000)
+  });
+  if (!response.ok) {
+    const error = new Error(`Hub ${new URL(hub).host} answered HTTP ${response.status} for ${topicUrl}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+// Tell every configured hub that these feed URLs changed. Failures are logged
+// and counted, never thrown. Returns { sent, failed }.
+async function pingHubs(topicUrls, feed, options = {}) {
+  const log = options.logger || CONSOLE_LOGGER;
+  const config = normalizeWebsub(feed.websub);
+  const retry = { retries: config.retries, retryDelay: config.retryDelay, isRetryable, logger: log };
+  const result = { sent: 0, failed: 0 };
+  if (config.hubs.length === 0) return result;
+  if (!feed.feedUrl) {
+    log.warn('⚠️  WebSub hubs are configured but "feedUrl" isn\'t, so there is nothing to ping');
+    return result;
+  }
+  if (topicUrls.length === 0) return result;
+
+  for (const hub of config.hubs) {
+    for (const topicUrl of topicUrls) {
+      if (options.dryRun) {
+        log.info(`🧪 Would ping ${new URL(hub).host} for ${topicUrl}`);
+        continue;
+      }
+      try {
+        await withRetry(() => publishToHub(hub, topicUrl, options), retry);
+        log.info(`📣 Pinged ${new URL(hub).host} for ${topicUrl}`);
+        result.sent++;
+      } catch (error) {
+        log.error(`❌ WebSub ping to ${new URL(hub).host} failed: ${error.message}`);
+        result.failed++;
+      }
+    }
+  }
+  if (!options.dryRun) {
+    log.event('websub-ping', { hubs: config.hubs, topics: topicUrls, ...result });
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_WEBSUB,
+  normalizeWebsub,
+  feedChanged,
+  topicUrlsFor,
+  changedTopicUrls,
+  pingHubs
+};
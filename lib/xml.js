@@ -0,0 +1,22 @@
+// lib/xml.js - Small XML helpers shared by the RSS and Atom serializers
+
+// Escape XML special characters
+function escapeXml(text) {
+  if (text === undefined || text === null) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Wrap text in a CDATA section, splitting any "]]>" so it can't end the section early
+function cdata(text) {
+  return `<![CDATA[${String(text || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+module.exports = {
+  escapeXml,
+  cdata
+};
@@ -1,683 +1,391 @@
-// scraper.js - GitHub Actions compatible version
-// 
-// This scraper generates an RSS feed from InfoWorld author profile pages.
-// It handles JavaScript-rendered content and filters out unrelated articles.
+#!/usr/bin/env node
+// scraper.js - Command line for the InfoWorld (and other Foundry site) feed generator
 //
-// KEY FEATURES:
-// - Excludes articles from "Trending", "Popular", "Related" sections
-// - Removes author metadata from titles (dates, reading time, categories)
-// - Filters out articles by other authors
-// - Limits results to prevent including unrelated content
+// Builds RSS, Atom and JSON feeds of an author's articles from their profile
+// pages. The pipeline lives in lib/ (lib/generate.js runs one feed) and index.js
+// is the library API; this file only parses the options (lib/cli.js) and picks
+// the mode: a normal run, --serve, --site-only, --allow/--deny, --explain,
+// --backfill, --report or --ping.
 //
-// CONFIGURATION:
-// - MAX_ARTICLES: Limits the number of articles to prevent including unrelated content
-//   from the bottom of the page. Adjust if you're missing articles or getting wrong ones.
-// - DEBUG_MODE: Set to true to see detailed extraction information
-//
-const MAX_ARTICLES = 30;  // Adjust this if needed
-const DEBUG_MODE = false;  // Set to true for detailed logging
+// Run with --help for every option, and see README.md for configuration
+// (feeds.config.json) and what each feature does.
 
-const puppeteer = require('puppeteer');
-const fs = require('fs').promises;
+const { loadArchive } = require('./lib/archive');
+const { writeSite } = require('./lib/site');
+const { createFeedServer } = require('./lib/server');
+const { normalizeArticleUrl, articleKey } = require('./lib/publishers');
+const { assessArticles, overridesPathFor, loadOverrides, saveOverrides, setOverride } = require('./lib/quality');
+const { loadRules, applyRules } = require('./lib/rules');
+const { resolveFeeds } = require('./lib/config');
+const { generateFeedForAuthor } = require('./lib/generate');
+const { changedTopicUrls, pingHubs } = require('./lib/websub');
+const { sitemapsFor, backfillFeed } = require('./lib/backfill');
+const { historyPathFor, loadHistory, summarizeHistory, formatHistoryReport } = require('./lib/metrics');
+const { createLogger } = require('./lib/logger');
+const { EXIT_OK, EXIT_FAILURE, EXIT_NO_ARTICLES, EXIT_REFUSED, EXIT_INVALID, USAGE, parseCliArgs } = require('./lib/cli');
 
-async function scrapeInfoWorldProfile(url) {
-  let browser;
+// One feed's run, printed the way the script always has. The banner and the
+// article list are for people, so JSON logs leave them out.
+async function runFeed(feed, options) {
+  const log = options.logger;
+  const human = options.logFormat !== 'json';
+  if (human) {
+    log.info('='.repeat(50));
+    log.info(`RSS Feed Generator for ${feed.publication}: ${feed.author}`);
+    log.info('='.repeat(50));
+    log.info(`Target URL: ${feed.profileUrls.join(', ')}`);
+    log.info(`Time: ${new Date().toISOString()}`);
+    log.info('');
+  }
+  log.event('run-start', { feed: feed.author, profileUrls: feed.profileUrls });
   
-  try {
-    // Launch browser with GitHub Actions compatible settings
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--single-process',
-        '--disable-gpu'
-      ]
+  const result = await generateFeedForAuthor(feed, options);
+  log.event('run-end', { feed: feed.author, status: result.status, strategy: result.strategy, ...result.stats });
+  
+  // The feeds themselves are the only thing on stdout during a dry run
+  if (options.dryRun) {
+    result.outputs.forEach(output => process.stdout.write(output.content + '\n'));
+  }
+  if (result.status === 'failed' || result.articles.length === 0) {
+    return result.status;
+  }
+  
+  log.info(`📊 Total articles: ${result.stats.published} (${result.stats.added} new this run, ${result.stats.quarantined} held for review)`);
+  log.info(`🔎 Strategy: ${result.strategy}`);
+  
+  // Print first few articles for verification
+  if (human) {
+    log.info('\n📰 First 5 articles in the feed:');
+    log.info('-'.repeat(50));
+    result.articles.slice(0, 5).forEach((article, index) => {
+      log.info(`${index + 1}. ${article.title}`);
+      log.info(`   URL: ${article.url}`);
+      if (article.pubDate) {
+        log.info(`   Date: ${article.pubDate}`);
+      }
     });
+  }
+  
+  // Point at the review list when extraction produced suspect items
+  if (result.quarantined.length > 0) {
+    log.warn(`\n⚠️  Warning: ${result.quarantined.length} article(s) failed the quality checks and are not in the feed.`);
+    log.info('   Publish one anyway with --allow <url>, or run with --debug to see extraction details.');
+  }
+  
+  return result.status;
+}
 
-    const page = await browser.newPage();
-    
-    // Set viewport and user agent
-    await page.setViewport({ width: 1920, height: 1080 });
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    
-    console.log(`Loading page: ${url}`);
-    await page.goto(url, { 
-      waitUntil: 'networkidle2',
-      timeout: 60000 
+// --serve: keep the feeds available over HTTP (see lib/server.js). Each
+// refresh scrapes every feed in turn, like a normal run. Resolves with an exit
+// code once the server is stopped with Ctrl+C / SIGTERM.
+async function serveFeeds(feeds, options) {
+  const log = options.logger;
+  const server = createFeedServer({
+    feeds,
+    logger: log,
+    refresh: async () => {
+      const results = {};
+      for (const feed of feeds) {
+        results[feed.author] = await runFeed(feed, options);
+      }
+      return results;
+    }
+  });
+  
+  return new Promise(resolve => {
+    server.on('error', error => {
+      log.error('❌ Could not start the server:', error.message);
+      resolve(EXIT_FAILURE);
     });
+    server.listen(options.port, options.host, () => {
+      log.info(`📡 Serving ${feeds.length} feed(s) on http://${options.host}:${options.port}/`);
+      log.info('   GET /health for status, POST /refresh to scrape again');
+    });
+    const stop = () => {
+      log.info('\nStopping server...');
+      server.close(() => resolve(EXIT_OK));
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
 
-    // Wait 3 seconds for dynamic content to load
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Try to wait for articles to load (with timeout catch)
-    try {
-      await page.waitForSelector('article, .article-item, [class*="article"], a[href*="/article/"]', {
-        timeout: 15000
-      });
-    } catch (e) {
-      console.log('Article selector timeout - continuing anyway');
+// --site-only: write each feed's archive page straight from its archive
+async function buildSites(feeds, options) {
+  const log = options.logger;
+  const withSite = feeds.filter(feed => feed.site.output);
+  if (withSite.length === 0) {
+    log.error('❌ No feed has a "site" output configured');
+    return EXIT_FAILURE;
+  }
+  try {
+    for (const feed of withSite) {
+      const archive = await loadArchive(feed.archive);
+      const { kept } = applyRules(archive.articles, await loadRules(feed.rules));
+      const { published } = assessArticles(kept, feed, await loadOverrides(overridesPathFor(feed)));
+      log.info(`🌐 ${feed.author}: ${await writeSite(published, feed)} (${published.length} articles)`);
     }
+  } catch (error) {
+    log.error('❌ Could not build the archive page:', error.message);
+    return EXIT_FAILURE;
+  }
+  return EXIT_OK;
+}
 
-    // Scroll to load more content
-    await autoScroll(page);
-
-    console.log('Extracting articles...');
-    
-    // Extract article data
-    const debugMode = DEBUG_MODE;
-    const articles = await page.evaluate((debugMode) => {
-      const articleData = [];
-      
-      // First, identify and exclude sections that typically contain other authors' content
-      const excludeSections = [
-        '[class*="trending"]',
-        '[class*="popular"]',
-        '[class*="more-from"]',
-        '[class*="related"]',
-        '[class*="recommended"]',
-        'aside',
-        'footer',
-        '[data-section="trending"]',
-        '[data-section="popular"]',
-        '[class*="sidebar"]'
-      ];
-      
-      // Get all excluded elements
-      const excludedElements = new Set();
-      excludeSections.forEach(selector => {
-        try {
-          const sections = document.querySelectorAll(selector);
-          sections.forEach(section => {
-            // Mark all links within these sections as excluded
-            const links = section.querySelectorAll('a');
-            links.forEach(link => excludedElements.add(link));
-          });
-        } catch (e) {
-          // Selector might not exist, that's OK
-        }
-      });
-      
-      console.log(`Found ${excludedElements.size} links in excluded sections`);
-      
-      // Try multiple possible selectors for articles
-      const selectors = [
-        'main article a[href*="/article/"]',
-        'main .article-item',
-        'main [class*="article-list"] a[href*="/article/"]',
-        '[class*="author-articles"] a[href*="/article/"]',
-        '[class*="profile"] a[href*="/article/"]',
-        'section:not(aside) a[href*="/article/"]',
-        'a[href*="/article/"]'
-      ];
-      
-      let elements = new Set();
-      for (const selector of selectors) {
-        try {
-          const found = document.querySelectorAll(selector);
-          found.forEach(el => {
-            // Only add if not in excluded sections
-            if (!excludedElements.has(el)) {
-              elements.add(el);
-            }
-          });
-        } catch (e) {
-          console.log(`Selector failed: ${selector}`);
-        }
-      }
-      
-      // Convert Set to Array
-      const uniqueElements = Array.from(elements);
-      console.log(`Found ${uniqueElements.length} potential article elements after exclusions`);
-      
-      uniqueElements.forEach(element => {
-        try {
-          // Get the link
-          let url = element.href || element.querySelector('a')?.href;
-          if (!url && element.tagName === 'A') {
-            url = element.getAttribute('href');
-          }
-          
-          // Skip if not an article URL
-          if (!url || !url.includes('/article/')) {
-            return;
-          }
-          
-          // Make URL absolute
-          if (!url.startsWith('http')) {
-            url = new URL(url, window.location.origin).href;
-          }
-          
-          // Get the parent container for context
-          const parentContainer = element.closest('article, .article-item, [class*="article"], div, section, li');
-          
-          // Check if this article might be from another author
-          // Look for author attribution near the article link
-          let possibleAuthorText = '';
-          if (parentContainer) {
-            possibleAuthorText = parentContainer.textContent || '';
-            
-            // Check for common patterns indicating other authors
-            const otherAuthorPatterns = [
-              /by\s+(?!Sharon\s+Machlis)[\w\s]+/i,  // "by [Not Sharon Machlis]"
-              /author:\s*(?!Sharon\s+Machlis)[\w\s]+/i,
-              /from\s+(?!Sharon\s+Machlis)[\w\s]+/i
-            ];
-            
-            // Skip if we detect another author's name
-            for (const pattern of otherAuthorPatterns) {
-              if (pattern.test(possibleAuthorText)) {
-                console.log(`Skipping article with different author: ${url}`);
-                return;
-              }
-            }
-            
-            // Skip if the container has text suggesting it's from a different section
-            const skipPhrases = [
-              'more from infoworld',
-              'trending',
-              'popular',
-              'recommended',
-              'you might also like',
-              'related articles',
-              'also on infoworld',
-              'from our partners',
-              'sponsored'
-            ];
-            
-            const containerTextLower = possibleAuthorText.toLowerCase();
-            for (const phrase of skipPhrases) {
-              if (containerTextLower.includes(phrase)) {
-                console.log(`Skipping article from "${phrase}" section: ${url}`);
-                return;
-              }
-            }
-          }
-          
-          // Extract title - be more careful to get just the title
-          let title = '';
-          
-          // First try to find a proper heading element within the parent container or link
-          const headingElement = parentContainer?.querySelector('h1, h2, h3, h4, h5, h6') || 
-                                element.querySelector('h1, h2, h3, h4, h5, h6');
-          if (headingElement) {
-            title = headingElement.textContent?.trim() || '';
-          }
-          
-          // If no heading, try title-specific classes
-          if (!title) {
-            const titleElement = parentContainer?.querySelector('[class*="title"]:not([class*="subtitle"]), [class*="headline"]') ||
-                               element.querySelector('[class*="title"]:not([class*="subtitle"]), [class*="headline"]');
-            if (titleElement) {
-              title = titleElement.textContent?.trim() || '';
-            }
-          }
-          
-          // If still no title, try the link's title attribute or aria-label
-          if (!title) {
-            title = element.getAttribute('title') || 
-                   element.getAttribute('aria-label') || 
-                   '';
-          }
-          
-          // If still no title but we have text content, use it carefully
-          if (!title && element.textContent) {
-            const linkText = element.textContent.trim();
-            // Only use link text if it looks like a title (not metadata)
-            if (linkText && 
-                !linkText.match(/^By\s+/i) && 
-                !linkText.match(/^\d+\s+mins?/i) &&
-                !linkText.match(/^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d+/i)) {
-              title = linkText;
-            }
-          }
-          
-          // Clean up title - remove metadata that got included
-          // Remove "By [Author] [Date] [Time] [Categories]" patterns
-          title = title.replace(/^By\s+[\w\s]+\s+\w+\s+\d+,\s+\d{4}.*$/i, '').trim();
-          
-          // If title starts with metadata pattern, extract the real title after it
-          const metadataPattern = /^By\s+Sharon\s+Machlis\s+\w+\s+\d+,\s+\d{4}\s+\d+\s+mins?\s+(.+)/i;
-          const metadataMatch = title.match(metadataPattern);
-          if (metadataMatch && metadataMatch[1]) {
-            // The real title is after the metadata
-            title = metadataMatch[1].trim();
-            // Remove category tags that might be at the end
-            title = title.replace(/\s*(Generative AI|Natural Language Processing|R Language|Technology Industry|Developer|Analytics|Data Science|Programming|Software Development)$/gi, '').trim();
-          }
-          
-          // If the entire title is metadata, try to extract just the article title
-          if (title.match(/^By\s+Sharon\s+Machlis/i)) {
-            // This means we got the whole metadata block - try to find the actual title
-            const linkElement = element.tagName === 'A' ? element : element.querySelector('a');
-            if (linkElement) {
-              // Try to get the URL and extract a title from it
-              const urlParts = linkElement.href?.split('/');
-              if (urlParts && urlParts.length > 0) {
-                const slug = urlParts[urlParts.length - 1]?.replace('.html', '').replace(/-/g, ' ');
-                if (slug && !slug.match(/^\d+$/)) {
-                  // Convert slug to title case
-                  title = slug.split(' ').map(word => 
-                    word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
-                  ).join(' ');
-                }
-              }
-            }
-          }
-          
-          // Additional cleanup patterns
-          const cleanupPatterns = [
-            /^By\s+Sharon\s+Machlis\s*/i,  // Remove author byline at start
-            /\s*\d+\s+mins?\s*$/i,          // Remove reading time at end
-            /\s*\w+\s+\d+,\s+\d{4}\s*$/,   // Remove date at end
-            /Read more.*$/i,                // Remove "Read more" text
-            /\s+/g                          // Normalize whitespace
-          ];
-          
-          cleanupPatterns.forEach(pattern => {
-            title = title.replace(pattern, ' ').trim();
-          });
-          
-          // Final cleanup - if title still contains metadata patterns, truncate at first occurrence
-          const metadataIndicators = [
-            /\s+\w+\s+\d+,\s+\d{4}/,  // Date pattern
-            /\s+\d+\s+mins?/i,         // Reading time
-            /\s+By\s+/i                // Author byline
-          ];
-          
-          for (const pattern of metadataIndicators) {
-            const match = title.match(pattern);
-            if (match && match.index && match.index > 10) {  // Keep at least 10 chars
-              title = title.substring(0, match.index).trim();
-            }
-          }
-          
-          // Final validation - only mark as untitled if we really couldn't find anything
-          if (!title || title.length < 3 || title.match(/^\d+$/)) {
-            // Last attempt: clean up the URL slug
-            const urlMatch = url.match(/\/([^\/]+)\.html$/);
-            if (urlMatch && urlMatch[1]) {
-              title = urlMatch[1]
-                .replace(/-/g, ' ')
-                .replace(/\b\w/g, char => char.toUpperCase())
-                .replace(/\d+$/, '')  // Remove trailing numbers
-                .trim();
-            }
-            
-            // If still no good title, mark as untitled
-            if (!title || title.length < 3) {
-              title = 'Article';  // Better than "Untitled Article"
-              if (debugMode) {
-                console.log(`Warning: Could not extract title for ${url}`);
-              }
-            }
-          }
-          
-          if (debugMode && title !== 'Article') {
-            console.log(`Extracted title: "${title.substring(0, 60)}..." from ${url}`);
-          }
-          
-          // Extract description - be more selective
-          let description = '';
-          
-          // Try to find a proper summary/excerpt element
-          const descSelectors = [
-            '[class*="summary"]',
-            '[class*="excerpt"]', 
-            '[class*="description"]',
-            '[class*="dek"]',
-            '[class*="standfirst"]',
-            '[class*="intro"]',
-            '[class*="abstract"]'
-          ];
-          
-          for (const selector of descSelectors) {
-            const descElement = parentContainer?.querySelector(selector) || 
-                              element.querySelector(selector);
-            if (descElement) {
-              description = descElement.textContent?.trim() || '';
-              if (description && description.length > 20) {
-                break;  // Found a good description
-              }
-            }
-          }
-          
-          // If no description found, try to get first paragraph
-          if (!description || description.length < 20) {
-            const paragraph = parentContainer?.querySelector('p') || 
-                            element.querySelector('p');
-            if (paragraph) {
-              description = paragraph.textContent?.trim() || '';
-            }
-          }
-          
-          // Clean up description - remove author/date metadata if present
-          description = description.replace(/^By\s+[\w\s]+\s+\w+\s+\d+,\s+\d{4}.*?(?=\w)/i, '').trim();
-          
-          // If description is too short or generic, leave it empty
-          if (description.length < 20 || 
-              description.toLowerCase().includes('click to read') ||
-              description.toLowerCase().includes('read more')) {
-            description = '';
-          }
-          
-          // Limit description length
-          if (description.length > 500) {
-            description = description.substring(0, 497) + '...';
-          }
-          
-          // Extract date - look for actual date information
-          let pubDate = '';
-          
-          // Try to find date in various formats
-          const dateElement = parentContainer?.querySelector('time, [datetime], [class*="date"], [class*="published"], [class*="timestamp"]') ||
-                            element.querySelector('time, [datetime], [class*="date"], [class*="published"], [class*="timestamp"]');
-          if (dateElement) {
-            // First check for datetime attribute (most reliable)
-            pubDate = dateElement.getAttribute('datetime') || dateElement.textContent?.trim() || '';
-          }
-          
-          // If no date element, look for date patterns in text
-          if (!pubDate && parentContainer) {
-            const datePattern = /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},\s+\d{4}/i;
-            const dateMatch = parentContainer.textContent?.match(datePattern);
-            if (dateMatch) {
-              pubDate = dateMatch[0];
-            }
-          }
-          
-          // Only add if we have a valid InfoWorld article URL
-          if (url.includes('infoworld.com/article/')) {
-            articleData.push({
-              title: title.substring(0, 200),
-              url: url,
-              description: description.substring(0, 500),
-              pubDate: pubDate,
-              author: 'Sharon Machlis'
-            });
-          }
-        } catch (err) {
-          console.error('Error processing element:', err.message);
+// --explain: which rule keeps or drops each archived article (see lib/rules.js),
+// as text or as one "rule-decision" event per article
+async function explainRules(feeds, options) {
+  const log = options.logger;
+  try {
+    for (const feed of feeds) {
+      const archive = await loadArchive(feed.archive);
+      const { kept, dropped, decisions } = applyRules(archive.articles, await loadRules(feed.rules));
+      log.info(`📋 ${feed.author} (${feed.rules || 'no rules file'}): ${kept.length} kept, ${dropped.length} dropped`);
+      decisions.forEach(decision => {
+        if (options.logFormat === 'json') {
+          log.event('rule-decision', { feed: feed.author, ...decision });
+        } else {
+          log.info(`   ${decision.action === 'include' ? '✅ keep' : '🚫 drop'}  ${decision.title}`);
+          log.info(`            ${decision.url}`);
+          log.info(`            ${decision.rule}: ${decision.reason}`);
         }
       });
-      
-      // Remove duplicates based on URL
-      const uniqueArticles = Array.from(new Map(articleData.map(item => [item.url, item])).values());
-      
-      return uniqueArticles;
-    }, debugMode);  // Pass debugMode to the evaluate function
-
-    console.log(`Extracted ${articles.length} unique articles`);
-    
-    // Limit to first MAX_ARTICLES to avoid including unrelated content at the bottom
-    const limitedArticles = articles.slice(0, MAX_ARTICLES);
-    
-    if (limitedArticles.length < articles.length) {
-      console.log(`Limited to first ${MAX_ARTICLES} articles (excluded ${articles.length - MAX_ARTICLES} articles)`);
-    }
-    
-    // If no articles found with specific selectors, try a more general approach
-    if (limitedArticles.length === 0) {
-      console.log('Trying alternative extraction method...');
-      const maxArticles = MAX_ARTICLES; // Pass the constant value
-      const allLinks = await page.evaluate((maxArticles) => {
-        const links = Array.from(document.querySelectorAll('a[href*="/article/"]'));
-        return links.map(link => ({
-          title: link.textContent?.trim() || link.getAttribute('title') || 'Article',
-          url: link.href,
-          description: '',
-          pubDate: '',
-          author: 'Sharon Machlis'
-        })).filter(item => item.url && item.url.includes('infoworld.com/article/')).slice(0, maxArticles);
-      }, maxArticles);
-      
-      // Remove duplicates
-      const uniqueLinks = Array.from(new Map(allLinks.map(item => [item.url, item])).values());
-      return uniqueLinks;
+      log.info('');
     }
-    
-    return limitedArticles;
-
   } catch (error) {
-    console.error('Error during scraping:', error.message);
-    throw error;
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
+    log.error('❌ Could not apply the rules:', error.message);
+    return EXIT_FAILURE;
   }
+  return EXIT_OK;
 }
 
-// Helper function to scroll the page
-async function autoScroll(page) {
-  await page.evaluate(async () => {
-    await new Promise((resolve) => {
-      let totalHeight = 0;
-      const distance = 100;
-      const scrollDelay = 100;
-      
-      const timer = setInterval(() => {
-        const scrollHeight = document.body.scrollHeight;
-        window.scrollBy(0, distance);
-        totalHeight += distance;
-
-        if (totalHeight >= scrollHeight - window.innerHeight) {
-          clearInterval(timer);
-          resolve();
-        }
-      }, scrollDelay);
-      
-      // Stop after 5 seconds max
-      setTimeout(() => {
-        clearInterval(timer);
-        resolve();
-      }, 5000);
-    });
-  });
-}
-
-// Generate RSS XML from articles
-function generateRSS(articles, profileUrl) {
-  const now = new Date().toUTCString();
-  
-  // Escape XML special characters
-  const escapeXml = (text) => {
-    if (!text) return '';
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
-  };
-  
-  let rssContent = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
-  <channel>
-    <title>Sharon Machlis - InfoWorld Articles</title>
-    <link>${escapeXml(profileUrl)}</link>
-    <description>Latest articles by Sharon Machlis on InfoWorld - Automatically generated RSS feed</description>
-    <language>en-us</language>
-    <lastBuildDate>${now}</lastBuildDate>
-    <generator>GitHub Actions RSS Generator</generator>
-    <ttl>10080</ttl>
-    <atom:link href="https://raw.githubusercontent.com/YOUR_USERNAME/YOUR_REPO/main/feed.xml" rel="self" type="application/rss+xml" />
-`;
-
-  articles.forEach((article, index) => {
-    const title = escapeXml(article.title || `Article ${index + 1}`);
-    const url = escapeXml(article.url);
-    
-    // Handle description - if empty or generic, provide a better default
-    let description = article.description;
-    if (!description || description.length < 10 || 
-        description.toLowerCase().includes('click to read') ||
-        description.toLowerCase().includes('read the article')) {
-      // Create a more informative default description
-      if (article.title && article.title !== 'Article') {
-        description = `Read "${article.title}" by Sharon Machlis on InfoWorld.`;
+// --report: each feed's recent runs from its metrics history (see lib/metrics.js),
+// as text or as one "history-report" event per feed
+async function reportHistory(feeds, options) {
+  const log = options.logger;
+  try {
+    for (const feed of feeds) {
+      const summary = summarizeHistory(await loadHistory(historyPathFor(feed.archive)));
+      if (options.logFormat === 'json') {
+        log.event('history-report', { feed: feed.author, ...summary });
       } else {
-        description = `Read this article by Sharon Machlis on InfoWorld.`;
+        formatHistoryReport(feed.author, summary).forEach(line => log.info(line));
+        log.info('');
       }
     }
-    description = escapeXml(description);
-    
-    const author = escapeXml(article.author || 'Sharon Machlis');
-    
-    // Try to parse the date
-    let pubDate = now;
-    if (article.pubDate) {
-      try {
-        // Handle various date formats
-        let dateStr = article.pubDate;
-        
-        // If it's already a valid date string, use it
-        const parsed = new Date(dateStr);
-        if (!isNaN(parsed.getTime())) {
-          pubDate = parsed.toUTCString();
-        } else {
-          // Try to parse "Dec 19, 2024" format
-          const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
-                            'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-          const dateMatch = dateStr.match(/(\w+)\s+(\d{1,2}),\s+(\d{4})/);
-          if (dateMatch) {
-            const monthIndex = monthNames.indexOf(dateMatch[1]);
-            if (monthIndex !== -1) {
-              const constructedDate = new Date(
-                parseInt(dateMatch[3]), 
-                monthIndex, 
-                parseInt(dateMatch[2])
-              );
-              if (!isNaN(constructedDate.getTime())) {
-                pubDate = constructedDate.toUTCString();
-              }
-            }
-          }
-        }
-      } catch (e) {
-        // If date parsing fails, use a staggered date based on index
-        // This maintains chronological order in the feed
-        const date = new Date();
-        date.setDate(date.getDate() - (index * 7)); // Space articles by a week
-        pubDate = date.toUTCString();
+  } catch (error) {
+    log.error('❌ Could not read the run history:', error.message);
+    return EXIT_FAILURE;
+  }
+  return EXIT_OK;
+}
+
+// --ping: tell each feed's WebSub hubs about the files its last run changed
+// (see lib/websub.js). Fails when any ping does.
+async function pingChangedFeeds(feeds, options) {
+  const log = options.logger;
+  let failed = 0;
+  try {
+    for (const feed of feeds) {
+      if (feed.websub.hubs.length === 0) {
+        log.info(`📣 ${feed.author}: no WebSub hubs configured`);
+        continue;
       }
-    } else {
-      // No date provided - use staggered dates
-      const date = new Date();
-      date.setDate(date.getDate() - (index * 7)); // Space articles by a week
-      pubDate = date.toUTCString();
+      const topics = await changedTopicUrls(feed);
+      if (topics.length === 0) {
+        log.info(`📣 ${feed.author}: the last run changed nothing, no ping needed`);
+        continue;
+      }
+      failed += (await pingHubs(topics, feed, { dryRun: options.dryRun, logger: log })).failed;
     }
-    
-    rssContent += `
-    <item>
-      <title>${title}</title>
-      <link>${url}</link>
-      <description><![CDATA[${description}]]></description>
-      <dc:creator>${author}</dc:creator>
-      <pubDate>${pubDate}</pubDate>
-      <guid isPermaLink="true">${url}</guid>
-    </item>`;
-  });
+  } catch (error) {
+    log.error('❌ Could not ping the hubs:', error.message);
+    return EXIT_FAILURE;
+  }
+  return failed > 0 ? EXIT_FAILURE : EXIT_OK;
+}
 
-  rssContent += `
-  </channel>
-</rss>`;
+// --backfill: add each feed's older articles from its sitemaps (see lib/backfill.js).
+// The feeds pick them up on the next normal run.
+async function backfillFeeds(feeds, options) {
+  const log = options.logger;
+  try {
+    for (const feed of feeds) {
+      log.info(`🗂️  Backfilling ${feed.author} from ${sitemapsFor(feed).join(', ')}`);
+      const result = await backfillFeed(feed, {
+        maxChecks: options.maxChecks,
+        dryRun: options.dryRun,
+        debugMode: options.debug,
+        logger: log
+      });
+      log.event('backfill-end', { feed: feed.author, ...result });
+      log.info(`📊 Checked ${result.checked} of ${result.candidates} new candidate(s) in ${result.sitemaps} sitemap(s): ` +
+        `${result.confirmed} by ${feed.author}, ${result.otherAuthor} by others, ${result.undated} undated, ${result.failed} failed`);
+      if (options.dryRun) {
+        log.info(`🧪 Dry run: would add up to ${result.confirmed} article(s) to ${feed.archive}`);
+      } else {
+        log.info(`🗄️  Added ${result.added} article(s) to ${feed.archive}`);
+      }
+      log.info(result.complete ? '✅ Every sitemap has been checked' : '⏭️  More to check: run --backfill again to continue');
+      log.info('');
+    }
+  } catch (error) {
+    log.error('❌ Backfill failed:', error.message);
+    return EXIT_FAILURE;
+  }
+  return EXIT_OK;
+}
 
-  return rssContent;
+// --allow / --deny: put articles on a feed's override list (see lib/quality.js).
+// Each URL goes to the feed whose archive has it, or to the only feed there is.
+async function recordOverrides(feeds, options) {
+  const log = options.logger;
+  const requests = [
+    ...options.allow.map(url => ({ list: 'allow', url: normalizeArticleUrl(url) })),
+    ...options.deny.map(url => ({ list: 'deny', url: normalizeArticleUrl(url) }))
+  ];
+  try {
+    for (const feed of feeds) {
+      const archive = await loadArchive(feed.archive);
+      const keys = new Set(archive.articles.flatMap(a => [a.url, ...(a.aliases || [])]).map(articleKey));
+      const mine = requests.filter(request => feeds.length === 1 || keys.has(articleKey(request.url)));
+      if (mine.length === 0) continue;
+      
+      const overridesPath = overridesPathFor(feed);
+      let overrides = await loadOverrides(overridesPath);
+      mine.forEach(request => {
+        overrides = setOverride(overrides, request.list, request.url);
+        request.done = true;
+        log.info(`${request.list === 'allow' ? '✅ Allowed' : '🚫 Denied'} ${request.url} (${feed.author})`);
+      });
+      await saveOverrides(overridesPath, overrides);
+      log.info(`📝 Overrides: ${overridesPath}`);
+    }
+  } catch (error) {
+    log.error('❌ Could not record the overrides:', error.message);
+    return EXIT_FAILURE;
+  }
+  const unknown = requests.filter(request => !request.done);
+  if (unknown.length > 0) {
+    log.error(`❌ Not in any feed's archive: ${unknown.map(request => request.url).join(', ')}`);
+    return EXIT_FAILURE;
+  }
+  return EXIT_OK;
 }
 
-// Main function
 async function main() {
-  const profileUrl = 'https://www.infoworld.com/profile/sharon-machlis/';
-  
+  let options;
+  let feeds;
   try {
-    console.log('='.repeat(50));
-    console.log('RSS Feed Generator for InfoWorld');
-    console.log('='.repeat(50));
-    console.log(`Target URL: ${profileUrl}`);
-    console.log(`Time: ${new Date().toISOString()}`);
-    console.log('');
-    
-    // Scrape articles
-    const articles = await scrapeInfoWorldProfile(profileUrl);
-    
-    if (!articles || articles.length === 0) {
-      console.error('⚠️  No articles found. The page structure might have changed.');
-      console.log('Creating minimal RSS feed...');
-      
-      // Create a minimal RSS feed even if no articles found
-      const minimalRss = generateRSS([{
-        title: 'Feed Generation Notice',
-        url: profileUrl,
-        description: 'The RSS feed generator could not find articles. Please check the source page.',
-        pubDate: new Date().toUTCString(),
-        author: 'System'
-      }], profileUrl);
-      
-      await fs.writeFile('feed.xml', minimalRss, 'utf8');
-      console.log('Minimal feed created.');
-      process.exit(0);
+    options = parseCliArgs();
+    if (options.help) {
+      console.log(USAGE);
+      return EXIT_OK;
     }
-    
-    // Generate RSS
-    const rssContent = generateRSS(articles, profileUrl);
-    
-    // Save to feed.xml
-    await fs.writeFile('feed.xml', rssContent, 'utf8');
-    
-    console.log('✅ RSS feed generated successfully!');
-    console.log(`📄 Saved to: feed.xml`);
-    console.log(`📊 Total articles: ${articles.length}`);
-    
-    // Print first few articles for verification
-    console.log('\n📰 First 5 articles in the feed:');
-    console.log('-'.repeat(50));
-    articles.slice(0, 5).forEach((article, index) => {
-      console.log(`${index + 1}. ${article.title}`);
-      console.log(`   URL: ${article.url}`);
-      if (article.pubDate) {
-        console.log(`   Date: ${article.pubDate}`);
-      }
-    });
-    
-    // Check for potential title extraction issues
-    const problemCount = articles.filter(a => a.title === 'Article' || a.title.includes('Untitled')).length;
-    if (problemCount > 0) {
-      console.log(`\n⚠️  Warning: ${problemCount} articles had title extraction issues.`);
-      console.log('   Consider enabling DEBUG_MODE in scraper.js to see details.');
+    // Keep stdout clean for the feed itself during a dry run
+    if (options.dryRun) {
+      console.log = console.error;
     }
-    
-    console.log('\n✨ Done!');
-    
+    options.logger = createLogger({ print: true, collect: false, format: options.logFormat });
+    feeds = await resolveFeeds(options);
   } catch (error) {
-    console.error('❌ Error generating RSS feed:', error.message);
-    console.error(error.stack);
-    
-    // Create error RSS feed
-    const errorRss = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0">
-  <channel>
-    <title>Sharon Machlis - InfoWorld Articles</title>
-    <link>${profileUrl}</link>
-    <description>Error generating feed</description>
-    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
-    <item>
-      <title>Feed Generation Error</title>
-      <link>${profileUrl}</link>
-      <description>An error occurred while generating the RSS feed. It will retry on the next scheduled run.</description>
-      <pubDate>${new Date().toUTCString()}</pubDate>
-    </item>
-  </channel>
-</rss>`;
-    
-    await fs.writeFile('feed.xml', errorRss, 'utf8');
-    process.exit(1);
+    // Errors in the arguments themselves come before there is a logger
+    const log = (options && options.logger) || createLogger({ print: true, collect: false });
+    log.error('❌', error.message);
+    if (!options || options.logFormat !== 'json') {
+      log.error(`\n${USAGE}`);
+    }
+    return EXIT_FAILURE;
+  }
+  
+  // Serve the feeds until interrupted; refreshes run generateFeeds() on demand
+  if (options.serve) {
+    return serveFeeds(feeds, options);
+  }
+  
+  // Rebuild the archive pages from the stored articles, without any network access
+  if (options.siteOnly) {
+    return buildSites(feeds, options);
+  }
+  
+  // Record review decisions; they take effect on the next run
+  if (options.allow.length > 0 || options.deny.length > 0) {
+    return recordOverrides(feeds, options);
+  }
+  
+  // Show what the rules do to the archive, without any network access
+  if (options.explain) {
+    return explainRules(feeds, options);
+  }
+  
+  // Older articles from the sitemaps go into the archive; the next run publishes them
+  if (options.backfill) {
+    return backfillFeeds(feeds, options);
+  }
+  
+  // Trends and regressions from the stored run metrics, without any network access
+  if (options.report) {
+    return reportHistory(feeds, options);
+  }
+  
+  // Ping hubs for the files the last run changed, once they are live
+  if (options.ping) {
+    return pingChangedFeeds(feeds, options);
   }
+  
+  const log = options.logger;
+  log.info(`Generating ${feeds.length} feed(s)\n`);
+  
+  // Run authors one at a time so only one browser is open at once
+  const failed = [];
+  const refused = [];
+  const invalid = [];
+  const empty = [];
+  for (const feed of feeds) {
+    const status = await runFeed(feed, options);
+    if (status === 'failed') {
+      failed.push(feed.author);
+    } else if (status === 'invalid') {
+      invalid.push(feed.author);
+    } else if (status === 'refused') {
+      refused.push(feed.author);
+    } else if (status === 'empty') {
+      empty.push(feed.author);
+    }
+    log.info('');
+  }
+  
+  if (failed.length > 0) {
+    log.error(`❌ Failed to generate feeds for: ${failed.join(', ')}`);
+    return EXIT_FAILURE;
+  }
+  
+  if (invalid.length > 0) {
+    log.error(`❌ Generated feeds failed validation for: ${invalid.join(', ')}`);
+    return EXIT_INVALID;
+  }
+  
+  if (refused.length > 0) {
+    log.error(`🛑 Kept the previous feed for: ${refused.join(', ')}`);
+    return EXIT_REFUSED;
+  }
+  
+  if (empty.length > 0) {
+    log.error(`⚠️  No articles found for: ${empty.join(', ')}`);
+    return EXIT_NO_ARTICLES;
+  }
+  
+  log.info('✨ Done!');
+  return EXIT_OK;
+}
+
+// Run the script, unless it was required as a module (use index.js for that)
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
 }
 
-// Run the script
-main();
+module.exports = {
+  main
+};
@@ -0,0 +1,126 @@
+// test/archive.test.js - Loading, saving and merging scraped articles into the archive
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadArchive, saveArchive, mergeArticles, publishedGuids } = require('../lib/archive');
+const { readFeedItems } = require('../lib/safeguard');
+
+const FIRST_RUN = new Date('2025-02-01T12:00:00.000Z');
+const SECOND_RUN = new Date('2025-02-08T12:00:00.000Z');
+
+const OLD_URL = 'https://www.infoworld.com/article/4100001/tidy-data-tricks.html';
+const NEW_URL = 'https://www.infoworld.com/article/4100001/tidy-data-tricks-for-r.html';
+
+function firstRun(extra = {}) {
+  return mergeArticles({ articles: [] }, [
+    { url: OLD_URL, title: 'Tidy data tricks for R users', pubDate: '2025-01-14T10:00:00Z', ...extra }
+  ], FIRST_RUN).archive;
+}
+
+test('new articles get a GUID from their article ID and keep their pubDate', () => {
+  const { archive, added, updated } = mergeArticles({ articles: [] }, [
+    { url: OLD_URL, title: 'Tidy data tricks for R users', pubDate: 'Jan 14, 2025' },
+    { url: 'https://www.infoworld.com/article/4100012/undated-r-tip.html', title: 'A quick R tip' }
+  ], FIRST_RUN);
+
+  assert.deepStrictEqual(added, [OLD_URL, 'https://www.infoworld.com/article/4100012/undated-r-tip.html']);
+  assert.deepStrictEqual(updated, []);
+  const [undated, tidy] = archive.articles;
+  assert.strictEqual(tidy.guid, 'tag:infoworld.com,2024:article/4100001');
+  assert.strictEqual(tidy.pubDate, '2025-01-14T00:00:00.000Z');
+  // No date on the page: pinned to first seen
+  assert.strictEqual(undated.pubDate, FIRST_RUN.toISOString());
+  assert.strictEqual(undated.firstSeen, FIRST_RUN.toISOString());
+});
+
+test('a new slug for the same article ID moves the entry and keeps its GUID and pubDate', () => {
+  const { archive, added, updated } = mergeArticles(firstRun(), [
+    { url: NEW_URL, title: 'Tidy data tricks every R user should know', pubDate: '2025-01-20T10:00:00Z' }
+  ], SECOND_RUN);
+
+  assert.deepStrictEqual(added, []);
+  assert.deepStrictEqual(updated, [NEW_URL]);
+  assert.strictEqual(archive.articles.length, 1);
+  const [entry] = archive.articles;
+  assert.strictEqual(entry.url, NEW_URL);
+  assert.deepStrictEqual(entry.aliases, [OLD_URL]);
+  assert.strictEqual(entry.guid, 'tag:infoworld.com,2024:article/4100001');
+  assert.strictEqual(entry.pubDate, '2025-01-14T10:00:00.000Z');
+  assert.strictEqual(entry.firstSeen, FIRST_RUN.toISOString());
+  assert.strictEqual(entry.lastSeen, SECOND_RUN.toISOString());
+  assert.deepStrictEqual(entry.updates, [
+    { at: SECOND_RUN.toISOString(), field: 'url', from: OLD_URL, to: NEW_URL },
+    { at: SECOND_RUN.toISOString(), field: 'title', from: 'Tidy data tricks for R users', to: 'Tidy data tricks every R user should know' }
+  ]);
+});
+
+test('tracking parameters and a retitle without a new slug are not a move', () => {
+  const { archive, updated } = mergeArticles(firstRun(), [
+    { url: `${OLD_URL}?utm_source=newsletter`, title: 'Tidy data tricks every R user should know' }
+  ], SECOND_RUN);
+
+  const [entry] = archive.articles;
+  assert.deepStrictEqual(updated, [entry.url]);
+  assert.deepStrictEqual(entry.updates.map(update => update.field), ['title']);
+  assert.strictEqual(entry.guid, 'tag:infoworld.com,2024:article/4100001');
+});
+
+test('placeholder titles never replace a real one and are not recorded as changes', () => {
+  const { archive, updated } = mergeArticles(firstRun(), [{ url: OLD_URL, title: 'Untitled Article' }], SECOND_RUN);
+  assert.strictEqual(archive.articles[0].title, 'Tidy data tricks for R users');
+  assert.deepStrictEqual(updated, []);
+});
+
+test('entries stored before GUIDs were keep their URL as GUID', () => {
+  const legacy = { articles: [{ url: OLD_URL, title: 'Tidy data tricks for R users', pubDate: '2025-01-14T10:00:00.000Z', firstSeen: FIRST_RUN.toISOString() }] };
+  const { archive } = mergeArticles(legacy, [{ url: NEW_URL, title: 'Tidy data tricks for R users' }], SECOND_RUN);
+  assert.strictEqual(archive.articles[0].guid, OLD_URL);
+});
+
+test('articles already in the published feed keep that feed\'s GUIDs', async () => {
+  const items = await readFeedItems(path.join(__dirname, 'fixtures', 'feeds', 'feed.xml'));
+  const guids = publishedGuids(items);
+  const { archive } = mergeArticles({ articles: [] }, [
+    { url: `${NEW_URL}?utm_source=rss`, title: 'Tidy data tricks for R users' },
+    { url: 'https://www.infoworld.com/article/4100011/duckdb-from-r.html', title: 'Query DuckDB from R' }
+  ], FIRST_RUN, guids);
+
+  const byId = id => archive.articles.find(a => a.url.includes(`/article/${id}/`));
+  assert.strictEqual(byId('4100001').guid, OLD_URL);
+  assert.strictEqual(byId('4100011').guid, 'tag:infoworld.com,2024:article/4100011');
+});
+
+test('loadArchive starts an empty archive on the first run and saveArchive writes it back', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-archive-'));
+  try {
+    const archivePath = path.join(dir, 'data', 'sharon-machlis.json');
+    const empty = await loadArchive(archivePath);
+    assert.deepStrictEqual(empty, { version: 1, updatedAt: null, articles: [] });
+    assert.ok(!fs.existsSync(path.join(dir, 'data')));
+
+    // saveArchive creates the data directory
+    const { archive } = mergeArticles(empty, [{ url: OLD_URL, title: 'Tidy data tricks for R users' }], FIRST_RUN);
+    await saveArchive(archivePath, archive);
+    assert.ok(fs.readFileSync(archivePath, 'utf8').endsWith('}\n'));
+    assert.deepStrictEqual(await loadArchive(archivePath), archive);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('loadArchive refuses a file without an articles array or that isn\'t JSON', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-archive-'));
+  try {
+    const archivePath = path.join(dir, 'archive.json');
+    fs.writeFileSync(archivePath, JSON.stringify({ version: 1, items: [] }));
+    await assert.rejects(loadArchive(archivePath), { message: `Archive ${archivePath} has no "articles" array` });
+
+    fs.writeFileSync(archivePath, '{"version": 1, "articles": [');
+    await assert.rejects(loadArchive(archivePath), SyntaxError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
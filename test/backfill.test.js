@@ -0,0 +1,163 @@
+// test/backfill.test.js - Sitemap backfill against a locally served copy of a site
+//
+// The server fills {{origin}} in the sitemap fixtures with its own address and
+// gzips sitemap-2024.xml on the fly, the way sites serve .xml.gz sitemaps.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { backfillFeed, backfillStatePathFor } = require('../lib/backfill');
+const { normalizeFeed } = require('../lib/config');
+const { loadArchive } = require('../lib/archive');
+const { createLogger } = require('../lib/logger');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'backfill');
+
+let server;
+let origin;
+let dir;
+const requests = [];
+// Replacement bodies by path, for sitemaps that change between runs
+const overrides = {};
+
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8').replace(/\{\{origin\}\}/g, origin);
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const article = req.url.match(/^\/article\/(\d+)\//);
+    let body;
+    let type = 'application/xml';
+    if (overrides[req.url]) {
+      body = overrides[req.url];
+    } else if (req.url === '/sitemap.xml' || req.url === '/sitemap-2025.xml') {
+      body = fixture(req.url.slice(1));
+    } else if (req.url === '/sitemap-2024.xml.gz') {
+      body = zlib.gzipSync(fixture('sitemap-2024.xml'));
+      type = 'application/gzip';
+    } else if (article && fs.existsSync(path.join(FIXTURES, `article-${article[1]}.html`))) {
+      body = fixture(`article-${article[1]}.html`);
+      type = 'text/html; charset=utf-8';
+    }
+    if (!body) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-backfill-'));
+  requests.length = 0;
+  Object.keys(overrides).forEach(key => delete overrides[key]);
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function siteFeed() {
+  return normalizeFeed({
+    author: 'Sharon Machlis',
+    profileUrl: `${origin}/profile/sharon-machlis/`,
+    archive: path.join(dir, 'data', 'sharon-machlis.json'),
+    backfill: { delay: 0, retries: 0 }
+  });
+}
+
+const quiet = (options = {}) => ({ logger: createLogger({ print: false, collect: true }), ...options });
+const articleRequests = () => requests.filter(url => url.startsWith('/article/'));
+const archivedIds = async (feed) => (await loadArchive(feed.archive)).articles.map(a => a.url.match(/\/article\/(\d+)\//)[1]).sort();
+
+test('reads plain and gzipped sitemaps and archives the author\'s dated articles', async () => {
+  const feed = siteFeed();
+  const result = await backfillFeed(feed, quiet());
+
+  assert.deepStrictEqual(result, {
+    sitemaps: 3, candidates: 4, checked: 4, confirmed: 2, otherAuthor: 1, undated: 1, failed: 0, added: 2, complete: true
+  });
+  assert.deepStrictEqual(await archivedIds(feed), ['101', '104']);
+
+  const archive = await loadArchive(feed.archive);
+  const ggplot = archive.articles.find(a => a.url.includes('/article/101/'));
+  assert.strictEqual(ggplot.title, 'Make your own ggplot2 themes');
+  assert.strictEqual(ggplot.pubDate, '2024-03-05T10:00:00.000Z');
+  // Confirmed from the visible byline, since the page's metadata names nobody
+  const duckdb = archive.articles.find(a => a.url.includes('/article/104/'));
+  assert.deepStrictEqual(duckdb.authors, ['Sharon Machlis']);
+
+  const state = JSON.parse(fs.readFileSync(backfillStatePathFor(feed.archive), 'utf8'));
+  assert.deepStrictEqual(Object.values(state.checked).sort(), ['confirmed', 'confirmed', 'other-author', 'undated']);
+  assert.strictEqual(state.sitemaps[`${origin}/sitemap-2024.xml.gz`].lastmod, '2024-12-31T23:00:00Z');
+});
+
+test('picks up where the last run stopped', async () => {
+  const feed = siteFeed();
+  const first = await backfillFeed(feed, quiet({ maxChecks: 3 }));
+  assert.strictEqual(first.checked, 3);
+  assert.strictEqual(first.complete, false);
+
+  const second = await backfillFeed(feed, quiet({ maxChecks: 3 }));
+  assert.strictEqual(second.checked, 1);
+  assert.strictEqual(second.complete, true);
+
+  // Every article page was opened exactly once across the two runs
+  assert.deepStrictEqual(articleRequests().sort(), [
+    '/article/101/ggplot2-themes.html',
+    '/article/102/java-virtual-threads.html',
+    '/article/103/undated-r-tip.html',
+    '/article/104/duckdb-from-r.html'
+  ]);
+  assert.deepStrictEqual(await archivedIds(feed), ['101', '104']);
+});
+
+test('skips finished sitemaps until their lastmod changes, and rereads ones without a lastmod', async () => {
+  const feed = siteFeed();
+  await backfillFeed(feed, quiet());
+  requests.length = 0;
+
+  // A new URL in the sitemap whose index entry has no lastmod. The gzipped one
+  // is unchanged and skipped. The page 404s, which still counts as checked.
+  overrides['/sitemap-2025.xml'] = fixture('sitemap-2025.xml').replace('</urlset>',
+    `  <url><loc>${origin}/article/105/more-duckdb.html</loc></url>\n</urlset>`);
+  const rerun = await backfillFeed(feed, quiet());
+  assert.deepStrictEqual(requests, ['/sitemap.xml', '/sitemap-2025.xml', '/article/105/more-duckdb.html']);
+  assert.strictEqual(rerun.candidates, 1);
+  assert.strictEqual(rerun.failed, 1);
+  assert.strictEqual(rerun.complete, true);
+
+  // A new lastmod in the index sends the run back into the gzipped sitemap
+  requests.length = 0;
+  overrides['/sitemap.xml'] = fixture('sitemap.xml').replace('2024-12-31T23:00:00Z', '2025-01-15T08:00:00Z');
+  await backfillFeed(feed, quiet());
+  assert.ok(requests.includes('/sitemap-2024.xml.gz'));
+  assert.deepStrictEqual(articleRequests(), []);
+});
+
+test('skips sitemaps and URLs last modified before "since"', async () => {
+  const feed = { ...siteFeed(), backfill: { delay: 0, retries: 0, since: '2025-01-01' } };
+  const result = await backfillFeed(feed, quiet());
+
+  assert.ok(!requests.includes('/sitemap-2024.xml.gz'));
+  assert.deepStrictEqual(articleRequests(), ['/article/104/duckdb-from-r.html']);
+  assert.strictEqual(result.confirmed, 1);
+});
+
+test('a dry run checks the pages but writes nothing', async () => {
+  const feed = siteFeed();
+  const result = await backfillFeed(feed, quiet({ dryRun: true }));
+
+  assert.strictEqual(result.confirmed, 2);
+  assert.strictEqual(result.added, 0);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
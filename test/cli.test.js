@@ -0,0 +1,46 @@
+// test/cli.test.js - Command-line option parsing
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCliArgs } = require('../lib/cli');
+const { DEFAULT_SERVER } = require('../lib/server');
+const { DEFAULT_MAX_ARTICLES } = require('../lib/scrape');
+
+test('numeric options default when not given', () => {
+  const options = parseCliArgs([]);
+  assert.deepStrictEqual([options.maxArticles, options.maxPages, options.maxChecks, options.port], [
+    DEFAULT_MAX_ARTICLES, 0, 0, DEFAULT_SERVER.port
+  ]);
+});
+
+test('numeric options take whole numbers', () => {
+  const options = parseCliArgs(['-n', '5', '--max-pages', '3', '--max-checks', '40', '--port', '0']);
+  assert.deepStrictEqual([options.maxArticles, options.maxPages, options.maxChecks, options.port], [5, 3, 40, 0]);
+  assert.strictEqual(parseCliArgs(['--max-items=12']).maxArticles, 12);
+});
+
+test('numeric options refuse trailing junk, fractions, blanks and out-of-range values', () => {
+  [
+    [['--max-items', '5abc'], '--max-items must be a positive integer (got "5abc")'],
+    [['--max-items', '2.5'], '--max-items must be a positive integer (got "2.5")'],
+    [['--max-items', '0'], '--max-items must be a positive integer (got "0")'],
+    [['--max-items', ''], '--max-items must be a positive integer (got "")'],
+    [['--max-pages', '3 pages'], '--max-pages must be a positive integer (got "3 pages")'],
+    [['--max-pages=-1'], '--max-pages must be a positive integer (got "-1")'],
+    [['--max-checks', '1e'], '--max-checks must be a positive integer (got "1e")'],
+    [['--port', '8080abc'], '--port must be a port number (got "8080abc")'],
+    [['--port', ' '], '--port must be a port number (got " ")'],
+    [['--port', '70000'], '--port must be a port number (got "70000")']
+  ].forEach(([argv, message]) => assert.throws(() => parseCliArgs(argv), { message }, argv.join(' ')));
+});
+
+test('other options are checked against what the tool supports', () => {
+  assert.deepStrictEqual(parseCliArgs(['--format', 'RSS, json']).formats, ['rss', 'json']);
+  assert.throws(() => parseCliArgs(['--format', 'rss,opml']), { message: /^Unknown format\(s\): opml/ });
+  assert.throws(() => parseCliArgs(['--strategy', 'curl']), { message: /^Unknown strategy "curl"/ });
+  assert.throws(() => parseCliArgs(['--log-format', 'xml']), { message: /^Unknown log format "xml"/ });
+  assert.throws(() => parseCliArgs(['--from-html', 'profile.html', '-u', 'https://a.test/', '-u', 'https://b.test/']), {
+    message: '--from-html works with a single profile URL'
+  });
+  assert.throws(() => parseCliArgs(['--max-itmes', '5']), { code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION' });
+});
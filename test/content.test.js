@@ -0,0 +1,61 @@
+// test/content.test.js - Full-text extraction: what survives sanitizing, and the size limits
+//
+// The output goes into content:encoded, so anything that can run script or
+// load from a data: URL has to be gone.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractArticleContent } = require('../lib/content');
+
+const URL = 'https://www.infoworld.com/article/4100011/duckdb-from-r.html';
+const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'article-full.html'), 'utf8');
+const CONTINUE = `<p><a href="${URL}">Continue reading on the original site</a></p>`;
+
+test('keeps the article body as clean paragraphs with absolute links', () => {
+  const content = extractArticleContent(html, URL);
+  assert.deepStrictEqual(content.split('\n'), [
+    '<p>DuckDB is an in-process SQL database that reads Parquet and CSV files directly, which makes it a good fit for <strong>R users</strong> who work with <em>larger-than-memory</em> data.</p>',
+    '<p>Install it with <code>install.packages("duckdb")</code> and read the <a href="https://www.infoworld.com/article/4100020/duckdb-basics.html">basics article</a> first, or the interactive tutorial.</p>',
+    '<figure><img src="https://www.infoworld.com/images/duckdb-chart.png" alt="Query times"><figcaption>Query times by file size</figcaption></figure>',
+    '<p>Connect with a data URL and <a href="https://duckdb.org/docs/api/r">the R API docs</a>.</p>',
+    '<p>Third paragraph: dbplyr translates dplyr verbs to SQL, so most existing code runs against DuckDB tables unchanged.</p>',
+    '<p>Fourth paragraph: collect() brings results back into R as a regular data frame when you need them.</p>'
+  ]);
+});
+
+test('drops scripts, iframes, event handlers and javascript:/data: URLs', () => {
+  const content = extractArticleContent(html, URL);
+  assert.doesNotMatch(content, /<script|<iframe|injected/);
+  assert.doesNotMatch(content, /\son\w+=|style=|target=/);
+  assert.doesNotMatch(content, /javascript:|data:/);
+  // The link text stays when the link goes
+  assert.match(content, /or the interactive tutorial\./);
+});
+
+test('leaves out ads, newsletter prompts, related links and the author bio', () => {
+  const content = extractArticleContent(html, URL);
+  assert.doesNotMatch(content, /Advertisement|newsletter|Related:|Director of Editorial/);
+});
+
+test('maxParagraphs cuts the body and links to the original', () => {
+  const lines = extractArticleContent(html, URL, { maxParagraphs: 2 }).split('\n');
+  assert.strictEqual(lines.length, 3);
+  assert.match(lines[1], /^<p>Install it with/);
+  assert.strictEqual(lines[2], CONTINUE);
+});
+
+test('maxBytes stops before the block that would go over the limit', () => {
+  const content = extractArticleContent(html, URL, { maxBytes: 600 });
+  const lines = content.split('\n');
+  assert.strictEqual(lines[lines.length - 1], CONTINUE);
+  assert.ok(Buffer.byteLength(lines.slice(0, -1).join('\n')) <= 600);
+  assert.match(lines[lines.length - 2], /^<figure>/);
+  // Nothing appended when the whole body fits
+  assert.ok(!extractArticleContent(html, URL, { maxBytes: 20000 }).includes('Continue reading'));
+});
+
+test('returns nothing when there is no body with enough text', () => {
+  assert.strictEqual(extractArticleContent('<html><body><div class="article-body"><p>Too short.</p></div></body></html>', URL), '');
+});
@@ -0,0 +1,108 @@
+// test/enrich.test.js - Article page metadata from saved article pages
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractArticleMetadata, enrichArticles } = require('../lib/enrich');
+const { parseArticleDate } = require('../lib/dates');
+const { createLogger } = require('../lib/logger');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const PAGES = {
+  'https://www.infoworld.com/article/4100001/tidy-data-tricks-for-r-users.html': fixture('article-jsonld.html'),
+  'https://www.infoworld.com/article/4100002/build-a-shiny-dashboard-with-bslib.html': fixture('article-opengraph.html'),
+  'https://www.infoworld.com/article/4100003/whats-new-in-quarto.html': fixture('article-meta.html')
+};
+const [JSONLD_URL, OPENGRAPH_URL, META_URL] = Object.keys(PAGES);
+
+// Serves the saved pages; anything else fails like a 404 would
+async function fetchHtml(url) {
+  if (!PAGES[url]) throw new Error(`HTTP 404 for ${url}`);
+  return PAGES[url];
+}
+
+const listing = (url, extra = {}) => ({
+  title: 'Article',
+  url,
+  categories: ['Listing Tag'],
+  description: '',
+  pubDate: '',
+  author: 'Sharon Machlis',
+  image: null,
+  ...extra
+});
+
+test('reads JSON-LD first, skipping malformed blocks and finding articles in @graph', () => {
+  const metadata = extractArticleMetadata(PAGES[JSONLD_URL], JSONLD_URL);
+  assert.strictEqual(metadata.headline, 'Tidy data tricks for R users');
+  assert.match(metadata.description, /^Five tidyverse functions/);
+  assert.strictEqual(metadata.datePublished, '2025-01-14T05:00:00-05:00');
+  assert.strictEqual(metadata.dateModified, '2025-01-15T09:30:00-05:00');
+  assert.deepStrictEqual(metadata.authors, ['Sharon Machlis']);
+  assert.strictEqual(metadata.section, 'R Language');
+  assert.deepStrictEqual(metadata.categories, ['R Language', 'Analytics', 'Data Science']);
+  assert.strictEqual(metadata.canonicalUrl, JSONLD_URL);
+  assert.deepStrictEqual(metadata.image, { url: 'https://images.infoworld.com/tidy-data.jpg', width: 1200, height: 800 });
+});
+
+test('falls back to OpenGraph and article:* properties', () => {
+  const metadata = extractArticleMetadata(PAGES[OPENGRAPH_URL], OPENGRAPH_URL);
+  assert.strictEqual(metadata.headline, 'Build a Shiny dashboard with bslib');
+  assert.strictEqual(metadata.datePublished, '2025-01-07T10:00:00Z');
+  assert.strictEqual(metadata.dateModified, '2025-01-08T12:00:00Z');
+  // article:author is a profile URL here, so the name comes from <meta name="author">
+  assert.deepStrictEqual(metadata.authors, ['Sharon Machlis']);
+  assert.deepStrictEqual(metadata.categories, ['R Language', 'Shiny']);
+  assert.strictEqual(metadata.canonicalUrl, OPENGRAPH_URL);
+  assert.deepStrictEqual(metadata.image, {
+    url: 'https://www.infoworld.com/images/shiny-dashboard.png',
+    width: 1240,
+    height: 700,
+    type: 'image/png'
+  });
+});
+
+test('falls back to plain meta tags and <title>', () => {
+  const metadata = extractArticleMetadata(PAGES[META_URL], META_URL);
+  assert.strictEqual(metadata.headline, 'What\'s new in Quarto');
+  assert.strictEqual(metadata.description, 'Quarto adds dashboards, typst output and a faster preview server.');
+  assert.strictEqual(metadata.datePublished, 'Dec 2, 2024');
+  assert.deepStrictEqual(metadata.authors, ['Sharon Machlis']);
+  assert.strictEqual(metadata.canonicalUrl, META_URL);
+  assert.strictEqual(metadata.image, null);
+});
+
+test('parses every date shape the article pages use', () => {
+  const dates = Object.entries(PAGES).map(([url, html]) => parseArticleDate(extractArticleMetadata(html, url).datePublished));
+  assert.deepStrictEqual(dates.map(date => date.toISOString()), [
+    '2025-01-14T10:00:00.000Z',
+    '2025-01-07T10:00:00.000Z',
+    '2024-12-02T00:00:00.000Z'
+  ]);
+  assert.strictEqual(parseArticleDate('not a date'), null);
+  assert.strictEqual(parseArticleDate(''), null);
+});
+
+test('enrichArticles overlays page metadata on the listing values', async () => {
+  const logger = createLogger({ print: false, collect: true });
+  const [enriched] = await enrichArticles([listing(JSONLD_URL)], { fetchHtml, delay: 0, logger });
+  assert.strictEqual(enriched.title, 'Tidy data tricks for R users');
+  assert.strictEqual(enriched.pubDate, '2025-01-14T05:00:00-05:00');
+  assert.strictEqual(enriched.author, 'Sharon Machlis');
+  assert.deepStrictEqual(enriched.categories, ['R Language', 'Analytics', 'Data Science', 'Listing Tag']);
+  assert.ok(enriched.enrichedAt);
+  assert.deepStrictEqual(logger.warnings, []);
+});
+
+test('enrichArticles keeps an article unchanged when its page can\'t be fetched', async () => {
+  const logger = createLogger({ print: false, collect: true });
+  const missing = listing('https://www.infoworld.com/article/4199999/gone.html', { title: 'Gone but listed', pubDate: 'Jan 3, 2025' });
+  const result = await enrichArticles([missing, listing(META_URL)], { fetchHtml, delay: 0, logger });
+  assert.strictEqual(result.length, 2);
+  assert.strictEqual(result[0], missing);
+  assert.strictEqual(result[1].title, 'What\'s new in Quarto');
+  assert.strictEqual(logger.warnings.length, 1);
+  assert.match(logger.warnings[0], /Could not enrich .*gone\.html: HTTP 404/);
+});
@@ -0,0 +1,103 @@
+// test/extract.test.js - Profile page extraction against a saved InfoWorld page
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractPageFromHtml, extractFromHtml, authorNamePattern } = require('../lib/extract');
+const { adapterFor } = require('../lib/config');
+
+const PROFILE_URL = 'https://www.infoworld.com/profile/sharon-machlis/';
+const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'infoworld-profile.html'), 'utf8');
+
+const extractOptions = (extra = {}) => ({
+  authorName: 'Sharon Machlis',
+  authorPattern: authorNamePattern('Sharon Machlis'),
+  ...adapterFor(PROFILE_URL).listingOptions,
+  ...extra
+});
+
+const articleId = article => article.url.match(/\/article\/(\d+)\//)[1];
+
+test('keeps the author\'s own cards in page order', () => {
+  const { articles, next } = extractPageFromHtml(html, PROFILE_URL, extractOptions());
+  assert.deepStrictEqual(articles.map(articleId), ['4100001', '4100002', '4100003']);
+  assert.deepStrictEqual(next, { url: '', loadMore: false });
+
+  const [first] = articles;
+  assert.strictEqual(first.title, 'Tidy data tricks for R users');
+  assert.strictEqual(first.author, 'Sharon Machlis');
+  assert.strictEqual(first.pubDate, '2025-01-14T10:00:00Z');
+  assert.deepStrictEqual(first.categories, ['R Language']);
+  assert.match(first.description, /^Five tidyverse functions/);
+});
+
+test('skips trending, sidebar and footer links and other authors\' bylines', () => {
+  const stats = {};
+  const urls = extractFromHtml(html, PROFILE_URL, extractOptions({ stats })).map(a => a.url);
+  ['4100004', '4100005', '4100006', '4100007'].forEach(id => {
+    assert.ok(!urls.some(url => url.includes(`/article/${id}/`)), `article ${id} should be excluded`);
+  });
+  assert.deepStrictEqual(stats.exclusions, { 'excluded-section': 3, 'other-author': 1 });
+});
+
+test('strips the byline, date and reading time from metadata-prefixed titles', () => {
+  const articles = extractFromHtml(html, PROFILE_URL, extractOptions());
+  const shiny = articles.find(a => articleId(a) === '4100002');
+  assert.strictEqual(shiny.title, 'Build a Shiny dashboard with bslib');
+  assert.deepStrictEqual(shiny.categories, ['R Language']);
+});
+
+test('falls back to the URL slug when a title is nothing but metadata', () => {
+  const stats = {};
+  const articles = extractFromHtml(html, PROFILE_URL, extractOptions({ stats }));
+  const quarto = articles.find(a => articleId(a) === '4100003');
+  assert.strictEqual(quarto.title, 'Whats New In Quarto');
+  assert.strictEqual(quarto.description, '');
+  assert.deepStrictEqual(stats.titles, { heading: 2, 'url-slug': 1 });
+});
+
+test('skips the publisher\'s own promo sections by phrase', () => {
+  const promo = html.replace(
+    '<section class="trending-now">',
+    '<div class="promo"><p>Also on InfoWorld</p><a href="https://www.infoworld.com/article/4100008/promo.html">Promo</a></div>\n    <section class="trending-now">'
+  );
+  const stats = {};
+  const urls = extractFromHtml(promo, PROFILE_URL, extractOptions({ stats })).map(a => a.url);
+  assert.ok(!urls.some(url => url.includes('/article/4100008/')));
+  assert.strictEqual(stats.exclusions['skip-phrase'], 1);
+});
+
+test('only keeps links on the profile\'s own site', () => {
+  const syndicated = html.replace(
+    'https://www.infoworld.com/article/4100003/',
+    'https://www.computerworld.com/article/4100003/'
+  );
+  const stats = {};
+  const urls = extractFromHtml(syndicated, PROFILE_URL, extractOptions({ stats })).map(a => a.url);
+  assert.strictEqual(urls.length, 2);
+  assert.strictEqual(stats.exclusions['other-site'], 1);
+});
+
+test('each publisher adapter lists only its own site\'s articles', () => {
+  const syndicated = html.replace(
+    'https://www.infoworld.com/article/4100003/',
+    'https://www.computerworld.com/article/4100003/'
+  );
+  const options = { authorName: 'Sharon Machlis', authorPattern: authorNamePattern('Sharon Machlis') };
+  const infoworld = adapterFor(PROFILE_URL).listArticles(syndicated, PROFILE_URL, options);
+  const computerworld = adapterFor('https://www.computerworld.com/profile/sharon-machlis/')
+    .listArticles(syndicated, 'https://www.computerworld.com/profile/sharon-machlis/', options);
+  assert.deepStrictEqual(infoworld.articles.map(articleId), ['4100001', '4100002']);
+  assert.deepStrictEqual(computerworld.articles.map(articleId), ['4100003']);
+});
+
+test('debug messages go to options.log instead of the console', (t) => {
+  const consoleLog = t.mock.method(console, 'log');
+  const messages = [];
+  extractFromHtml(html, PROFILE_URL, extractOptions({ debugMode: true, log: (level, message) => messages.push([level, message]) }));
+
+  assert.strictEqual(consoleLog.mock.callCount(), 0);
+  assert.ok(messages.every(([level]) => level === 'info'));
+  assert.ok(messages.some(([, message]) => message === 'Skipping article with different author: https://www.infoworld.com/article/4100004/kubernetes-cost-controls.html'));
+});
@@ -0,0 +1,81 @@
+// test/feed.test.js - One feed model serialized as RSS, Atom and JSON Feed
+//
+// The expected output is checked in under test/fixtures/feeds/golden.*, so a
+// change to any serializer shows up as a diff against a file a reader can open.
+// The articles cover escaping (&, <, quotes, "]]>"), a legacy GUID that isn't
+// the URL, a recorded slug change, an image enclosure and a full-text body.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildFeedModel, renderFeeds } = require('../lib/feed');
+const { normalizeFeed } = require('../lib/config');
+const { validateRSS } = require('../lib/validate');
+
+const GOLDEN = path.join(__dirname, 'fixtures', 'feeds');
+
+const feed = normalizeFeed({
+  author: 'Sharon Machlis',
+  profileUrl: 'https://www.infoworld.com/profile/sharon-machlis/',
+  feedUrl: 'https://feeds.sharon-machlis.test/golden.xml',
+  output: 'golden.xml',
+  archive: path.join('data', 'golden.json'),
+  formats: ['rss', 'atom', 'json'],
+  websub: { hubs: ['https://pubsubhubbub.appspot.com/'] },
+  images: { enclosure: true },
+  fullContent: { enabled: true }
+});
+
+const articles = [
+  {
+    url: 'https://www.infoworld.com/article/4100001/r-and-python-data.html',
+    guid: 'https://www.infoworld.com/article/4100001/r-and-python-data.html',
+    title: 'R & Python: "<tidy>" data isn\'t hard',
+    description: 'Why "tidy" beats <messy>, & how a stray ]]> is handled.',
+    content: '<p>Tidy data has one row per observation &amp; one column per variable.</p>\n<p>Even a stray ]]> stays inside the section.</p>',
+    categories: ['R', 'Data & Analytics'],
+    image: { url: '/images/tidy.png', width: 1200, height: 630, length: 48213 },
+    pubDate: '2025-01-14T10:00:00.000Z',
+    firstSeen: '2025-01-15T06:00:00.000Z'
+  },
+  {
+    url: 'https://www.infoworld.com/article/4100002/shiny-dashboards-bslib.html',
+    guid: 'https://www.infoworld.com/article/4100002/shiny-dashboards.html',
+    title: 'Build Shiny dashboards with bslib',
+    description: '',
+    pubDate: '2024-12-31T23:30:00.000Z',
+    firstSeen: '2025-01-02T06:00:00.000Z',
+    updates: [{ at: '2025-01-20T08:15:00.000Z', url: 'https://www.infoworld.com/article/4100002/shiny-dashboards.html' }]
+  }
+];
+
+const model = buildFeedModel(articles, feed, new Date('2025-02-01T12:00:00.000Z'));
+const outputs = renderFeeds(model, feed);
+
+test('renders the RSS, Atom and JSON feeds for the same model', () => {
+  assert.deepStrictEqual(outputs.map(output => [output.format, output.path]), [
+    ['rss', 'golden.xml'],
+    ['atom', 'golden.atom'],
+    ['json', 'golden.json']
+  ]);
+});
+
+outputs.forEach(output => {
+  test(`${output.format} output matches ${output.path}`, () => {
+    assert.strictEqual(output.content, fs.readFileSync(path.join(GOLDEN, output.path), 'utf8'));
+  });
+});
+
+test('the RSS golden file uses RFC 822 dates and the others RFC 3339', () => {
+  const [rss, atom, json] = outputs.map(output => output.content);
+  assert.match(rss, /<pubDate>Tue, 14 Jan 2025 10:00:00 GMT<\/pubDate>/);
+  assert.match(rss, /<pubDate>Tue, 31 Dec 2024 23:30:00 GMT<\/pubDate>/);
+  assert.match(atom, /<published>2025-01-14T10:00:00.000Z<\/published>/);
+  assert.match(atom, /<updated>2025-01-20T08:15:00.000Z<\/updated>/);
+  assert.strictEqual(JSON.parse(json).items[1].date_modified, '2025-01-20T08:15:00.000Z');
+});
+
+test('the RSS golden file passes the publishing checks', () => {
+  assert.deepStrictEqual(validateRSS(outputs[0].content, { feedUrl: feed.feedUrl }), { valid: true, errors: [], warnings: [] });
+});
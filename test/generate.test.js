@@ -0,0 +1,166 @@
+// test/generate.test.js - Whole runs from saved profile pages into a temporary directory
+//
+// WebSub pings go to a local stand-in hub that records each form POST.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { generateFeedForAuthor } = require('../lib/generate');
+const { normalizeFeed } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+
+const FEED_URL = 'https://feeds.sharon-machlis.test/feed.xml';
+const profileHtml = fs.readFileSync(path.join(__dirname, 'fixtures', 'infoworld-profile.html'), 'utf8');
+
+let dir;
+let hub;
+let hubUrl;
+const pings = [];
+// Status codes for the hub to answer with, one per request, then 204
+const hubStatuses = [];
+
+test.before(async () => {
+  hub = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      pings.push({ method: req.method, contentType: req.headers['content-type'], form: Object.fromEntries(new URLSearchParams(body)) });
+      res.writeHead(hubStatuses.shift() || 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => hub.listen(0, '127.0.0.1', resolve));
+  hubUrl = `http://127.0.0.1:${hub.address().port}/`;
+});
+
+test.after(() => new Promise(resolve => hub.close(resolve)));
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-generate-'));
+  pings.length = 0;
+  hubStatuses.length = 0;
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function feedIn(directory, extra = {}) {
+  return normalizeFeed({
+    author: 'Sharon Machlis',
+    profileUrl: 'https://www.infoworld.com/profile/sharon-machlis/',
+    output: path.join(directory, 'feed.xml'),
+    archive: path.join(directory, 'data', 'sharon-machlis.json'),
+    enrich: false,
+    diagnostics: { artifactsDir: path.join(directory, 'artifacts') },
+    ...extra
+  });
+}
+
+function savedPage(html, name = 'profile.html') {
+  const htmlPath = path.join(dir, name);
+  fs.writeFileSync(htmlPath, html);
+  return htmlPath;
+}
+
+test('a dry run that finds nothing saves no diagnostics', async () => {
+  const logger = createLogger({ print: false, collect: true });
+  const result = await generateFeedForAuthor(feedIn(dir), {
+    maxArticles: 20,
+    fromHtml: savedPage('<html><body><p>Nothing to see</p></body></html>'),
+    dryRun: true,
+    logger
+  });
+
+  assert.strictEqual(result.status, 'empty');
+  assert.strictEqual(result.artifacts, '');
+  assert.deepStrictEqual(fs.readdirSync(dir), ['profile.html']);
+});
+
+test('the first run with an archive keeps the GUIDs of the feed already published', async () => {
+  const feed = feedIn(dir);
+  fs.copyFileSync(path.join(__dirname, 'fixtures', 'feeds', 'feed.xml'), feed.output);
+  const result = await generateFeedForAuthor(feed, {
+    maxArticles: 20,
+    fromHtml: savedPage(profileHtml),
+    logger: createLogger({ print: false, collect: true })
+  });
+
+  assert.strictEqual(result.status, 'ok');
+  assert.deepStrictEqual(result.report.added, []);
+  const guids = fs.readFileSync(feed.output, 'utf8').match(/<guid[^>]*>[^<]*<\/guid>/g);
+  assert.deepStrictEqual(guids, [
+    '<guid isPermaLink="true">https://www.infoworld.com/article/4100001/tidy-data-tricks.html</guid>',
+    '<guid isPermaLink="true">https://www.infoworld.com/article/4100002/shiny-dashboards-with-bslib.html</guid>',
+    '<guid isPermaLink="true">https://www.infoworld.com/article/4100003/whats-new-in-quarto.html</guid>'
+  ]);
+});
+
+// A feed publishing to the local hub, run from the saved profile page
+function hubFeed(extra = {}) {
+  return feedIn(dir, { feedUrl: FEED_URL, websub: { hubs: [hubUrl], retries: 2, retryDelay: 1 }, ...extra });
+}
+
+function run(feed, options = {}) {
+  return generateFeedForAuthor(feed, {
+    maxArticles: 20,
+    fromHtml: savedPage(profileHtml),
+    logger: createLogger({ print: false, collect: true }),
+    ...options
+  });
+}
+
+test('pings the hub with hub.mode=publish for every changed format', async () => {
+  const result = await run(hubFeed({ formats: ['rss', 'atom'] }));
+
+  assert.strictEqual(result.status, 'ok');
+  assert.ok(result.stats.added > 0);
+  assert.deepStrictEqual(pings, [
+    { method: 'POST', contentType: 'application/x-www-form-urlencoded', form: { 'hub.mode': 'publish', 'hub.url': FEED_URL } },
+    { method: 'POST', contentType: 'application/x-www-form-urlencoded', form: { 'hub.mode': 'publish', 'hub.url': 'https://feeds.sharon-machlis.test/feed.atom' } }
+  ]);
+  assert.match(fs.readFileSync(path.join(dir, 'feed.xml'), 'utf8'), new RegExp(`<atom:link href="${hubUrl}" rel="hub"`));
+});
+
+test('retries a ping the hub answers with a 5xx', async () => {
+  hubStatuses.push(503, 502);
+  const result = await run(hubFeed());
+
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(pings.length, 3);
+  assert.ok(pings.every(ping => ping.form['hub.url'] === FEED_URL));
+  assert.deepStrictEqual(result.errors, []);
+});
+
+test('does not ping when nothing changed or with noPing', async () => {
+  const feed = hubFeed();
+  await run(feed, { noPing: true });
+  assert.strictEqual(pings.length, 0);
+  assert.ok(fs.existsSync(path.join(dir, 'feed.xml')));
+
+  // Same page again: the feed is rewritten but its items are the same
+  const result = await run(feed);
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(result.stats.added, 0);
+  assert.strictEqual(pings.length, 0);
+});
+
+test('does not ping again for an undated article pinned to its first-seen time', async () => {
+  const feed = hubFeed();
+  const undated = profileHtml.replace('<time datetime="2025-01-14T10:00:00Z">Jan 14, 2025</time>', '');
+  await run(feed, { noPing: true, fromHtml: savedPage(undated, 'undated.html') });
+
+  const result = await run(feed, { fromHtml: savedPage(undated, 'undated.html') });
+  assert.strictEqual(result.status, 'ok');
+  assert.deepStrictEqual(result.report.changed, []);
+  assert.strictEqual(pings.length, 0);
+});
+
+test('a dry run logs the ping instead of sending it', async () => {
+  const result = await run(hubFeed(), { dryRun: true });
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(pings.length, 0);
+});
@@ -0,0 +1,128 @@
+// test/images.test.js - Lead image cleanup, checks and how images reach the RSS feed
+//
+// Image checks go to a local stand-in CDN whose answer depends on the path.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { normalizeImage, isTrackingPixel, checkImages } = require('../lib/images');
+const { buildFeedModel } = require('../lib/feed');
+const { generateRSS } = require('../lib/rss');
+const { normalizeFeed } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+
+const ARTICLE_URL = 'https://www.infoworld.com/article/4100001/tidy-data-tricks.html';
+
+let cdn;
+let cdnUrl;
+const requests = [];
+
+test.before(async () => {
+  cdn = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    const routes = {
+      '/photo.jpg': [200, { 'Content-Type': 'image/jpeg', 'Content-Length': '48213' }],
+      '/tiny.gif': [200, { 'Content-Type': 'image/gif', 'Content-Length': '43' }],
+      '/page.jpg': [200, { 'Content-Type': 'text/html; charset=utf-8' }],
+      '/no-head.png': req.method === 'HEAD' ? [405, {}] : [200, { 'Content-Type': 'image/png', 'Content-Length': '9000' }]
+    };
+    const [status, headers] = routes[req.url] || [404, {}];
+    res.writeHead(status, headers);
+    res.end();
+  });
+  await new Promise(resolve => cdn.listen(0, '127.0.0.1', resolve));
+  cdnUrl = `http://127.0.0.1:${cdn.address().port}`;
+});
+
+test.after(() => new Promise(resolve => cdn.close(resolve)));
+
+test('normalizeImage resolves relative URLs and fills in what it can', () => {
+  assert.deepStrictEqual(normalizeImage({ url: '/images/tidy.JPG', width: '1200', height: '630' }, ARTICLE_URL), {
+    url: 'https://www.infoworld.com/images/tidy.JPG',
+    width: 1200,
+    height: 630,
+    type: 'image/jpeg',
+    length: 0
+  });
+  assert.strictEqual(normalizeImage({ url: 'https://www.infoworld.com/images/tidy' }, ARTICLE_URL).type, '');
+});
+
+test('normalizeImage drops data: URIs, broken images and tracking pixels', () => {
+  assert.strictEqual(normalizeImage({ url: 'data:image/gif;base64,R0lGODlhAQABAAAAACw=' }, ARTICLE_URL), null);
+  assert.strictEqual(normalizeImage({ url: 'https://www.infoworld.com/images/tidy.png', broken: 'HTTP 404' }, ARTICLE_URL), null);
+  assert.strictEqual(normalizeImage({ url: '' }, ARTICLE_URL), null);
+  assert.strictEqual(normalizeImage(null, ARTICLE_URL), null);
+
+  [
+    { url: 'https://www.infoworld.com/images/spacer.gif' },
+    { url: 'https://www.facebook.com/tr?id=1&ev=PageView' },
+    { url: 'https://ad.doubleclick.net/ddm/activity/src=1' },
+    { url: 'https://cdn.test/beacon?id=1' },
+    { url: 'https://www.infoworld.com/images/tidy.png', width: 1, height: 1 },
+    { url: 'https://www.infoworld.com/images/tidy.png', length: 43 }
+  ].forEach(image => assert.strictEqual(normalizeImage(image, ARTICLE_URL), null, image.url));
+
+  // Unknown sizes (0) aren't held against an image
+  assert.strictEqual(isTrackingPixel({ url: 'https://www.infoworld.com/images/tidy.png', width: 0, height: 0, length: 0 }), false);
+});
+
+test('checkImages records type and size, and marks images that aren\'t usable', async () => {
+  const articles = ['/photo.jpg', '/tiny.gif', '/page.jpg', '/missing.jpg', '/no-head.png'].map((imagePath, index) => ({
+    url: `https://www.infoworld.com/article/410000${index + 1}/article.html`,
+    image: { url: cdnUrl + imagePath }
+  }));
+  articles.push({ url: ARTICLE_URL, image: { url: 'data:image/png;base64,AAAA' } });
+  const checked = { url: `${cdnUrl}/photo.jpg`, type: 'image/jpeg', checkedAt: '2025-01-01T00:00:00.000Z' };
+  articles.push({ url: ARTICLE_URL, image: checked });
+  requests.length = 0;
+
+  const dropped = await checkImages(articles, { logger: createLogger({ print: false, collect: true }) });
+
+  assert.strictEqual(dropped, 4);
+  assert.deepStrictEqual(articles.slice(0, 6).map(article => article.image.broken || `${article.image.type} ${article.image.length}`), [
+    'image/jpeg 48213',
+    'tracking pixel (43 bytes)',
+    'not an image (text/html)',
+    'HTTP 404',
+    'image/png 9000',
+    'not a usable image URL'
+  ]);
+  assert.ok(articles.slice(0, 6).every(article => article.image.checkedAt));
+  // Already checked images aren't requested again; HEAD falls back to GET on 405
+  assert.strictEqual(articles[6].image, checked);
+  assert.deepStrictEqual(requests, [
+    'HEAD /photo.jpg', 'HEAD /tiny.gif', 'HEAD /page.jpg', 'HEAD /missing.jpg', 'HEAD /no-head.png', 'GET /no-head.png'
+  ]);
+});
+
+test('checkImages stops at maxChecksPerRun', async () => {
+  const articles = [1, 2, 3].map(n => ({ url: ARTICLE_URL, image: { url: `${cdnUrl}/photo.jpg?n=${n}` } }));
+  await checkImages(articles, { maxChecksPerRun: 2, logger: createLogger({ print: false, collect: true }) });
+  assert.deepStrictEqual(articles.map(article => Boolean(article.image.checkedAt)), [true, true, false]);
+});
+
+test('the RSS feed carries the image as media:content, and as an enclosure when asked', () => {
+  const articles = [
+    { url: ARTICLE_URL, title: 'Tidy data tricks for R users', pubDate: '2025-01-14T10:00:00.000Z', image: { url: '/images/tidy.png', width: 1200, height: 630, length: 48213 } },
+    { url: 'https://www.infoworld.com/article/4100002/shiny.html', title: 'Shiny dashboards', pubDate: '2025-01-07T10:00:00.000Z', image: { url: 'https://www.infoworld.com/images/pixel.gif' } },
+    { url: 'https://www.infoworld.com/article/4100003/quarto.html', title: 'Quarto', pubDate: '2024-12-02T10:00:00.000Z', image: { url: 'https://www.infoworld.com/images/quarto' } }
+  ];
+  const rss = images => generateRSS(buildFeedModel(articles, normalizeFeed({
+    author: 'Sharon Machlis',
+    profileUrl: 'https://www.infoworld.com/profile/sharon-machlis/',
+    images
+  }), new Date('2025-02-01T12:00:00.000Z')));
+  const media = xml => xml.match(/<(media:content|media:thumbnail|enclosure) [^>]*\/>/g);
+
+  assert.deepStrictEqual(media(rss({})), [
+    '<media:content url="https://www.infoworld.com/images/tidy.png" medium="image" type="image/png" width="1200" height="630" />',
+    '<media:thumbnail url="https://www.infoworld.com/images/tidy.png" width="1200" height="630" />',
+    '<media:content url="https://www.infoworld.com/images/quarto" medium="image" />',
+    '<media:thumbnail url="https://www.infoworld.com/images/quarto" />'
+  ]);
+  // An enclosure needs a type, so the extensionless image doesn't get one
+  assert.deepStrictEqual(media(rss({ enclosure: true })).filter(element => element.startsWith('<enclosure')), [
+    '<enclosure url="https://www.infoworld.com/images/tidy.png" length="48213" type="image/png" />'
+  ]);
+  assert.strictEqual(media(rss({ enabled: false })), null);
+});
@@ -0,0 +1,121 @@
+// test/metrics.test.js - Run history, the baseline and the regressions the report flags
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { historyPathFor, appendHistory, loadHistory, summarizeHistory, formatHistoryReport } = require('../lib/metrics');
+
+// One weekly run's record, with the numbers a healthy run has
+function run(day, extra = {}) {
+  const { items, ...rest } = extra;
+  return {
+    at: `2025-01-${String(day).padStart(2, '0')}T06:00:00.000Z`,
+    author: 'Sharon Machlis',
+    status: 'ok',
+    strategy: 'static',
+    durationMs: 20000,
+    pages: [{ url: 'https://www.infoworld.com/profile/sharon-machlis/', strategy: 'static', loadMs: 1500, candidates: 30, articles: 20 }],
+    selectors: { 'article.card': 20, '.article-list a': 40 },
+    exclusions: { trending: 4, sidebar: 2 },
+    titles: { heading: 18, 'metadata-slug': 2 },
+    items: { found: 20, kept: 20, truncated: 0, archived: 120, published: 50, quarantined: 0, added: 1, updated: 0, ...items },
+    ...rest
+  };
+}
+
+const healthy = [1, 8, 15, 22].map(day => run(day));
+const metrics = summary => summary.regressions.map(regression => regression.metric);
+
+test('no baseline until there are enough earlier successful runs', () => {
+  assert.deepStrictEqual(summarizeHistory([]), { runs: 0, since: '', latest: null, baseline: null, trend: [], regressions: [] });
+
+  // Two earlier runs, and a failed one that doesn't count
+  const summary = summarizeHistory([run(1), run(8, { status: 'error' }), run(15), run(22, { items: { kept: 2 } })]);
+  assert.strictEqual(summary.baseline, null);
+  assert.deepStrictEqual(summary.regressions, []);
+  assert.strictEqual(summary.since, '2025-01-01T06:00:00.000Z');
+});
+
+test('a run like the usual ones flags nothing', () => {
+  const summary = summarizeHistory([...healthy, run(29, { durationMs: 35000, items: { kept: 12 } })]);
+  assert.strictEqual(summary.baseline.runs, 4);
+  assert.strictEqual(summary.baseline.kept, 20);
+  assert.deepStrictEqual(summary.regressions, []);
+});
+
+test('flags a failed status, slow runs and slow pages', () => {
+  const summary = summarizeHistory([...healthy, run(29, {
+    status: 'refused',
+    durationMs: 41000,
+    pages: [{ url: 'https://www.infoworld.com/profile/sharon-machlis/', loadMs: 3100 }]
+  })]);
+  assert.deepStrictEqual(summary.regressions, [
+    { metric: 'status', message: 'run finished "refused"' },
+    { metric: 'durationMs', message: 'run took 41.0 s, usually 20.0 s' },
+    { metric: 'pageLoadMs', message: 'pages took 3.1 s to load, usually 1.5 s' }
+  ]);
+});
+
+test('flags fewer articles kept, more fallback titles and more truncation', () => {
+  const summary = summarizeHistory([...healthy, run(29, {
+    titles: { heading: 4, 'url-slug': 5 },
+    items: { kept: 9, truncated: 6 }
+  })]);
+  assert.deepStrictEqual(summary.regressions, [
+    { metric: 'kept', message: '9 article(s) kept, usually 20' },
+    { metric: 'titles', message: '56% of titles came from a fallback, usually 10%' },
+    { metric: 'truncated', message: '6 article(s) cut by --max-items, usually 0' }
+  ]);
+});
+
+test('flags exclusions that more than doubled by at least five, and selectors that stopped matching', () => {
+  const summary = summarizeHistory([...healthy, run(29, {
+    exclusions: { trending: 9, sidebar: 5, 'other-author': 6 },
+    selectors: { 'article.card': 3, '.article-list a': 40 }
+  })]);
+  // sidebar 2 -> 5 more than doubled but only by 3
+  assert.deepStrictEqual(metrics(summary), ['exclusions.trending', 'exclusions.other-author', 'selectors.article.card']);
+  assert.strictEqual(summary.regressions[2].message, 'selector "article.card" matched 3, usually 20');
+});
+
+test('the baseline is the median of the last successful runs only', () => {
+  const history = [
+    ...Array.from({ length: 12 }, (_, index) => run(index + 1, { items: { kept: index < 2 ? 100 : 20 } })),
+    run(14, { status: 'error', items: { kept: 0 } }),
+    run(15, { items: { kept: 19 } })
+  ];
+  const summary = summarizeHistory(history);
+  // The two old runs with 100 fall outside the last 10, and the failed run is left out
+  assert.strictEqual(summary.baseline.runs, 10);
+  assert.strictEqual(summary.baseline.kept, 20);
+  assert.deepStrictEqual(summary.regressions, []);
+  assert.deepStrictEqual(summary.trend.map(entry => entry.kept), [20, 20, 20, 20, 20, 20, 20, 20, 0, 19]);
+});
+
+test('the report names each regression and says when there are none', () => {
+  assert.deepStrictEqual(formatHistoryReport('Sharon Machlis', summarizeHistory([])), ['📈 Sharon Machlis: no runs recorded yet']);
+
+  const lines = formatHistoryReport('Sharon Machlis', summarizeHistory([...healthy, run(29, { items: { kept: 9 } })]));
+  assert.strictEqual(lines[0], '📈 Sharon Machlis: 5 run(s) since 2025-01-01');
+  assert.ok(lines.includes('   ⚠️  Regression: 9 article(s) kept, usually 20'));
+  assert.ok(!lines.includes('   ✅ No regressions'));
+  assert.strictEqual(formatHistoryReport('Sharon Machlis', summarizeHistory([...healthy, run(29)])).pop(), '   ✅ No regressions');
+});
+
+test('history is appended next to the archive and read back, skipping bad lines', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-metrics-'));
+  try {
+    const historyPath = historyPathFor(path.join(dir, 'data', 'sharon-machlis.json'));
+    assert.strictEqual(historyPath, path.join(dir, 'data', 'sharon-machlis.metrics.jsonl'));
+    assert.deepStrictEqual(await loadHistory(historyPath), []);
+
+    await appendHistory(historyPath, run(1));
+    fs.appendFileSync(historyPath, '{"at": "2025-01-0\n');
+    await appendHistory(historyPath, run(8));
+    assert.deepStrictEqual((await loadHistory(historyPath)).map(record => record.at), ['2025-01-01T06:00:00.000Z', '2025-01-08T06:00:00.000Z']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,211 @@
+// test/notify.test.js - Webhook and email notifications against local stand-ins
+//
+// Webhooks go to a local HTTP receiver over the real fetch, and the digest goes
+// through nodemailer to a minimal SMTP server on a local port (no TLS).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const { notifyNewArticles, resolveEnv } = require('../lib/notify');
+const { createLogger } = require('../lib/logger');
+
+const FEED = {
+  author: 'Sharon Machlis',
+  publication: 'InfoWorld',
+  title: 'Sharon Machlis - InfoWorld Articles',
+  profileUrl: 'https://www.infoworld.com/profile/sharon-machlis/',
+  feedUrl: 'https://example.com/feed.xml'
+};
+const ARTICLES = [
+  { title: 'Tidy data tricks for R users', url: 'https://www.infoworld.com/article/4100001/tidy-data-tricks.html', description: 'Five tidyverse functions.', pubDate: '2025-01-14', categories: ['R Language'] },
+  { title: 'Shiny <dashboards> | bslib', url: 'https://www.infoworld.com/article/4100002/shiny-dashboards-with-bslib.html' }
+];
+
+let receiver;
+let receiverUrl;
+const received = [];
+// Status codes to answer with, one per request, then 200
+const statuses = [];
+
+let smtp;
+let smtpPort;
+const mails = [];
+// SMTP reply to RCPT TO, e.g. a 550 to reject the recipient
+let rcptReply = '250 OK';
+
+test.before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+  // Just enough SMTP for nodemailer without STARTTLS or auth
+  smtp = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    const mail = { from: '', to: [], data: '' };
+    socket.write('220 localhost stand-in\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data !== null) {
+          if (line === '.') {
+            mail.data = data.join('\n');
+            mails.push(mail);
+            data = null;
+            socket.write('250 Queued\r\n');
+          } else {
+            data.push(line);
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^MAIL FROM:/i.test(line)) {
+          mail.from = line.slice(10).trim();
+          socket.write('250 OK\r\n');
+        } else if (/^RCPT TO:/i.test(line)) {
+          mail.to.push(line.slice(8).trim());
+          socket.write(`${rcptReply}\r\n`);
+        } else if (/^DATA/i.test(line)) {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+  smtpPort = smtp.address().port;
+});
+
+test.after(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await new Promise(resolve => smtp.close(resolve));
+});
+
+test.beforeEach(() => {
+  received.length = 0;
+  statuses.length = 0;
+  mails.length = 0;
+  rcptReply = '250 OK';
+});
+
+const quietLogger = () => createLogger({ print: false, collect: true });
+const feedWith = notify => ({ ...FEED, notify: { retryDelay: 1, ...notify } });
+
+test('posts the JSON and Slack payloads with the configured headers', async () => {
+  const logger = quietLogger();
+  const result = await notifyNewArticles(ARTICLES, feedWith({
+    webhooks: [
+      { url: `${receiverUrl}/json`, headers: { 'X-Token': 'secret' } },
+      { url: `${receiverUrl}/slack`, format: 'slack' }
+    ]
+  }), { logger });
+
+  assert.deepStrictEqual(result, { sent: 2, failed: 0 });
+  const [json, slack] = received;
+  assert.strictEqual(json.path, '/json');
+  assert.strictEqual(json.headers['x-token'], 'secret');
+  assert.strictEqual(json.headers['content-type'], 'application/json');
+  assert.strictEqual(json.body.count, 2);
+  assert.strictEqual(json.body.feed.url, FEED.feedUrl);
+  assert.deepStrictEqual(json.body.articles[1], {
+    title: 'Shiny <dashboards> | bslib',
+    url: ARTICLES[1].url,
+    description: '',
+    pubDate: '',
+    categories: []
+  });
+  assert.strictEqual(slack.body.text, [
+    '*2 new articles by Sharon Machlis on InfoWorld*',
+    `• <${ARTICLES[0].url}|Tidy data tricks for R users>`,
+    `• <${ARTICLES[1].url}|Shiny &lt;dashboards&gt; - bslib>`
+  ].join('\n'));
+});
+
+test('retries a 5xx answer but not a 4xx one', async () => {
+  const logger = quietLogger();
+  statuses.push(503, 200, 404);
+  const result = await notifyNewArticles(ARTICLES, feedWith({
+    webhooks: [{ url: `${receiverUrl}/flaky` }, { url: `${receiverUrl}/gone` }]
+  }), { logger });
+
+  assert.deepStrictEqual(result, { sent: 1, failed: 1 });
+  assert.deepStrictEqual(received.map(request => request.path), ['/flaky', '/flaky', '/gone']);
+  assert.match(logger.errors[0], /Webhook 127\.0\.0\.1:\d+ answered HTTP 404/);
+});
+
+test('skips webhooks with a missing or malformed URL and keeps going, even in a dry run', async () => {
+  for (const dryRun of [false, true]) {
+    const logger = quietLogger();
+    const result = await notifyNewArticles(ARTICLES, feedWith({
+      webhooks: [{ url: '' }, { url: 'hooks.example.com/no-scheme' }, { url: 'ftp://example.com/hook' }, { url: `${receiverUrl}/ok` }]
+    }), { logger, dryRun });
+
+    assert.deepStrictEqual(result, { sent: dryRun ? 0 : 1, failed: 0 });
+    assert.strictEqual(logger.warnings.length, 3);
+    assert.ok(logger.warnings.slice(1).every(warning => /isn't an absolute http\(s\) URL/.test(warning)));
+  }
+  // Only the real run reached the receiver
+  assert.deepStrictEqual(received.map(request => request.path), ['/ok']);
+});
+
+test('sends the email digest over SMTP', async () => {
+  const logger = quietLogger();
+  const result = await notifyNewArticles(ARTICLES, feedWith({
+    email: { host: '127.0.0.1', port: smtpPort, ignoreTLS: true, from: 'feeds@example.com', to: ['reader@example.com', 'editor@example.com'] }
+  }), { logger });
+
+  assert.deepStrictEqual(result, { sent: 1, failed: 0 });
+  assert.strictEqual(mails.length, 1);
+  assert.strictEqual(mails[0].from, '<feeds@example.com>');
+  assert.deepStrictEqual(mails[0].to, ['<reader@example.com>', '<editor@example.com>']);
+  assert.match(mails[0].data, /^Subject: 2 new articles by Sharon Machlis on InfoWorld$/m);
+  assert.match(mails[0].data, /Shiny &lt;dashboards&gt; \| bslib/);
+});
+
+test('does not retry a permanent SMTP rejection', async () => {
+  const logger = quietLogger();
+  rcptReply = '550 No such user';
+  const result = await notifyNewArticles(ARTICLES, feedWith({
+    email: { host: '127.0.0.1', port: smtpPort, ignoreTLS: true, from: 'feeds@example.com', to: 'nobody@example.com' }
+  }), { logger });
+
+  assert.deepStrictEqual(result, { sent: 0, failed: 1 });
+  assert.strictEqual(mails.length, 0);
+  assert.strictEqual(logger.errors.length, 1);
+  assert.match(logger.errors[0], /Email digest failed/);
+});
+
+test('sends nothing when there are no new articles or in a dry run', async () => {
+  const notify = {
+    webhooks: [{ url: `${receiverUrl}/json` }],
+    email: { host: '127.0.0.1', port: smtpPort, ignoreTLS: true, from: 'feeds@example.com', to: 'reader@example.com' }
+  };
+  assert.deepStrictEqual(await notifyNewArticles([], feedWith(notify), { logger: quietLogger() }), { sent: 0, failed: 0 });
+  assert.deepStrictEqual(await notifyNewArticles(ARTICLES, feedWith(notify), { logger: quietLogger(), dryRun: true }), { sent: 0, failed: 0 });
+  assert.strictEqual(received.length, 0);
+  assert.strictEqual(mails.length, 0);
+});
+
+test('reads "$NAME" values from the environment', () => {
+  const env = { SLACK_WEBHOOK_URL: 'https://hooks.example.com/abc' };
+  assert.deepStrictEqual(
+    resolveEnv({ webhooks: [{ url: '$SLACK_WEBHOOK_URL' }, { url: '$MISSING' }], retries: 2 }, env),
+    { webhooks: [{ url: 'https://hooks.example.com/abc' }, { url: '' }], retries: 2 }
+  );
+});
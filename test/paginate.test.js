@@ -0,0 +1,90 @@
+// test/paginate.test.js - When collectPages() stops following the profile's pages
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { collectPages } = require('../lib/paginate');
+const { createLogger } = require('../lib/logger');
+
+const articleUrl = id => `https://www.infoworld.com/article/${id}/article-${id}.html`;
+
+// A listing of `pages` pages with `perPage` articles each, newest first, that
+// records which pages were loaded
+function listing(pages, perPage = 3) {
+  const loaded = [];
+  const page = n => {
+    loaded.push(n);
+    const articles = Array.from({ length: perPage }, (_, i) => ({ url: articleUrl(4100000 + n * 10 + i), title: `Page ${n} article ${i}` }));
+    return { articles, next: n < pages ? { url: `https://www.infoworld.com/profile/sharon-machlis/?page=${n + 1}`, loadMore: false } : { url: '', loadMore: false } };
+  };
+  return {
+    loaded,
+    loadFirst: async () => page(1),
+    loadNext: async next => page(Number(new URL(next.url).searchParams.get('page')))
+  };
+}
+
+function collect(site, options = {}) {
+  const logger = createLogger({ print: false, collect: true });
+  const messages = [];
+  logger.info = (...args) => messages.push(args.join(' '));
+  return collectPages(site.loadFirst, site.loadNext, { logger, ...options }).then(articles => ({ articles, messages }));
+}
+
+test('follows next links until there are none', async () => {
+  const site = listing(3);
+  const { articles, messages } = await collect(site);
+  assert.deepStrictEqual(site.loaded, [1, 2, 3]);
+  assert.strictEqual(articles.length, 9);
+  assert.strictEqual(messages[messages.length - 1], 'Stopped paging after 3 page(s): no more pages');
+});
+
+test('stops at maxPages and at maxArticles', async () => {
+  const byPages = listing(10);
+  const { messages } = await collect(byPages, { pagination: { maxPages: 2 } });
+  assert.deepStrictEqual(byPages.loaded, [1, 2]);
+  assert.match(messages[messages.length - 1], /page limit \(2\)$/);
+
+  const byArticles = listing(10);
+  const { articles } = await collect(byArticles, { pagination: { maxArticles: 7 } });
+  assert.deepStrictEqual(byArticles.loaded, [1, 2, 3]);
+  assert.strictEqual(articles.length, 7);
+});
+
+test('stops at a page that ends with an archived article, however its URL is written', async () => {
+  for (const known of [
+    articleUrl(4100022),
+    `${articleUrl(4100022)}?utm_source=newsletter#comments`,
+    articleUrl(4100022).replace('https://www.', 'http://'),
+    'https://www.infoworld.com/article/4100022/retitled-slug.html'
+  ]) {
+    const site = listing(5);
+    const { messages } = await collect(site, { knownUrls: new Set([known]) });
+    assert.deepStrictEqual(site.loaded, [1, 2], known);
+    assert.match(messages[messages.length - 1], /reached articles already in the archive$/);
+  }
+});
+
+test('keeps going past known articles with stopAtKnown off', async () => {
+  const site = listing(3);
+  await collect(site, { knownUrls: new Set([articleUrl(4100012)]), pagination: { stopAtKnown: false } });
+  assert.deepStrictEqual(site.loaded, [1, 2, 3]);
+});
+
+test('stops when a page adds nothing new or the next page needs a browser', async () => {
+  const loop = { loadFirst: async () => ({ articles: [{ url: articleUrl(4100001) }], next: { url: 'https://www.infoworld.com/profile/sharon-machlis/?page=1' } }) };
+  loop.loadNext = loop.loadFirst;
+  const { messages } = await collect(loop);
+  assert.match(messages[messages.length - 1], /after 2 page\(s\): page added no new articles$/);
+
+  const button = { loadFirst: async () => ({ articles: [{ url: articleUrl(4100001) }], next: { url: '', loadMore: true } }), loadNext: async () => null };
+  const { articles, messages: buttonMessages } = await collect(button);
+  assert.strictEqual(articles.length, 1);
+  assert.match(buttonMessages[buttonMessages.length - 1], /next page needs a browser$/);
+});
+
+test('takes at most perPageLimit new articles from each page', async () => {
+  const truncated = [];
+  const { articles } = await collect(listing(2, 5), { perPageLimit: 3, onTruncate: count => truncated.push(count) });
+  assert.strictEqual(articles.length, 6);
+  assert.deepStrictEqual(truncated, [2, 2]);
+});
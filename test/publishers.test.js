@@ -0,0 +1,141 @@
+// test/publishers.test.js - Article identity across sites, cross-site merging
+// and the adapter interface
+//
+// The Foundry adapters only differ by host, so the interface is also exercised
+// with a stand-in adapter for a site that works differently: a newsletter whose
+// profile page lists posts as JSON and whose post IDs end the URL slug. It is
+// added to PUBLISHERS for the length of the test run.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PUBLISHERS, publisherFor, normalizeArticleUrl, articleKey, articleGuid, dedupeByCanonical } = require('../lib/publishers');
+const { generateFeedForAuthor } = require('../lib/generate');
+const { normalizeFeed } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+
+const INFOWORLD_URL = 'https://www.infoworld.com/article/4100001/tidy-data-tricks.html';
+const COMPUTERWORLD_URL = 'https://www.computerworld.com/article/4100001/tidy-data-tricks.html';
+
+const newsletter = {
+  id: 'rnotes',
+  name: 'R Notes',
+  matches: url => /^https?:\/\/rnotes\.test\//.test(url),
+  isArticleUrl: url => /^https?:\/\/rnotes\.test\/p\//.test(url),
+  listingOptions: {},
+  // Posts come from a JSON block instead of article cards
+  listArticles: (html, url) => {
+    const json = html.match(/<script type="application\/json" id="posts">([\s\S]*?)<\/script>/);
+    const posts = json ? JSON.parse(json[1]) : [];
+    return {
+      articles: posts.map(post => ({
+        url: new URL(post.path, url).href,
+        title: post.headline,
+        description: post.teaser,
+        pubDate: post.published
+      })),
+      next: { url: '', loadMore: false }
+    };
+  },
+  extractMetadata: html => ({ title: (html.match(/<h1>([^<]*)<\/h1>/) || [])[1] || '' }),
+  articleId: url => {
+    const match = newsletter.matches(url) && new URL(url).pathname.match(/^\/p\/[a-z0-9-]+-(\d+)$/);
+    return match ? match[1] : '';
+  },
+  guidFor: id => `urn:rnotes:post:${id}`
+};
+
+test.before(() => PUBLISHERS.push(newsletter));
+test.after(() => PUBLISHERS.splice(PUBLISHERS.indexOf(newsletter), 1));
+
+test('the same article ID on two Foundry sites is two articles', () => {
+  assert.strictEqual(articleKey(INFOWORLD_URL), 'infoworld:4100001');
+  assert.strictEqual(articleKey(COMPUTERWORLD_URL), 'computerworld:4100001');
+  assert.strictEqual(articleKey('http://infoworld.com/article/4100001/new-slug.html?utm_source=rss#top'), 'infoworld:4100001');
+  assert.strictEqual(articleGuid(COMPUTERWORLD_URL), 'tag:computerworld.com,2024:article/4100001');
+  // Sites without an adapter fall back to the normalized URL
+  assert.strictEqual(articleKey('https://www.example.com/post/?utm_medium=email'), 'https://example.com/post');
+  assert.strictEqual(articleGuid('http://example.com/post?id=2&utm_medium=email'), 'https://example.com/post?id=2');
+});
+
+test('a syndicated copy is merged into the article its canonical link points at', () => {
+  const merged = dedupeByCanonical([
+    // Listed on Computerworld first, pointing back at InfoWorld
+    {
+      url: `${COMPUTERWORLD_URL}?utm_source=rss`,
+      canonicalUrl: INFOWORLD_URL,
+      title: 'Tidy data tricks (Computerworld)',
+      categories: ['Analytics']
+    },
+    { url: INFOWORLD_URL, canonicalUrl: INFOWORLD_URL, title: 'Tidy data tricks for R users', categories: ['R Language', 'analytics'] },
+    // Not enriched, so it's keyed on its own URL and stays separate
+    { url: 'https://www.computerworld.com/article/4100009/windows-tips.html', title: 'Windows tips', categories: [] }
+  ]);
+
+  assert.deepStrictEqual(merged.map(article => [article.url, article.title, article.aliases, article.categories]), [
+    [INFOWORLD_URL, 'Tidy data tricks for R users', [COMPUTERWORLD_URL], ['Analytics', 'R Language']],
+    ['https://www.computerworld.com/article/4100009/windows-tips.html', 'Windows tips', [], []]
+  ]);
+});
+
+test('when only the syndicated copy was listed, the feed still links to the canonical page', () => {
+  const [article] = dedupeByCanonical([
+    { url: COMPUTERWORLD_URL, canonicalUrl: `${INFOWORLD_URL}?utm_campaign=syndication`, title: 'Tidy data tricks for R users', aliases: ['https://www.computerworld.com/article/4100001/old-slug.html'] }
+  ]);
+  assert.strictEqual(article.url, INFOWORLD_URL);
+  assert.deepStrictEqual(article.aliases, [COMPUTERWORLD_URL, 'https://www.computerworld.com/article/4100001/old-slug.html']);
+});
+
+test('an adapter that isn\'t a Foundry site supplies its own IDs and GUIDs', () => {
+  const post = 'https://rnotes.test/p/duckdb-from-r-812';
+  assert.strictEqual(publisherFor(post), newsletter);
+  assert.strictEqual(publisherFor(INFOWORLD_URL).id, 'infoworld');
+  assert.strictEqual(articleKey(post), 'rnotes:812');
+  assert.strictEqual(articleKey('https://rnotes.test/p/querying-duckdb-from-r-812?utm_source=email'), 'rnotes:812');
+  assert.strictEqual(articleGuid(post), 'urn:rnotes:post:812');
+  // Without an ID in the URL the adapter's URLs are keyed like any other
+  assert.strictEqual(articleKey('https://rnotes.test/about/'), 'https://rnotes.test/about');
+  assert.strictEqual(normalizeArticleUrl('http://rnotes.test/p/duckdb-from-r-812?ref=home'), 'https://rnotes.test/p/duckdb-from-r-812');
+
+  // Cross-posted to InfoWorld with a canonical link back to the newsletter
+  const [merged] = dedupeByCanonical([
+    { url: 'https://www.infoworld.com/article/4100011/duckdb-from-r.html', canonicalUrl: post, title: 'Query DuckDB from R' },
+    { url: post, canonicalUrl: post, title: 'DuckDB from R' }
+  ]);
+  assert.deepStrictEqual([merged.url, merged.title, merged.aliases], [
+    post, 'DuckDB from R', ['https://www.infoworld.com/article/4100011/duckdb-from-r.html']
+  ]);
+});
+
+test('a run reads the adapter\'s profile page with its own listArticles()', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-publishers-'));
+  try {
+    const htmlPath = path.join(dir, 'profile.html');
+    fs.writeFileSync(htmlPath, `<html><body><h1>R Notes</h1><script type="application/json" id="posts">${JSON.stringify([
+      { path: '/p/duckdb-from-r-812', headline: 'Query DuckDB from R', teaser: 'Fast SQL on local files without a database server.', published: '2025-01-14T10:00:00Z' },
+      { path: '/p/quarto-dashboards-815', headline: 'Quarto dashboards in ten minutes', teaser: 'From a notebook to a dashboard with one YAML option.', published: '2025-01-21T10:00:00Z' }
+    ])}</script></body></html>`);
+    const feed = normalizeFeed({
+      author: 'Sharon Machlis',
+      profileUrl: 'https://rnotes.test/authors/sharon-machlis',
+      output: path.join(dir, 'feed.xml'),
+      archive: path.join(dir, 'data', 'sharon-machlis.json'),
+      enrich: false,
+      diagnostics: { artifactsDir: path.join(dir, 'artifacts') }
+    });
+    assert.strictEqual(feed.title, 'Sharon Machlis - R Notes Articles');
+
+    const result = await generateFeedForAuthor(feed, { maxArticles: 20, fromHtml: htmlPath, logger: createLogger({ print: false, collect: true }) });
+    assert.strictEqual(result.status, 'ok');
+    const xml = fs.readFileSync(feed.output, 'utf8');
+    assert.deepStrictEqual(xml.match(/<guid[^>]*>[^<]*<\/guid>/g), [
+      '<guid isPermaLink="false">urn:rnotes:post:815</guid>',
+      '<guid isPermaLink="false">urn:rnotes:post:812</guid>'
+    ]);
+    assert.match(xml, /<link>https:\/\/rnotes\.test\/p\/duckdb-from-r-812<\/link>/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
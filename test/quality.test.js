@@ -0,0 +1,133 @@
+// test/quality.test.js - Item scoring, quarantine and allow/deny overrides
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scoreArticle, assessArticles, setOverride, writeReview, loadOverrides, saveOverrides, overridesPathFor } = require('../lib/quality');
+const { mergeArticles } = require('../lib/archive');
+
+const FEED = { author: 'Sharon Machlis', output: 'feed.xml', archive: path.join('data', 'sharon-machlis.json') };
+const context = { author: 'Sharon Machlis', descriptionCounts: new Map() };
+
+const article = (id, extra = {}) => ({
+  url: `https://www.infoworld.com/article/${id}/duckdb-from-r.html`,
+  title: 'Query DuckDB from R',
+  description: 'Fast SQL on local files without a database server.',
+  pubDate: '2025-01-14T10:00:00.000Z',
+  firstSeen: '2025-01-15T06:00:00.000Z',
+  author: 'Sharon Machlis',
+  ...extra
+});
+
+const checks = result => result.problems.map(problem => problem.check);
+
+test('a clean article scores 100', () => {
+  assert.deepStrictEqual(scoreArticle(article('4100001'), context), { score: 100, problems: [] });
+});
+
+test('each failed check subtracts its penalty', () => {
+  assert.deepStrictEqual(checks(scoreArticle(article('4100001', { title: 'Untitled' }), context)), ['placeholder-title']);
+  assert.deepStrictEqual(checks(scoreArticle(article('4100001', { title: 'Duckdb From R' }), context)), ['slug-title']);
+
+  const leaked = scoreArticle(article('4100001', { title: 'By Sharon Machlis Jan 14, 2025 Query DuckDB from R' }), context);
+  assert.deepStrictEqual(leaked.problems, [{ check: 'metadata-in-title', penalty: 30, detail: 'date' }]);
+  assert.strictEqual(leaked.score, 70);
+
+  const bio = scoreArticle(article('4100001', { description: 'Sharon Machlis is Director of Editorial Data and Analytics.' }), context);
+  assert.deepStrictEqual(checks(bio), ['bio-description']);
+  const otherAuthor = scoreArticle(article('4100001', { author: 'Jane Doe' }), context);
+  assert.deepStrictEqual(otherAuthor, { score: 50, problems: [{ check: 'other-author', penalty: 50, detail: 'Jane Doe' }] });
+});
+
+test('only articles the archive marks undated miss a date', () => {
+  const undated = scoreArticle(article('4100001', { pubDate: '2025-01-15T06:00:00.000Z', undated: true }), context);
+  assert.deepStrictEqual(undated.problems, [{ check: 'missing-date', penalty: 20, detail: 'first seen 2025-01-15T06:00:00.000Z' }]);
+
+  // Published in the same second it was first seen is still a real date
+  const sameSecond = article('4100001', { pubDate: '2025-01-15T06:00:00.000Z', undated: false });
+  assert.deepStrictEqual(scoreArticle(sameSecond, context).problems, []);
+
+  const now = new Date('2025-01-15T06:00:00.000Z');
+  const { archive } = mergeArticles({ articles: [] }, [
+    { url: 'https://www.infoworld.com/article/4100001/duckdb-from-r.html', title: 'Query DuckDB from R', pubDate: now.toISOString() },
+    { url: 'https://www.infoworld.com/article/4100002/quick-r-tip.html', title: 'A quick R tip' }
+  ], now);
+  assert.deepStrictEqual(archive.articles.map(a => [a.pubDate === a.firstSeen, a.undated]), [[true, false], [true, true]]);
+  assert.deepStrictEqual(assessArticles(archive.articles, FEED).published.map(a => checks(scoreArticle(a, context))), [[], ['missing-date']]);
+});
+
+test('articles below the threshold are held for review with their problems', () => {
+  const articles = [
+    article('4100001'),
+    article('4100002', { title: 'Untitled', description: 'Five tidyverse functions for messy spreadsheets.' }),
+    article('4100003', { description: 'DuckDB reads Parquet and CSV files directly.', undated: true })
+  ];
+  const { published, quarantined } = assessArticles(articles, FEED);
+  assert.deepStrictEqual(published.map(a => a.url), [articles[0].url, articles[2].url]);
+  assert.deepStrictEqual(quarantined, [{
+    url: articles[1].url,
+    title: 'Untitled',
+    score: 40,
+    problems: [{ check: 'placeholder-title', penalty: 60, detail: 'Untitled' }],
+    override: ''
+  }]);
+
+  // A stricter threshold also holds the undated one (score 80)
+  const strict = assessArticles(articles, { ...FEED, quality: { threshold: 85 } });
+  assert.deepStrictEqual(strict.quarantined.map(item => item.score), [40, 80]);
+  // Scoring can be turned off
+  assert.strictEqual(assessArticles(articles, { ...FEED, quality: { enabled: false } }).published.length, 3);
+});
+
+test('the same description on several articles counts against each of them', () => {
+  const shared = 'Read the latest from InfoWorld.';
+  const { quarantined } = assessArticles([
+    article('4100001', { description: shared, title: 'Untitled Article' }),
+    article('4100002', { description: shared })
+  ], { ...FEED, quality: { threshold: 90 } });
+  assert.deepStrictEqual(quarantined.map(item => item.problems.map(problem => problem.check)), [
+    ['placeholder-title', 'repeated-description'],
+    ['repeated-description']
+  ]);
+});
+
+test('allow and deny overrides match on article ID, whatever the slug', () => {
+  const good = article('4100001');
+  const junk = article('4100002', { title: 'Untitled', description: '' });
+  let overrides = { allow: [], deny: [] };
+  overrides = setOverride(overrides, 'allow', 'https://www.infoworld.com/article/4100002/old-slug.html?utm_source=rss');
+  overrides = setOverride(overrides, 'deny', 'https://www.infoworld.com/article/4100001/another-slug.html');
+
+  const { published, quarantined } = assessArticles([good, junk], FEED, overrides);
+  assert.deepStrictEqual(published.map(a => a.url), [junk.url]);
+  assert.deepStrictEqual(quarantined.map(item => [item.url, item.score, item.override]), [[good.url, 100, 'deny']]);
+
+  // Moving an article to the other list takes it off the first
+  overrides = setOverride(overrides, 'allow', good.url);
+  assert.deepStrictEqual(overrides.deny, []);
+  assert.strictEqual(overrides.allow.length, 2);
+});
+
+test('overrides and the review report are written next to the archive and feed', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-quality-'));
+  try {
+    const feed = { ...FEED, output: path.join(dir, 'feed.xml'), archive: path.join(dir, 'data', 'sharon-machlis.json') };
+    const overridesPath = overridesPathFor(feed);
+    assert.strictEqual(overridesPath, path.join(dir, 'data', 'sharon-machlis.overrides.json'));
+    assert.deepStrictEqual(await loadOverrides(overridesPath), { allow: [], deny: [] });
+    await saveOverrides(overridesPath, { allow: [article('4100001').url], deny: [] });
+    assert.deepStrictEqual(await loadOverrides(overridesPath), { allow: [article('4100001').url], deny: [] });
+
+    const { quarantined } = assessArticles([article('4100002', { title: 'Untitled' })], feed);
+    const reviewPath = await writeReview(feed, quarantined);
+    assert.strictEqual(reviewPath, path.join(dir, 'feed.review.json'));
+    const review = JSON.parse(fs.readFileSync(reviewPath, 'utf8'));
+    assert.strictEqual(review.threshold, 60);
+    assert.strictEqual(review.overrides, overridesPath);
+    assert.deepStrictEqual(review.quarantined, quarantined);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,116 @@
+// test/rules.test.js - Include/exclude rules and --explain against a saved rules file
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { compileRules, loadRules, applyRules, EMPTY_RULES } = require('../lib/rules');
+
+const RULES_PATH = path.join(__dirname, 'fixtures', 'rules', 'rules.json');
+const SCRAPER = path.join(__dirname, '..', 'scraper.js');
+
+const article = (id, extra = {}) => ({
+  url: `https://www.infoworld.com/article/${id}/article-${id}.html`,
+  title: `Article ${id}`,
+  description: '',
+  pubDate: '2025-01-14T10:00:00.000Z',
+  categories: [],
+  ...extra
+});
+
+const ARTICLES = [
+  article('4100001', { title: 'Tidy data tricks for R users' }),
+  article('4100002', { title: 'Join our R webinar' }),
+  article('4100003', { description: 'A SPONSORED look at cloud costs' }),
+  article('4100004', { title: 'Webinars are not a keyword match' }),
+  article('4100005', { title: 'Sponsored, but a favourite' }),
+  { ...article('4100006'), url: 'https://www.infoworld.com/video/4100006/r-in-five-minutes.html' },
+  article('4100007', { categories: ['podcasts'], pubDate: '2021-06-01T10:00:00.000Z' }),
+  article('4100008', { categories: ['Podcasts'], pubDate: '2023-06-01T10:00:00.000Z' }),
+  article('4100009', { categories: ['Podcasts'], pubDate: '' })
+];
+
+test('the first matching rule decides, in file order', async () => {
+  const rules = await loadRules(RULES_PATH);
+  assert.deepStrictEqual(rules.ignoreSections, ['.newsletter-promo']);
+
+  const { kept, dropped, decisions } = applyRules(ARTICLES, rules);
+  const idOf = a => a.url.match(/\/(\d+)\//)[1];
+  assert.deepStrictEqual(kept.map(idOf), ['4100001', '4100004', '4100005', '4100008', '4100009']);
+  assert.deepStrictEqual(dropped.map(idOf), ['4100002', '4100003', '4100006', '4100007']);
+  assert.deepStrictEqual(decisions.map(decision => decision.rule), [
+    'default', 'no-webinars', 'no-webinars', 'default', 'keep-favourite', 'no-video', 'no-old-podcasts', 'default', 'default'
+  ]);
+  assert.deepStrictEqual(decisions[6], {
+    url: ARTICLES[6].url,
+    title: 'Article 4100007',
+    action: 'exclude',
+    rule: 'no-old-podcasts',
+    reason: 'in category "Podcasts" and published before 2022-01-01'
+  });
+});
+
+test('a URL without a wildcard matches anywhere; with one it must match the whole URL', () => {
+  const rules = compileRules({ rules: [
+    { action: 'exclude', url: '/video/' },
+    { action: 'exclude', url: 'https://www.infoworld.com/article/41000*1/*' }
+  ] });
+  const { dropped } = applyRules(ARTICLES, rules);
+  assert.deepStrictEqual(dropped.map(a => a.url), [ARTICLES[0].url, ARTICLES[5].url]);
+});
+
+test('after, regex and an exclude default', () => {
+  const rules = compileRules({
+    default: 'exclude',
+    rules: [
+      { action: 'include', after: '2023-01-01' },
+      { action: 'include', regex: '^tidy', flags: 'i' }
+    ]
+  });
+  const { kept } = applyRules(ARTICLES.slice(0, 1).concat(article('4100010', { pubDate: '2022-12-31T23:00:00.000Z' })), rules);
+  assert.deepStrictEqual(kept.map(a => a.title), ['Tidy data tricks for R users']);
+  // Undated articles never match a date condition
+  assert.strictEqual(applyRules([ARTICLES[8]], rules).kept.length, 0);
+});
+
+test('no rules file keeps everything', async () => {
+  assert.strictEqual(await loadRules(''), EMPTY_RULES);
+  assert.strictEqual(applyRules(ARTICLES).kept.length, ARTICLES.length);
+});
+
+test('names the file and rule when a rule can\'t work', () => {
+  assert.throws(() => compileRules({ rules: [{ name: 'bad', action: 'exclude', regex: '(unclosed' }] }, 'rules.json'),
+    /^Error: rules\.json: bad: Invalid regular expression: \/\(unclosed\/: Unterminated group$/);
+  assert.throws(() => compileRules({ rules: [{ action: 'exclude', before: 'someday' }] }, 'rules.json'),
+    { message: 'rules.json: rule 1: "before" needs a date (got "someday")' });
+  assert.throws(() => compileRules({ rules: [{ action: 'drop', id: '1' }] }, 'rules.json'),
+    { message: 'rules.json: rule 1 needs an "action" of include or exclude' });
+  assert.throws(() => compileRules({ rules: [{ action: 'exclude', author: 'Jane Doe' }] }, 'rules.json'),
+    { message: 'rules.json: rule 1: unknown condition "author" (expected one of: url, keyword, regex, category, after, before, id)' });
+});
+
+test('--explain prints one decision per archived article', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-rules-'));
+  try {
+    const archivePath = path.join(dir, 'archive.json');
+    const configPath = path.join(dir, 'feeds.config.json');
+    fs.writeFileSync(archivePath, JSON.stringify({ version: 1, articles: ARTICLES.slice(0, 3) }));
+    fs.writeFileSync(configPath, JSON.stringify({ feeds: [{
+      author: 'Sharon Machlis',
+      profileUrl: 'https://www.infoworld.com/profile/sharon-machlis/',
+      archive: archivePath,
+      rules: RULES_PATH
+    }] }));
+
+    const output = execFileSync(process.execPath, [SCRAPER, '--config', configPath, '--explain', '--log-format', 'json'], { encoding: 'utf8' });
+    const events = output.trim().split('\n').map(line => JSON.parse(line)).filter(line => line.event === 'rule-decision');
+    assert.deepStrictEqual(events.map(event => [event.action, event.rule]), [
+      ['include', 'default'], ['exclude', 'no-webinars'], ['exclude', 'no-webinars']
+    ]);
+    assert.strictEqual(events[1].reason, 'mentions "webinar" or "sponsored"');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,120 @@
+// test/safeguard.test.js - Replacement checks and change reports against a saved feed
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readFeedItems, checkReplacement, guardFeed } = require('../lib/safeguard');
+const { mergeArticles } = require('../lib/archive');
+const { buildFeedModel } = require('../lib/feed');
+const { generateRSS } = require('../lib/rss');
+const { normalizeFeed } = require('../lib/config');
+
+const PREVIOUS_FEED = path.join(__dirname, 'fixtures', 'feeds', 'feed.xml');
+const FEED = normalizeFeed({ author: 'Sharon Machlis', profileUrl: 'https://www.infoworld.com/profile/sharon-machlis/' });
+
+// Model items standing in for a new run, built from the saved feed's own items
+async function previousAsModelItems() {
+  return (await readFeedItems(PREVIOUS_FEED)).map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    published: new Date(item.published)
+  }));
+}
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-safeguard-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('reads the items of the feed on disk, and null when there is none', async () => {
+  const items = await readFeedItems(PREVIOUS_FEED);
+  assert.strictEqual(items.length, 4);
+  assert.deepStrictEqual(items[0], {
+    id: 'https://www.infoworld.com/article/4100001/tidy-data-tricks.html',
+    url: 'https://www.infoworld.com/article/4100001/tidy-data-tricks.html',
+    title: 'Tidy data tricks for R users',
+    summary: 'Five tidyverse functions that make reshaping messy spreadsheets a lot less painful.',
+    published: '2025-01-14T10:00:00.000Z'
+  });
+  assert.strictEqual(await readFeedItems(path.join(dir, 'feed.xml')), null);
+});
+
+test('refuses a placeholder feed, an empty feed and a drop past the shrink ratio', async () => {
+  const previous = await readFeedItems(PREVIOUS_FEED);
+  const next = await previousAsModelItems();
+
+  assert.deepStrictEqual(checkReplacement(previous, next, { placeholder: 'error' }), {
+    safe: false,
+    reason: 'run produced a placeholder feed (error); keeping the previous 4 items'
+  });
+  assert.deepStrictEqual(checkReplacement(previous, []), {
+    safe: false,
+    reason: 'new feed is empty; keeping the previous 4 items'
+  });
+  assert.deepStrictEqual(checkReplacement(previous, next.slice(0, 1)), {
+    safe: false,
+    reason: 'item count dropped from 4 to 1 (more than 50%)'
+  });
+  // Exactly half is still within the default ratio; a looser ratio allows more
+  assert.strictEqual(checkReplacement(previous, next.slice(0, 2)).safe, true);
+  assert.strictEqual(checkReplacement(previous, next.slice(0, 1), { maxDropRatio: 0.8 }).safe, true);
+});
+
+test('anything may replace a missing or empty feed', () => {
+  assert.strictEqual(checkReplacement(null, []).safe, true);
+  assert.strictEqual(checkReplacement([], [], { placeholder: 'no-articles' }).safe, true);
+});
+
+test('reports added, removed and changed items', async () => {
+  const [tidy, shiny, quarto] = await previousAsModelItems();
+  const next = [
+    { id: 'https://www.infoworld.com/article/4100011/duckdb-from-r.html', title: 'Query DuckDB from R', summary: 'Fast SQL on local files.', published: new Date('2025-02-01T10:00:00Z') },
+    { ...tidy, title: 'Tidy data tricks every R user should know' },
+    shiny,
+    { ...quarto, published: new Date('2024-12-03T10:00:00Z') }
+  ];
+  const report = await guardFeed(PREVIOUS_FEED, next);
+
+  assert.strictEqual(report.safe, true);
+  assert.strictEqual(report.previousCount, 4);
+  assert.strictEqual(report.nextCount, 4);
+  assert.deepStrictEqual(report.added, [{ id: next[0].id, title: 'Query DuckDB from R' }]);
+  assert.deepStrictEqual(report.removed, [{ id: 'https://www.infoworld.com/article/4100010/r-table-packages.html', title: 'Six R packages for tables' }]);
+  assert.deepStrictEqual(report.changed, [
+    { id: tidy.id, changes: { title: { from: 'Tidy data tricks for R users', to: 'Tidy data tricks every R user should know' } } },
+    { id: quarto.id, changes: { published: { from: '2024-12-02T10:00:00.000Z', to: '2024-12-03T10:00:00.000Z' } } }
+  ]);
+});
+
+test('a placeholder run reports no item changes', async () => {
+  const report = await guardFeed(PREVIOUS_FEED, [], { placeholder: 'error' });
+  assert.strictEqual(report.safe, false);
+  assert.strictEqual(report.nextCount, 0);
+  assert.deepStrictEqual([report.added, report.removed, report.changed], [[], [], []]);
+});
+
+test('an undated article pinned to its first-seen time is unchanged on the next run', async () => {
+  const feedPath = path.join(dir, 'feed.xml');
+  const scraped = [
+    { url: 'https://www.infoworld.com/article/4100001/tidy-data-tricks.html', title: 'Tidy data tricks for R users', pubDate: '2025-01-14T10:00:00Z' },
+    { url: 'https://www.infoworld.com/article/4100012/undated-r-tip.html', title: 'A quick R tip' }
+  ];
+
+  // The first run pins the undated article to a first-seen time with milliseconds
+  const first = mergeArticles({ articles: [] }, scraped, new Date('2025-02-01T12:00:00.123Z'));
+  assert.strictEqual(first.archive.articles[0].pubDate, '2025-02-01T12:00:00.123Z');
+  fs.writeFileSync(feedPath, generateRSS(buildFeedModel(first.archive.articles, FEED)));
+
+  const second = mergeArticles(first.archive, scraped, new Date('2025-02-01T13:00:00.456Z'));
+  const report = await guardFeed(feedPath, buildFeedModel(second.archive.articles, FEED).items);
+  assert.deepStrictEqual([report.added, report.removed, report.changed], [[], [], []]);
+});
@@ -0,0 +1,141 @@
+// test/server.test.js - The feed server's conditional GETs, health and refresh endpoints
+//
+// Each test starts a server on a free local port, serving a feed written to a
+// temporary directory, with a stand-in refresh and clock.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFeedServer } = require('../lib/server');
+const { normalizeFeed } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+
+const FEED_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', 'feed.xml'), 'utf8');
+
+let dir;
+let server;
+let baseUrl;
+let clock;
+
+async function start(options = {}) {
+  const feed = normalizeFeed({
+    author: 'Sharon Machlis',
+    profileUrl: 'https://www.infoworld.com/profile/sharon-machlis/',
+    output: path.join(dir, 'feed.xml'),
+    archive: path.join(dir, 'data', 'sharon-machlis.json')
+  });
+  server = createFeedServer({
+    feeds: [feed],
+    refresh: async () => ({ 'Sharon Machlis': 'ok' }),
+    minRefreshInterval: 60 * 1000,
+    now: () => clock,
+    logger: createLogger({ print: false, collect: true }),
+    ...options
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-server-'));
+  fs.writeFileSync(path.join(dir, 'feed.xml'), FEED_XML);
+  // Whole seconds, like the HTTP dates the server compares against
+  fs.utimesSync(path.join(dir, 'feed.xml'), new Date('2025-02-01T12:00:00Z'), new Date('2025-02-01T12:00:00Z'));
+  clock = Date.parse('2025-02-01T13:00:00Z');
+});
+
+test.afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('serves the feed with its content type, ETag and Last-Modified', async () => {
+  await start();
+  const response = await fetch(`${baseUrl}/feed.xml`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'application/rss+xml; charset=utf-8');
+  assert.strictEqual(response.headers.get('last-modified'), 'Sat, 01 Feb 2025 12:00:00 GMT');
+  assert.match(response.headers.get('etag'), /^"[0-9a-f]{40}"$/);
+  assert.strictEqual(await response.text(), FEED_XML);
+});
+
+test('answers If-None-Match with 304 while the ETag matches', async () => {
+  await start();
+  const etag = (await fetch(`${baseUrl}/feed.xml`)).headers.get('etag');
+
+  const cached = await fetch(`${baseUrl}/feed.xml`, { headers: { 'If-None-Match': `W/"stale", ${etag}` } });
+  assert.strictEqual(cached.status, 304);
+  assert.strictEqual(cached.headers.get('etag'), etag);
+  assert.strictEqual(await cached.text(), '');
+
+  fs.writeFileSync(path.join(dir, 'feed.xml'), FEED_XML.replace('Six R packages', 'Seven R packages'));
+  const changed = await fetch(`${baseUrl}/feed.xml`, { headers: { 'If-None-Match': etag } });
+  assert.strictEqual(changed.status, 200);
+  assert.notStrictEqual(changed.headers.get('etag'), etag);
+});
+
+test('answers If-Modified-Since with 304 unless the file is newer', async () => {
+  await start();
+  const same = await fetch(`${baseUrl}/feed.xml`, { headers: { 'If-Modified-Since': 'Sat, 01 Feb 2025 12:00:00 GMT' } });
+  assert.strictEqual(same.status, 304);
+  const older = await fetch(`${baseUrl}/feed.xml`, { headers: { 'If-Modified-Since': 'Sat, 01 Feb 2025 11:59:59 GMT' } });
+  assert.strictEqual(older.status, 200);
+  // If-None-Match wins when both are sent
+  const both = await fetch(`${baseUrl}/feed.xml`, { headers: { 'If-None-Match': '"stale"', 'If-Modified-Since': 'Sat, 01 Feb 2025 12:00:00 GMT' } });
+  assert.strictEqual(both.status, 200);
+});
+
+test('only serves the files the feeds produce', async () => {
+  await start();
+  const response = await fetch(`${baseUrl}/../package.json`);
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual((await response.json()).feeds, ['/feed.xml']);
+});
+
+test('refuses a second refresh while one runs (409) and within the interval (429)', async () => {
+  let finish;
+  await start({ refresh: () => new Promise(resolve => { finish = resolve; }) });
+
+  const started = await fetch(`${baseUrl}/refresh`, { method: 'POST' });
+  assert.strictEqual(started.status, 202);
+  assert.strictEqual((await started.json()).startedAt, '2025-02-01T13:00:00.000Z');
+
+  const running = await fetch(`${baseUrl}/refresh`, { method: 'POST' });
+  assert.strictEqual(running.status, 409);
+  assert.strictEqual((await fetch(`${baseUrl}/health`).then(res => res.json())).refreshing, true);
+
+  finish({ 'Sharon Machlis': 'refused' });
+  await new Promise(resolve => setImmediate(resolve));
+  clock += 15 * 1000;
+  const tooSoon = await fetch(`${baseUrl}/refresh`, { method: 'POST' });
+  assert.strictEqual(tooSoon.status, 429);
+  assert.strictEqual(tooSoon.headers.get('retry-after'), '45');
+
+  clock += 45 * 1000;
+  assert.strictEqual((await fetch(`${baseUrl}/refresh`, { method: 'POST' })).status, 202);
+  assert.strictEqual((await fetch(`${baseUrl}/refresh`)).status, 405);
+});
+
+test('reports the last run on /health, and only headers for HEAD', async () => {
+  await start({ refresh: async () => ({ 'Sharon Machlis': 'refused' }) });
+  const before = await fetch(`${baseUrl}/health`).then(res => res.json());
+  assert.deepStrictEqual(before, {
+    status: 'ok',
+    refreshing: false,
+    lastRun: null,
+    feeds: [{ author: 'Sharon Machlis', output: '/feed.xml', articles: 0 }]
+  });
+
+  await fetch(`${baseUrl}/refresh`, { method: 'POST' });
+  await new Promise(resolve => setImmediate(resolve));
+  const after = await fetch(`${baseUrl}/health`).then(res => res.json());
+  assert.strictEqual(after.status, 'degraded');
+  assert.deepStrictEqual(after.lastRun.results, { 'Sharon Machlis': 'refused' });
+
+  const head = await fetch(`${baseUrl}/health`, { method: 'HEAD' });
+  assert.strictEqual(head.status, 200);
+  assert.ok(Number(head.headers.get('content-length')) > 0);
+  assert.strictEqual(await head.text(), '');
+});
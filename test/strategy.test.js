@@ -0,0 +1,123 @@
+// test/strategy.test.js - Fetch strategies against a locally served profile page
+//
+// There's no Chromium here, so the browser strategy is a stand-in passed as
+// options.scrapeBrowser that records its calls.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadProfileArticles } = require('../lib/scrape');
+const { normalizeFeed } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+
+const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'infoworld-profile.html'), 'utf8');
+const BROWSER_ARTICLES = [{ title: 'From the browser', url: 'https://www.infoworld.com/article/4100009/from-the-browser.html' }];
+
+let server;
+let baseUrl;
+const requests = [];
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/profile/sharon-machlis/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+function feedFor(fetch, profilePath = '/profile/sharon-machlis/') {
+  return normalizeFeed({
+    author: 'Sharon Machlis',
+    profileUrl: `${baseUrl}${profilePath}`,
+    fetch,
+    diagnostics: { retries: 0 }
+  });
+}
+
+// Options for loadProfileArticles() with a stand-in browser that records its calls
+function runOptions() {
+  const browserCalls = [];
+  const logger = createLogger({ print: false, collect: true });
+  const messages = [];
+  logger.info = (...args) => messages.push(args.join(' '));
+  return {
+    browserCalls,
+    messages,
+    options: {
+      maxArticles: 20,
+      logger,
+      scrapeBrowser: async (url, feed, options, knownUrls) => {
+        browserCalls.push(url);
+        return BROWSER_ARTICLES;
+      }
+    }
+  };
+}
+
+test('static fetches the page over HTTP and never opens the browser', async () => {
+  const { browserCalls, options } = runOptions();
+  const result = await loadProfileArticles(feedFor({ strategy: 'static' }), options, new Set());
+  assert.strictEqual(result.strategy, 'static');
+  assert.strictEqual(result.articles.length, 3);
+  assert.deepStrictEqual(requests, ['/profile/sharon-machlis/']);
+  assert.deepStrictEqual(browserCalls, []);
+});
+
+test('auto keeps the static result when it meets the thresholds', async () => {
+  const { browserCalls, options } = runOptions();
+  const result = await loadProfileArticles(feedFor({ strategy: 'auto', minArticles: 3, minTitledRatio: 0.6 }), options, new Set());
+  assert.strictEqual(result.strategy, 'static');
+  assert.strictEqual(result.articles.length, 3);
+  assert.deepStrictEqual(browserCalls, []);
+});
+
+test('auto falls back to the browser when the static result is below the thresholds', async () => {
+  const { browserCalls, messages, options } = runOptions();
+  const feed = feedFor({ strategy: 'auto' });
+  const result = await loadProfileArticles(feed, options, new Set());
+  assert.strictEqual(result.strategy, 'browser');
+  assert.deepStrictEqual(result.articles, BROWSER_ARTICLES);
+  assert.deepStrictEqual(requests, ['/profile/sharon-machlis/']);
+  assert.deepStrictEqual(browserCalls, [feed.profileUrl]);
+  assert.ok(messages.some(message => /Static result below threshold \(3 articles \(need 5\), 67% with real titles \(need 80%\)\)/.test(message)));
+});
+
+test('auto falls back to the browser when the static fetch fails', async () => {
+  const { browserCalls, messages, options } = runOptions();
+  const result = await loadProfileArticles(feedFor({ strategy: 'auto' }, '/profile/missing/'), options, new Set());
+  assert.strictEqual(result.strategy, 'browser');
+  assert.strictEqual(browserCalls.length, 1);
+  assert.ok(messages.some(message => /Static fetch failed \(HTTP 404/.test(message)));
+});
+
+test('static reports a failed fetch instead of opening the browser', async () => {
+  const { browserCalls, options } = runOptions();
+  await assert.rejects(
+    loadProfileArticles(feedFor({ strategy: 'static' }, '/profile/missing/'), options, new Set()),
+    { status: 404 }
+  );
+  assert.deepStrictEqual(browserCalls, []);
+});
+
+test('browser skips the static fetch', async () => {
+  const { browserCalls, options } = runOptions();
+  const result = await loadProfileArticles(feedFor({ strategy: 'browser' }), options, new Set());
+  assert.strictEqual(result.strategy, 'browser');
+  assert.deepStrictEqual(requests, []);
+  assert.strictEqual(browserCalls.length, 1);
+});
@@ -0,0 +1,99 @@
+// test/topics.test.js - Category merging, topic rules and the per-topic sub-feeds
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mergeCategories, topicMatcher, topicFeeds } = require('../lib/topics');
+const { generateFeedForAuthor } = require('../lib/generate');
+const { normalizeFeed } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+
+const profileHtml = fs.readFileSync(path.join(__dirname, 'fixtures', 'infoworld-profile.html'), 'utf8');
+
+const article = (title, extra = {}) => ({ title, description: '', categories: [], ...extra });
+
+test('mergeCategories keeps the first spelling of each category', () => {
+  assert.deepStrictEqual(
+    mergeCategories(['R Language', 'Analytics'], ['r language', 'Data Science'], undefined, ['', 'ANALYTICS']),
+    ['R Language', 'Analytics', 'Data Science']
+  );
+});
+
+test('a topic matches on any one of its categories, keywords or patterns', () => {
+  const matches = topicMatcher({ categories: ['R Language'], keywords: ['ggplot2', 'C++'], patterns: ['\\bR\\b'] });
+
+  assert.strictEqual(matches(article('Shiny dashboards', { categories: ['r language'] })), true);
+  // Keywords are whole words, in any case, in the title or description
+  assert.strictEqual(matches(article('Better charts', { description: 'Five GGPLOT2 extensions' })), true);
+  assert.strictEqual(matches(article('What ggplot2extra does')), false);
+  assert.strictEqual(matches(article('Calling C++ from Python')), false, 'no word boundary after "+"');
+  // Patterns are case-sensitive regexes
+  assert.strictEqual(matches(article('Five R packages for tables')), true);
+  assert.strictEqual(matches(article('Five r packages for tables')), false);
+  assert.strictEqual(matches(article('Kubernetes cost controls', { categories: ['Cloud'] })), false);
+});
+
+test('topic feeds sit next to the main feed and inherit what they don\'t set', () => {
+  const feed = normalizeFeed({
+    author: 'Sharon Machlis',
+    profileUrl: 'https://www.infoworld.com/profile/sharon-machlis/',
+    feedUrl: 'https://feeds.sharon-machlis.test/feeds/feed.xml',
+    output: path.join('public', 'feed.xml'),
+    formats: ['rss', 'json'],
+    topics: [
+      { name: 'r', categories: ['R Language'] },
+      { name: 'quarto', output: path.join('public', 'quarto.xml'), title: 'Quarto articles', formats: ['atom'], keywords: ['quarto'] }
+    ]
+  });
+  const [r, quarto] = topicFeeds(feed);
+
+  assert.deepStrictEqual([r.topic, r.output, r.title, r.feedUrl, r.formats, r.topics], [
+    'r', path.join('public', 'feed-r.xml'), `${feed.title} - r`, 'https://feeds.sharon-machlis.test/feeds/feed-r.xml', ['rss', 'json'], []
+  ]);
+  assert.strictEqual(r.description, feed.description);
+  assert.deepStrictEqual([quarto.output, quarto.title, quarto.feedUrl, quarto.formats], [
+    path.join('public', 'quarto.xml'), 'Quarto articles', 'https://feeds.sharon-machlis.test/feeds/quarto.xml', ['atom']
+  ]);
+  assert.strictEqual(topicFeeds({ ...feed, feedUrl: '' })[0].feedUrl, '');
+  assert.throws(() => topicFeeds({ ...feed, topics: [{ keywords: ['r'] }] }), { message: 'Every topic for Sharon Machlis needs a "name"' });
+});
+
+test('a run writes each topic feed with only the articles that match it', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rss-topics-'));
+  try {
+    const htmlPath = path.join(dir, 'profile.html');
+    fs.writeFileSync(htmlPath, profileHtml);
+    const feed = normalizeFeed({
+      author: 'Sharon Machlis',
+      profileUrl: 'https://www.infoworld.com/profile/sharon-machlis/',
+      output: path.join(dir, 'feed.xml'),
+      archive: path.join(dir, 'data', 'sharon-machlis.json'),
+      enrich: false,
+      diagnostics: { artifactsDir: path.join(dir, 'artifacts') },
+      formats: ['rss', 'json'],
+      topics: [
+        { name: 'r', categories: ['R Language'] },
+        { name: 'shiny', keywords: ['shiny'] }
+      ]
+    });
+    const result = await generateFeedForAuthor(feed, { maxArticles: 20, fromHtml: htmlPath, logger: createLogger({ print: false, collect: true }) });
+
+    assert.strictEqual(result.status, 'ok');
+    assert.deepStrictEqual(result.outputs.map(output => path.basename(output.path)), [
+      'feed.xml', 'feed.json', 'feed-r.xml', 'feed-r.json', 'feed-shiny.xml', 'feed-shiny.json'
+    ]);
+    const itemUrls = name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')).items.map(item => item.url);
+    assert.strictEqual(itemUrls('feed.json').length, 3);
+    // The Shiny card's trailing "R Language" tag counts as a category too
+    assert.deepStrictEqual(itemUrls('feed-r.json'), [
+      'https://www.infoworld.com/article/4100001/tidy-data-tricks.html',
+      'https://www.infoworld.com/article/4100002/shiny-dashboards-with-bslib.html'
+    ]);
+    assert.deepStrictEqual(itemUrls('feed-shiny.json'), ['https://www.infoworld.com/article/4100002/shiny-dashboards-with-bslib.html']);
+    assert.match(fs.readFileSync(path.join(dir, 'feed-r.xml'), 'utf8'), /<title>Sharon Machlis - InfoWorld Articles - r<\/title>/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
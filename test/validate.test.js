@@ -0,0 +1,89 @@
+// test/validate.test.js - The RSS checks that gate publishing, against a saved feed
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateRSS } = require('../lib/validate');
+
+const FEED_URL = 'https://feeds.sharon-machlis.test/feed.xml';
+const SELF_LINK = `<atom:link href="${FEED_URL}" rel="self" type="application/rss+xml" />`;
+const saved = fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', 'feed.xml'), 'utf8');
+// The saved feed with a self link, the way a configured feed is published
+const published = saved.replace('<lastBuildDate>', `${SELF_LINK}\n    <lastBuildDate>`);
+
+const validate = (xml, options = { feedUrl: FEED_URL, output: 'feed.xml' }) => validateRSS(xml, options);
+
+test('a well-formed feed with a matching self link passes', () => {
+  assert.deepStrictEqual(validate(published), { valid: true, errors: [], warnings: [] });
+});
+
+test('a feed without a self link passes with a warning', () => {
+  const result = validate(saved, {});
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.warnings, ['Channel has no atom:link rel="self" (recommended by the RSS Advisory Board)']);
+});
+
+test('refuses a self link left at the YOUR_USERNAME placeholder', () => {
+  const xml = published.replace(FEED_URL, 'https://YOUR_USERNAME.github.io/infoworld-rss/feed.xml');
+  assert.deepStrictEqual(validate(xml, {}).errors, [
+    'Self link still points at a placeholder: https://YOUR_USERNAME.github.io/infoworld-rss/feed.xml'
+  ]);
+});
+
+test('refuses a self link that doesn\'t match feedUrl', () => {
+  const result = validate(published, { feedUrl: 'https://feeds.sharon-machlis.test/other.xml' });
+  assert.deepStrictEqual(result.errors, [
+    `Self link ${FEED_URL} doesn't match the configured feedUrl https://feeds.sharon-machlis.test/other.xml`
+  ]);
+});
+
+test('refuses duplicate GUIDs', () => {
+  const xml = published.replace(
+    '<guid isPermaLink="true">https://www.infoworld.com/article/4100002/shiny-dashboards-with-bslib.html</guid>',
+    '<guid isPermaLink="true">https://www.infoworld.com/article/4100001/tidy-data-tricks.html</guid>'
+  );
+  assert.deepStrictEqual(validate(xml).errors, [
+    'Item 2: duplicate <guid> (same as item 1): https://www.infoworld.com/article/4100001/tidy-data-tricks.html'
+  ]);
+});
+
+test('refuses pubDates that aren\'t RFC 822 or have the wrong weekday', () => {
+  const unparseable = published.replace('Tue, 14 Jan 2025 10:00:00 GMT', '2025-01-14T10:00:00Z');
+  assert.deepStrictEqual(validate(unparseable).errors, ['Item 1: <pubDate> "2025-01-14T10:00:00Z" is not an RFC 822 date']);
+
+  const wrongDay = published.replace('Tue, 14 Jan 2025 10:00:00 GMT', 'Mon, 14 Jan 2025 10:00:00 GMT');
+  assert.deepStrictEqual(validate(wrongDay).errors, ['Item 1: <pubDate> "Mon, 14 Jan 2025 10:00:00 GMT" has the wrong weekday (should be Tue)']);
+});
+
+test('refuses relative item links and permalink GUIDs', () => {
+  const xml = published.replace(/https:\/\/www\.infoworld\.com(\/article\/4100003\/)/g, '$1');
+  assert.deepStrictEqual(validate(xml).errors, [
+    'Item 3: <link> is not an absolute URL: /article/4100003/whats-new-in-quarto.html',
+    'Item 3: permalink <guid> is not an absolute URL: /article/4100003/whats-new-in-quarto.html'
+  ]);
+});
+
+test('refuses a hub link without a self link, and a relative hub link', () => {
+  const hubOnly = saved.replace('<lastBuildDate>', '<atom:link href="https://pubsubhubbub.test/" rel="hub" />\n    <lastBuildDate>');
+  assert.deepStrictEqual(validate(hubOnly, {}).errors, ['WebSub hub links need an atom:link rel="self" as well']);
+
+  const relativeHub = published.replace('<lastBuildDate>', '<atom:link href="/hub" rel="hub" />\n    <lastBuildDate>');
+  assert.deepStrictEqual(validate(relativeHub).errors, ['Hub link is not an absolute URL: "/hub"']);
+});
+
+test('refuses undeclared prefixes and XML that isn\'t well-formed', () => {
+  const undeclared = published.replace('<dc:creator>Sharon Machlis</dc:creator>', '<media:thumbnail url="https://www.infoworld.com/a.jpg" />');
+  assert.match(validate(undeclared).errors[0], /^Not well-formed XML: .*unbound namespace prefix: "media"/);
+
+  const broken = validate(published.replace('</channel>', ''));
+  assert.strictEqual(broken.valid, false);
+  assert.match(broken.errors[0], /^Not well-formed XML/);
+});
+
+test('warns about double-escaped titles', () => {
+  const xml = published.replace('<title>Tidy data tricks for R users</title>', '<title>Tidy data &amp;amp; R</title>');
+  const result = validate(xml);
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.warnings, ['Item 1: <title> looks double-escaped: "Tidy data &amp; R"']);
+});